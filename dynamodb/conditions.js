@@ -0,0 +1,239 @@
+// ------------------------------
+// boto3-style condition builders (boto3.dynamodb.conditions)
+// ------------------------------
+//   Key("pk").eq("x").and(Key("sk").beginsWith("2024"))
+//   Attr("age").gt(30).or(Attr("status").notExists())
+//
+// Conditions compile into placeholder-based expressions, so attribute
+// names never clash with reserved words and values never need quoting.
+// Values stay plain JS; callers marshall them as needed.
+
+// Expression keys a caller may fill with a condition object
+export const CONDITION_FIELDS = [
+  "KeyConditionExpression",
+  "FilterExpression",
+  "ConditionExpression",
+];
+
+/**
+ * Collects ExpressionAttributeNames/Values while expressions compile.
+ * One context per request keeps placeholders unique across expressions.
+ */
+export class ExpressionContext {
+  constructor() {
+    this.names = {};
+    this.values = {};
+    this._nameIds = new Map();
+    this._valueCount = 0;
+  }
+
+  _namePlaceholder(name) {
+    if (!this._nameIds.has(name)) {
+      const placeholder = `#attr${this._nameIds.size}`;
+      this._nameIds.set(name, placeholder);
+      this.names[placeholder] = name;
+    }
+    return this._nameIds.get(name);
+  }
+
+  /**
+   * "address.city" -> "#attr0.#attr1", "tags[0]" -> "#attr2[0]"
+   */
+  path(path) {
+    return path
+      .split(".")
+      .map((segment) => {
+        const match = segment.match(/^([^[\]]+)((?:\[\d+\])*)$/);
+        if (!match) throw new Error(`Invalid attribute path: ${path}`);
+        return this._namePlaceholder(match[1]) + match[2];
+      })
+      .join(".");
+  }
+
+  value(value) {
+    const placeholder = `:val${this._valueCount++}`;
+    this.values[placeholder] = value;
+    return placeholder;
+  }
+}
+
+export class Condition {
+  constructor(compile) {
+    this._compile = compile;
+  }
+
+  compile(ctx) {
+    return this._compile(ctx);
+  }
+
+  and(other) {
+    return new Condition(
+      (ctx) => `(${this.compile(ctx)} AND ${other.compile(ctx)})`
+    );
+  }
+
+  or(other) {
+    return new Condition(
+      (ctx) => `(${this.compile(ctx)} OR ${other.compile(ctx)})`
+    );
+  }
+
+  not() {
+    return new Condition((ctx) => `(NOT ${this.compile(ctx)})`);
+  }
+}
+
+function comparison(operand, operator, value) {
+  return new Condition(
+    (ctx) => `${operand(ctx)} ${operator} ${ctx.value(value)}`
+  );
+}
+
+class Size {
+  constructor(name) {
+    this._operand = (ctx) => `size(${ctx.path(name)})`;
+  }
+
+  eq(value) {
+    return comparison(this._operand, "=", value);
+  }
+  ne(value) {
+    return comparison(this._operand, "<>", value);
+  }
+  lt(value) {
+    return comparison(this._operand, "<", value);
+  }
+  lte(value) {
+    return comparison(this._operand, "<=", value);
+  }
+  gt(value) {
+    return comparison(this._operand, ">", value);
+  }
+  gte(value) {
+    return comparison(this._operand, ">=", value);
+  }
+}
+
+class KeyPath {
+  constructor(name) {
+    this.name = name;
+    this._operand = (ctx) => ctx.path(name);
+  }
+
+  eq(value) {
+    return comparison(this._operand, "=", value);
+  }
+  lt(value) {
+    return comparison(this._operand, "<", value);
+  }
+  lte(value) {
+    return comparison(this._operand, "<=", value);
+  }
+  gt(value) {
+    return comparison(this._operand, ">", value);
+  }
+  gte(value) {
+    return comparison(this._operand, ">=", value);
+  }
+
+  between(low, high) {
+    return new Condition(
+      (ctx) =>
+        `${this._operand(ctx)} BETWEEN ${ctx.value(low)} AND ${ctx.value(high)}`
+    );
+  }
+
+  beginsWith(prefix) {
+    return new Condition(
+      (ctx) => `begins_with(${this._operand(ctx)}, ${ctx.value(prefix)})`
+    );
+  }
+}
+
+class AttrPath extends KeyPath {
+  ne(value) {
+    return comparison(this._operand, "<>", value);
+  }
+
+  isIn(values) {
+    return new Condition(
+      (ctx) =>
+        `${this._operand(ctx)} IN (${values
+          .map((v) => ctx.value(v))
+          .join(", ")})`
+    );
+  }
+
+  exists() {
+    return new Condition((ctx) => `attribute_exists(${this._operand(ctx)})`);
+  }
+
+  notExists() {
+    return new Condition(
+      (ctx) => `attribute_not_exists(${this._operand(ctx)})`
+    );
+  }
+
+  /**
+   * @param {string} type DynamoDB type code: S, N, B, SS, NS, BS, BOOL, NULL, L, M
+   */
+  attributeType(type) {
+    return new Condition(
+      (ctx) => `attribute_type(${this._operand(ctx)}, ${ctx.value(type)})`
+    );
+  }
+
+  contains(value) {
+    return new Condition(
+      (ctx) => `contains(${this._operand(ctx)}, ${ctx.value(value)})`
+    );
+  }
+
+  size() {
+    return new Size(this.name);
+  }
+}
+
+// Factories so call sites read like boto3: Key("pk").eq("x")
+export function Key(name) {
+  return new KeyPath(name);
+}
+
+export function Attr(name) {
+  return new AttrPath(name);
+}
+
+/**
+ * Compiles any Condition objects in `params` (see CONDITION_FIELDS) into
+ * expression strings and merges the generated placeholders into
+ * ExpressionAttributeNames/Values. Generated values are passed through
+ * `transformValues` (e.g. marshall) before merging; values already in
+ * params are left untouched.
+ */
+export function compileConditions(
+  params = {},
+  transformValues = (values) => values,
+  ctx = new ExpressionContext()
+) {
+  const fields = CONDITION_FIELDS.filter(
+    (field) => params[field] instanceof Condition
+  );
+  if (!fields.length) return params;
+
+  const out = { ...params };
+  for (const field of fields) {
+    out[field] = params[field].compile(ctx);
+  }
+
+  out.ExpressionAttributeNames = {
+    ...params.ExpressionAttributeNames,
+    ...ctx.names,
+  };
+  if (Object.keys(ctx.values).length) {
+    out.ExpressionAttributeValues = {
+      ...params.ExpressionAttributeValues,
+      ...transformValues(ctx.values),
+    };
+  }
+  return out;
+}
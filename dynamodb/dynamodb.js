@@ -10,6 +10,37 @@ import {
   BatchWriteItemCommand,
   TransactWriteItemsCommand,
 } from "@aws-sdk/client-dynamodb";
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { createPaginator, paginateAll } from "../utils/paginator.js";
+import { toBoto3Error } from "../utils/errors.js";
+import { Table } from "./table.js";
+import { compileConditions, ExpressionContext } from "./conditions.js";
+import { UpdateBuilder } from "./updates.js";
+
+// Key()/Attr() conditions carry plain values; the client API speaks
+// AttributeValues, so generated values are marshalled on the way in.
+function compileClientConditions(params) {
+  return compileConditions(params, (values) => marshall(values));
+}
+
+const PAGINATORS = {
+  query: {
+    command: QueryCommand,
+    inputToken: "ExclusiveStartKey",
+    outputToken: "LastEvaluatedKey",
+    limitKey: "Limit",
+    resultKey: "Items",
+    prepareInput: compileClientConditions,
+  },
+  scan: {
+    command: ScanCommand,
+    inputToken: "ExclusiveStartKey",
+    outputToken: "LastEvaluatedKey",
+    limitKey: "Limit",
+    resultKey: "Items",
+    prepareInput: compileClientConditions,
+  },
+};
 
 export class SimpleDynamoDB {
   constructor(options = {}, { debug = false } = {}) {
@@ -23,7 +54,32 @@ export class SimpleDynamoDB {
   }
 
   _handleError(operation, err) {
-    throw new Error(`DynamoDB ${operation} failed: ${err.message}`);
+    throw toBoto3Error("DynamoDB", operation, err);
+  }
+
+  // ------------------------------
+  // Pagination
+  // ------------------------------
+  getPaginator(operation) {
+    return createPaginator(this, "DynamoDB", PAGINATORS, operation);
+  }
+
+  canPaginate(operation) {
+    return operation in PAGINATORS;
+  }
+
+  // Every page is followed; a Limit only sets the page size. Callers
+  // paging by hand use getPaginator(), whose pages keep LastEvaluatedKey.
+  async _collect(operation, table, params = {}) {
+    const input = compileClientConditions({ TableName: table, ...params });
+    return paginateAll(this.client, PAGINATORS[operation], input);
+  }
+
+  // ------------------------------
+  // Resources
+  // ------------------------------
+  Table(name, options = {}) {
+    return new Table(this, name, options);
   }
 
   // ------------------------------
@@ -66,10 +122,16 @@ export class SimpleDynamoDB {
   // ------------------------------
   // Item operations
   // ------------------------------
-  async putItem(table, item) {
+  // `params` takes extra request fields, e.g.
+  // { ConditionExpression: Attr("id").notExists() }
+  async putItem(table, item, params = {}) {
     try {
       const res = await this.client.send(
-        new PutItemCommand({ TableName: table, Item: item })
+        new PutItemCommand({
+          ...compileClientConditions(params),
+          TableName: table,
+          Item: item,
+        })
       );
       return this._formatOutput(res);
     } catch (err) {
@@ -88,27 +150,52 @@ export class SimpleDynamoDB {
     }
   }
 
-  async updateItem(table, key, updates) {
+  /**
+   * `updates` is either a map of attribute paths to AttributeValues
+   * (compiled to SET clauses) or an Update() builder for REMOVE, ADD,
+   * DELETE, list_append and if_not_exists. `params` adds extra request
+   * fields such as ConditionExpression or ReturnValues (default ALL_NEW).
+   * `marshallOptions` apply to the values taken from builders.
+   */
+  async updateItem(table, key, updates, params = {}, { marshallOptions } = {}) {
     try {
-      const updateExpressions = [];
-      const expressionAttributeValues = {};
-      const expressionAttributeNames = {};
-
-      for (const k in updates) {
-        // Map attribute names to safe names
-        const safeName = `#${k}`;
-        updateExpressions.push(`${safeName} = :${k}`);
-        expressionAttributeNames[safeName] = k;
-        expressionAttributeValues[`:${k}`] = updates[k];
+      // One context for update + condition keeps placeholders unique
+      const ctx = new ExpressionContext();
+      const rawValues = {};
+      let updateExpression;
+
+      if (updates instanceof UpdateBuilder) {
+        updateExpression = updates.compile(ctx);
+      } else {
+        const sets = Object.entries(updates).map(([path, value], i) => {
+          rawValues[`:upd${i}`] = value;
+          return `${ctx.path(path)} = :upd${i}`;
+        });
+        updateExpression = `SET ${sets.join(", ")}`;
       }
 
+      const condition = compileConditions(params, (values) => values, ctx);
+      const expressionAttributeValues = {
+        ...params.ExpressionAttributeValues,
+        ...(Object.keys(ctx.values).length
+          ? marshall(ctx.values, marshallOptions)
+          : {}),
+        ...rawValues,
+      };
+
       const command = new UpdateItemCommand({
+        ReturnValues: "ALL_NEW",
+        ...condition,
         TableName: table,
         Key: key,
-        UpdateExpression: `SET ${updateExpressions.join(", ")}`,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ReturnValues: "ALL_NEW",
+        UpdateExpression: updateExpression,
+        ExpressionAttributeNames: {
+          ...params.ExpressionAttributeNames,
+          ...ctx.names,
+        },
+        ExpressionAttributeValues: Object.keys(expressionAttributeValues).length
+          ? expressionAttributeValues
+          : undefined,
       });
 
       const res = await this.client.send(command);
@@ -118,10 +205,14 @@ export class SimpleDynamoDB {
     }
   }
 
-  async deleteItem(table, key) {
+  async deleteItem(table, key, params = {}) {
     try {
       const res = await this.client.send(
-        new DeleteItemCommand({ TableName: table, Key: key })
+        new DeleteItemCommand({
+          ...compileClientConditions(params),
+          TableName: table,
+          Key: key,
+        })
       );
       return this._formatOutput(res);
     } catch (err) {
@@ -131,10 +222,8 @@ export class SimpleDynamoDB {
 
   async query(table, params) {
     try {
-      const res = await this.client.send(
-        new QueryCommand({ TableName: table, ...params })
-      );
-      return this._formatOutput(res.Items || []);
+      const items = await this._collect("query", table, params);
+      return this._formatOutput(items);
     } catch (err) {
       this._handleError(`query(${table})`, err);
     }
@@ -142,10 +231,8 @@ export class SimpleDynamoDB {
 
   async scan(table, params) {
     try {
-      const res = await this.client.send(
-        new ScanCommand({ TableName: table, ...params })
-      );
-      return this._formatOutput(res.Items || []);
+      const items = await this._collect("scan", table, params);
+      return this._formatOutput(items);
     } catch (err) {
       this._handleError(`scan(${table})`, err);
     }
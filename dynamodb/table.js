@@ -0,0 +1,168 @@
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { compileConditions } from "./conditions.js";
+import { UpdateBuilder } from "./updates.js";
+
+// ------------------------------
+// boto3-style DynamoDB Table resource
+// ------------------------------
+// Same operations as SimpleDynamoDB, bound to one table and speaking
+// plain JS values instead of AttributeValue maps:
+//
+//   const users = db.Table("users");
+//   await users.putItem({ id: "1", tags: new Set(["a"]), score: 10 });
+//   const user = await users.getItem({ id: "1" });
+//
+// Request shapes (query params, batch/transaction requests) are the same
+// as the SDK's; only the values inside Item, Key,
+// ExpressionAttributeValues and ExclusiveStartKey are converted.
+
+const VALUE_FIELDS = [
+  "Item",
+  "Key",
+  "ExpressionAttributeValues",
+  "ExclusiveStartKey",
+];
+
+export class Table {
+  /**
+   * @param {SimpleDynamoDB} db
+   * @param {string} name
+   * @param {object} options
+   * @param {boolean} options.removeUndefinedValues drop undefined attributes instead of throwing
+   * @param {boolean} options.convertClassInstanceToMap marshall class instances as maps
+   * @param {boolean|function} options.wrapNumbers return numbers as NumberValue (or via a custom parser) to keep precision
+   */
+  constructor(
+    db,
+    name,
+    {
+      removeUndefinedValues = false,
+      convertClassInstanceToMap = false,
+      wrapNumbers = false,
+    } = {}
+  ) {
+    this.db = db;
+    this.name = name;
+    this.marshallOptions = { removeUndefinedValues, convertClassInstanceToMap };
+    this.unmarshallOptions = { wrapNumbers };
+  }
+
+  // --- Conversion helpers ---
+  _marshall(value) {
+    return marshall(value, this.marshallOptions);
+  }
+
+  _unmarshall(value) {
+    return value ? unmarshall(value, this.unmarshallOptions) : value;
+  }
+
+  _marshallValues(params = {}) {
+    const out = { ...params };
+    for (const field of VALUE_FIELDS) {
+      if (out[field]) out[field] = this._marshall(out[field]);
+    }
+    return out;
+  }
+
+  // Compiles Key()/Attr() conditions first so their plain values are
+  // marshalled together with the caller's ExpressionAttributeValues.
+  _marshallParams(params = {}) {
+    return this._marshallValues(compileConditions(params));
+  }
+
+  _unmarshallRequests(requests = []) {
+    return requests.map((req) => {
+      if (req.PutRequest)
+        return { PutRequest: { Item: this._unmarshall(req.PutRequest.Item) } };
+      return {
+        DeleteRequest: { Key: this._unmarshall(req.DeleteRequest.Key) },
+      };
+    });
+  }
+
+  // --- Item operations ---
+  async putItem(item, params = {}) {
+    return this.db.putItem(
+      this.name,
+      this._marshall(item),
+      this._marshallParams(params)
+    );
+  }
+
+  async getItem(key) {
+    const item = await this.db.getItem(this.name, this._marshall(key));
+    return this._unmarshall(item);
+  }
+
+  // Plain update maps are marshalled here. Update() builders and
+  // conditions are left to SimpleDynamoDB.updateItem, which compiles both
+  // in one ExpressionContext so their placeholders cannot collide.
+  async updateItem(key, updates, params = {}) {
+    const attributes = await this.db.updateItem(
+      this.name,
+      this._marshall(key),
+      updates instanceof UpdateBuilder ? updates : this._marshall(updates),
+      this._marshallValues(params),
+      { marshallOptions: this.marshallOptions }
+    );
+    return this._unmarshall(attributes);
+  }
+
+  async deleteItem(key, params = {}) {
+    return this.db.deleteItem(
+      this.name,
+      this._marshall(key),
+      this._marshallParams(params)
+    );
+  }
+
+  async query(params = {}) {
+    const items = await this.db.query(this.name, this._marshallParams(params));
+    return items.map((item) => this._unmarshall(item));
+  }
+
+  async scan(params = {}) {
+    const items = await this.db.scan(this.name, this._marshallParams(params));
+    return items.map((item) => this._unmarshall(item));
+  }
+
+  // --- Batch / transactions ---
+  /**
+   * @param {Array} requests [{ PutRequest: { Item } }, { DeleteRequest: { Key } }]
+   * @returns {{ UnprocessedItems: Array }} requests DynamoDB did not process, as plain values
+   */
+  async batchWrite(requests) {
+    const res = await this.db.batchWrite({
+      [this.name]: requests.map((req) => {
+        if (req.PutRequest)
+          return { PutRequest: this._marshallParams(req.PutRequest) };
+        return { DeleteRequest: this._marshallParams(req.DeleteRequest) };
+      }),
+    });
+    return {
+      UnprocessedItems: this._unmarshallRequests(
+        res?.UnprocessedItems?.[this.name]
+      ),
+    };
+  }
+
+  /**
+   * @param {Array} transactions SDK TransactItems ({ Put }, { Update },
+   *   { Delete }, { ConditionCheck }) with plain values. TableName
+   *   defaults to this table.
+   */
+  async transactWrite(transactions) {
+    return this.db.transactWrite(
+      transactions.map((tx) =>
+        Object.fromEntries(
+          Object.entries(tx).map(([action, params]) => [
+            action,
+            { TableName: this.name, ...this._marshallParams(params) },
+          ])
+        )
+      )
+    );
+  }
+}
+
+export default Table;
@@ -0,0 +1,132 @@
+// ------------------------------
+// Update expression builder
+// ------------------------------
+//   Update()
+//     .set("profile.name", "Vortex")
+//     .set("visits", ifNotExists("visits", 0))
+//     .set("history", listAppend("history", ["login"]))
+//     .remove("legacyField", "tags[2]")
+//     .add("loginCount", 1)
+//     .delete("roles", new Set(["guest"]))
+//
+// Compiles into one UpdateExpression using the same placeholder scheme as
+// Key()/Attr() conditions (see conditions.js), so both can share an
+// ExpressionContext in a single request. Values stay plain JS.
+
+class UpdateOperand {
+  constructor(compile) {
+    this._compile = compile;
+  }
+
+  compile(ctx) {
+    return this._compile(ctx);
+  }
+}
+
+function operand(value, ctx) {
+  return value instanceof UpdateOperand ? value.compile(ctx) : ctx.value(value);
+}
+
+function target(pathOrOperand, ctx) {
+  return pathOrOperand instanceof UpdateOperand
+    ? pathOrOperand.compile(ctx)
+    : ctx.path(pathOrOperand);
+}
+
+/**
+ * if_not_exists(path, value): keeps the current value, or uses `value`
+ * when the attribute is missing.
+ */
+export function ifNotExists(path, value) {
+  return new UpdateOperand(
+    (ctx) => `if_not_exists(${ctx.path(path)}, ${operand(value, ctx)})`
+  );
+}
+
+/**
+ * list_append(path, values): appends (or prepends) `values` to a list.
+ * `path` may itself be an operand, e.g. listAppend(ifNotExists("l", []), [1]).
+ */
+export function listAppend(path, values, { prepend = false } = {}) {
+  return new UpdateOperand((ctx) => {
+    const list = target(path, ctx);
+    const items = operand(values, ctx);
+    return prepend
+      ? `list_append(${items}, ${list})`
+      : `list_append(${list}, ${items})`;
+  });
+}
+
+export class UpdateBuilder {
+  constructor() {
+    this._set = [];
+    this._remove = [];
+    this._add = [];
+    this._delete = [];
+  }
+
+  set(path, value) {
+    this._set.push([path, value]);
+    return this;
+  }
+
+  remove(...paths) {
+    this._remove.push(...paths);
+    return this;
+  }
+
+  /**
+   * ADD: atomic counter increment for numbers, union for sets.
+   */
+  add(path, value) {
+    this._add.push([path, value]);
+    return this;
+  }
+
+  /**
+   * DELETE: removes elements from a set attribute.
+   */
+  delete(path, value) {
+    this._delete.push([path, value]);
+    return this;
+  }
+
+  isEmpty() {
+    return (
+      !this._set.length &&
+      !this._remove.length &&
+      !this._add.length &&
+      !this._delete.length
+    );
+  }
+
+  compile(ctx) {
+    const clauses = [];
+    if (this._set.length) {
+      const parts = this._set.map(
+        ([path, value]) => `${ctx.path(path)} = ${operand(value, ctx)}`
+      );
+      clauses.push(`SET ${parts.join(", ")}`);
+    }
+    if (this._remove.length) {
+      clauses.push(`REMOVE ${this._remove.map((p) => ctx.path(p)).join(", ")}`);
+    }
+    if (this._add.length) {
+      const parts = this._add.map(
+        ([path, value]) => `${ctx.path(path)} ${ctx.value(value)}`
+      );
+      clauses.push(`ADD ${parts.join(", ")}`);
+    }
+    if (this._delete.length) {
+      const parts = this._delete.map(
+        ([path, value]) => `${ctx.path(path)} ${ctx.value(value)}`
+      );
+      clauses.push(`DELETE ${parts.join(", ")}`);
+    }
+    return clauses.join(" ");
+  }
+}
+
+export function Update() {
+  return new UpdateBuilder();
+}
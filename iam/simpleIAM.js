@@ -15,6 +15,25 @@ import {
   GetUserCommand,
   ListUsersCommand,
 } from "@aws-sdk/client-iam";
+import { createPaginator, paginateAll } from "../utils/paginator.js";
+import { toBoto3Error } from "../utils/errors.js";
+
+const PAGINATORS = {
+  listRoles: {
+    command: ListRolesCommand,
+    inputToken: "Marker",
+    outputToken: "Marker",
+    limitKey: "MaxItems",
+    resultKey: "Roles",
+  },
+  listUsers: {
+    command: ListUsersCommand,
+    inputToken: "Marker",
+    outputToken: "Marker",
+    limitKey: "MaxItems",
+    resultKey: "Users",
+  },
+};
 
 export class SimpleIAM {
   constructor(options = {}, { debug = false } = {}) {
@@ -28,7 +47,16 @@ export class SimpleIAM {
   }
 
   _handleError(operation, err) {
-    throw new Error(`IAM ${operation} failed: ${err.message}`);
+    throw toBoto3Error("IAM", operation, err);
+  }
+
+  // --- Pagination ---
+  getPaginator(operation) {
+    return createPaginator(this, "IAM", PAGINATORS, operation);
+  }
+
+  canPaginate(operation) {
+    return operation in PAGINATORS;
   }
 
   // --- Role Management ---
@@ -114,8 +142,8 @@ export class SimpleIAM {
 
   async listRoles() {
     try {
-      const res = await this.client.send(new ListRolesCommand({}));
-      return this._formatOutput(res.Roles || []);
+      const roles = await paginateAll(this.client, PAGINATORS.listRoles);
+      return this._formatOutput(roles);
     } catch (err) {
       this._handleError("listRoles", err);
     }
@@ -201,8 +229,8 @@ export class SimpleIAM {
 
   async listUsers() {
     try {
-      const res = await this.client.send(new ListUsersCommand({}));
-      return this._formatOutput(res.Users || []);
+      const users = await paginateAll(this.client, PAGINATORS.listUsers);
+      return this._formatOutput(users);
     } catch (err) {
       this._handleError("listUsers", err);
     }
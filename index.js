@@ -1,21 +1,32 @@
 import dotenv from "dotenv";
 import { AWSService } from "./services/service.js";
-import SimpleS3 from "./s3/s3.js";
-import SimpleDynamoDB from "./dynamodb/dynamodb.js";
-import SimpleSecret from "./secretManager/simpleSecret.js";
-import SimpleIAM from "./iam/simpleIAM.js";
-import SimpleLambda from "./lambda/simpleLambda.js";
+import { Session } from "./session/session.js";
+import { mergeConfig } from "./utils/credentials.js";
 
 // ------------------------------
 // Global config
 // ------------------------------
 dotenv.config();
 
-let globalConfig = {
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION || "us-east-1",
-};
+function configFromEnv() {
+  return {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN,
+    // Like the SDK's own chain, env keys beat AWS_PROFILE
+    profile: process.env.AWS_ACCESS_KEY_ID
+      ? undefined
+      : process.env.AWS_PROFILE,
+    region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION,
+  };
+}
+
+// boto3()/setup()/loadEnv() operate on this default session
+let defaultSession = new Session(configFromEnv());
+
+export function getDefaultSession() {
+  return defaultSession;
+}
 
 /**
  * Load environment variables from .env (default) or custom path
@@ -24,17 +35,8 @@ let globalConfig = {
 export function loadEnv(path = ".env") {
   dotenv.config({ path });
 
-  globalConfig = {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION || "us-east-1",
-  };
-
-  if (!globalConfig.accessKeyId || !globalConfig.secretAccessKey) {
-    throw new Error(
-      "[boto3-js] AWS credentials missing in environment. Please add .env or use setup()"
-    );
-  }
+  // Missing keys are fine: clients fall back to the AWS provider chain
+  defaultSession = new Session(configFromEnv());
 
   console.log(`[boto3-js] Environment loaded from ${path}`);
 }
@@ -43,58 +45,35 @@ export function loadEnv(path = ".env") {
 // Override global config programmatically
 // ------------------------------
 export function setup(config = {}) {
-  globalConfig = { ...globalConfig, ...config };
+  defaultSession = new Session(mergeConfig(defaultSession.config, config));
 
-  if (!globalConfig.accessKeyId || !globalConfig.secretAccessKey) {
-    throw new Error(
-      "[boto3-js] AWS credentials missing after setup. Please provide accessKeyId and secretAccessKey"
-    );
-  }
-
-  console.log("[boto3-js] Global config updated:", globalConfig);
+  console.log("[boto3-js] Global config updated:", defaultSession.config);
 }
 
 // ------------------------------
 // Initialize AWS service client
-// Supports per-call overrides
+// Supports per-call overrides, e.g. boto3(AWSService.S3, { profile: "staging" })
+// Without keys, credentials come from the AWS provider chain
+// Every call returns a new client, as before sessions existed
 // ------------------------------
 export function boto3(service, options = {}) {
-  const mergedOptions = { ...globalConfig, ...options };
-
-  if (!mergedOptions.accessKeyId || !mergedOptions.secretAccessKey) {
-    throw new Error(
-      "[boto3-js] AWS credentials missing. Call loadEnv() or setup() first."
-    );
+  if (!Object.keys(options).length) {
+    return defaultSession.createClient(service);
   }
 
-  // AWS SDK v3 expects credentials inside a "credentials" object
-  const sdkConfig = {
-    region: mergedOptions.region,
-    credentials: {
-      accessKeyId: mergedOptions.accessKeyId,
-      secretAccessKey: mergedOptions.secretAccessKey,
-    },
-  };
-
-  switch (service) {
-    case AWSService.S3:
-      return new SimpleS3(sdkConfig);
-
-    case AWSService.DYNAMODB:
-      return new SimpleDynamoDB(sdkConfig);
-
-    case AWSService.SECRETMANAGER:
-      return new SimpleSecret(sdkConfig);
-
-    case AWSService.IAM:
-      return new SimpleIAM(sdkConfig);
-
-    case AWSService.LAMBDA:
-      return new SimpleLambda(sdkConfig);
-
-    default:
-      throw new Error(`Service '${service}' is not supported yet.`);
-  }
+  return new Session(mergeConfig(defaultSession.config, options)).client(
+    service
+  );
 }
 
-export { AWSService };
+export { AWSService, Session };
+export { Key, Attr } from "./dynamodb/conditions.js";
+export { Update, ifNotExists, listAppend } from "./dynamodb/updates.js";
+export {
+  Boto3Error,
+  NotFoundError,
+  AccessDeniedError,
+  ConditionalCheckFailedError,
+  ThrottlingError,
+  LambdaFunctionError,
+} from "./utils/errors.js";
@@ -0,0 +1,190 @@
+import fs from "fs";
+import path from "path";
+import { Buffer } from "buffer";
+import AdmZip from "adm-zip";
+import { createFilter } from "../utils/glob.js";
+
+// ------------------------------
+// Deployment packages
+// ------------------------------
+// Turns the `source` argument of deploy()/update() into the `Code` shape
+// Lambda expects:
+//
+//   "exports.handler = ..."                inline code, zipped as index.js
+//   { files: { "index.mjs": "...", ... } } in-memory modules
+//   { dir: "./fn", include, exclude }      a project directory
+//   { zipFile: "./fn.zip" }                an existing package (path or Buffer)
+//   { s3Bucket, s3Key, s3ObjectVersion }   a package already uploaded to S3
+
+// Larger packages must be uploaded to S3 and deployed with { s3Bucket, s3Key }
+export const DIRECT_UPLOAD_LIMIT = 50 * 1024 * 1024;
+
+const IGNORE_FILE = ".lambdaignore";
+const DEFAULT_EXCLUDES = [".git", IGNORE_FILE, ".DS_Store"];
+
+// Fixed entry timestamp so the same sources always zip to the same bytes
+const ZIP_ENTRY_TIME = new Date(2000, 0, 1);
+
+/**
+ * Expands a .gitignore-style pattern into globs for utils/glob.js: a
+ * pattern also matches everything below a matching directory, and one
+ * without a "/" matches at any depth ("*.test.js", "node_modules").
+ */
+function ignoreGlobs(pattern) {
+  const anchored =
+    pattern.startsWith("/") || pattern.slice(0, -1).includes("/");
+  const base = pattern.replace(/^\/|\/$/g, "");
+  const globs = [base, `${base}/*`];
+  return anchored ? globs : [...globs, ...globs.map((g) => `*/${g}`)];
+}
+
+// "!pattern" lines re-include paths, like the `include` option
+async function readIgnoreFile(dir) {
+  let text;
+  try {
+    text = await fs.promises.readFile(path.join(dir, IGNORE_FILE), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { exclude: [], include: [] };
+    throw err;
+  }
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  return {
+    exclude: lines.filter((line) => !line.startsWith("!")),
+    include: lines
+      .filter((line) => line.startsWith("!"))
+      .map((line) => line.slice(1)),
+  };
+}
+
+/**
+ * Lists the files under `dir` as "/"-separated relative paths. Symlinked
+ * files (e.g. in node_modules) are followed; symlinked directories are
+ * skipped to avoid cycles.
+ */
+async function listFiles(dir) {
+  const files = [];
+  const walk = async (current) => {
+    const entries = await fs.promises.readdir(current, { withFileTypes: true });
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+        continue;
+      }
+      const stat = await fs.promises.stat(full);
+      if (stat.isFile()) {
+        const relPath = path.relative(dir, full).split(path.sep).join("/");
+        files.push({ relPath, path: full, mode: stat.mode });
+      }
+    }
+  };
+  await walk(dir);
+  return files.sort((a, b) => a.relPath.localeCompare(b.relPath));
+}
+
+function addEntry(zip, name, content, mode = 0o644) {
+  // Lambda runs code as a different user, so everything must be readable
+  const entry = zip.addFile(name, content, "", mode | 0o444);
+  entry.header.time = ZIP_ENTRY_TIME;
+}
+
+/**
+ * @param {object} files { "index.mjs": "code", "lib/util.js": Buffer, ... }
+ */
+export function zipFiles(files) {
+  const zip = new AdmZip();
+  for (const name of Object.keys(files).sort()) {
+    const content = files[name];
+    addEntry(
+      zip,
+      name,
+      Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8")
+    );
+  }
+  return zip.toBuffer();
+}
+
+/**
+ * Zips a project directory, including node_modules unless
+ * `nodeModules: false`. Paths listed in `<dir>/.lambdaignore` and in
+ * `exclude` are left out; `include` and `!pattern` lines in the ignore
+ * file bring matching paths back.
+ */
+export async function zipDirectory(
+  dir,
+  { include = [], exclude = [], nodeModules = true } = {}
+) {
+  const ignored = await readIgnoreFile(dir);
+  const excluded = [
+    ...DEFAULT_EXCLUDES,
+    ...(nodeModules ? [] : ["node_modules"]),
+    ...ignored.exclude,
+    ...[].concat(exclude),
+  ];
+  const filter = createFilter({
+    exclude: excluded.flatMap(ignoreGlobs),
+    include: [...ignored.include, ...[].concat(include)].flatMap(ignoreGlobs),
+  });
+
+  const zip = new AdmZip();
+  let count = 0;
+  for (const file of await listFiles(dir)) {
+    if (!filter(file.relPath)) continue;
+    addEntry(
+      zip,
+      file.relPath,
+      await fs.promises.readFile(file.path),
+      file.mode
+    );
+    count++;
+  }
+  if (!count) throw new Error(`No files to deploy in ${dir}`);
+  return zip.toBuffer();
+}
+
+function checkSize(zipBuffer) {
+  if (zipBuffer.length > DIRECT_UPLOAD_LIMIT) {
+    const mb = (zipBuffer.length / 1024 / 1024).toFixed(1);
+    throw new Error(
+      `Deployment package is ${mb} MB, over the 50 MB direct upload limit; ` +
+        "upload it to S3 and deploy with { s3Bucket, s3Key }"
+    );
+  }
+  return zipBuffer;
+}
+
+/**
+ * Resolves a deploy()/update() source to Lambda's `Code` parameters:
+ * { ZipFile } or { S3Bucket, S3Key, S3ObjectVersion }.
+ */
+export async function resolveCode(source) {
+  if (typeof source === "string") {
+    return { ZipFile: checkSize(zipFiles({ "index.js": source })) };
+  }
+  const { files, dir, zipFile, s3Bucket, s3Key, s3ObjectVersion } =
+    source || {};
+  if (s3Bucket || s3Key) {
+    if (!s3Bucket || !s3Key) {
+      throw new Error("S3 deployments need both s3Bucket and s3Key");
+    }
+    return {
+      S3Bucket: s3Bucket,
+      S3Key: s3Key,
+      ...(s3ObjectVersion && { S3ObjectVersion: s3ObjectVersion }),
+    };
+  }
+  if (zipFile) {
+    const buffer = Buffer.isBuffer(zipFile)
+      ? zipFile
+      : await fs.promises.readFile(zipFile);
+    return { ZipFile: checkSize(buffer) };
+  }
+  if (files) return { ZipFile: checkSize(zipFiles(files)) };
+  if (dir) return { ZipFile: checkSize(await zipDirectory(dir, source)) };
+  throw new Error(
+    "No code to deploy: pass a code string or { files | dir | zipFile | s3Bucket, s3Key }"
+  );
+}
@@ -0,0 +1,158 @@
+// ------------------------------
+// Function configuration
+// ------------------------------
+// Maps SimpleLambda's camelCase deploy options to CreateFunction /
+// UpdateFunctionConfiguration parameters, diffs them against a
+// GetFunctionConfiguration response for deploy(..., { upsert: true }),
+// and turns that response back into the same camelCase shape for
+// getConfiguration() / getFunction().
+
+const toTargetArn = (target) =>
+  typeof target === "string" ? target : target?.targetArn ?? "";
+
+// option -> [parameter, toParam]
+const CONFIG_OPTIONS = {
+  handler: ["Handler"],
+  runtime: ["Runtime"],
+  description: ["Description"],
+  timeout: ["Timeout"],
+  memorySize: ["MemorySize"],
+  // { KEY: value }; values are sent as strings
+  environment: [
+    "Environment",
+    (vars) => ({
+      Variables: Object.fromEntries(
+        Object.entries(vars).map(([key, value]) => [key, String(value)])
+      ),
+    }),
+  ],
+  // layer version ARNs
+  layers: ["Layers", (layers) => [].concat(layers)],
+  // { subnetIds, securityGroupIds }; empty lists detach the function
+  vpcConfig: [
+    "VpcConfig",
+    ({ subnetIds = [], securityGroupIds = [] }) => ({
+      SubnetIds: subnetIds,
+      SecurityGroupIds: securityGroupIds,
+    }),
+  ],
+  // /tmp size in MB (512-10240)
+  ephemeralStorage: ["EphemeralStorage", (size) => ({ Size: size })],
+  // SQS queue or SNS topic ARN (or { targetArn }) for failed async events
+  deadLetterConfig: [
+    "DeadLetterConfig",
+    (target) => ({ TargetArn: toTargetArn(target) }),
+  ],
+  // "Active" | "PassThrough" (or { mode })
+  tracingConfig: [
+    "TracingConfig",
+    (mode) => ({ Mode: typeof mode === "string" ? mode : mode.mode }),
+  ],
+};
+
+export const CREATE_DEFAULTS = {
+  Handler: "index.handler",
+  Runtime: "nodejs18.x",
+  Description: "Created by boto3-js SimpleLambda",
+  Timeout: 10,
+  MemorySize: 128,
+};
+
+/**
+ * Returns only the parameters for options the caller actually set, so an
+ * update never resets settings it wasn't asked to touch.
+ */
+export function toConfigParams(opts = {}) {
+  const params = {};
+  for (const [option, [param, toParam]] of Object.entries(CONFIG_OPTIONS)) {
+    if (opts[option] === undefined) continue;
+    params[param] = toParam ? toParam(opts[option]) : opts[option];
+  }
+  return params;
+}
+
+// Architectures and Tags are not configuration in Lambda's API: they go
+// to CreateFunction, UpdateFunctionCode and TagResource respectively.
+export function toArchitectures(architectures) {
+  return architectures === undefined ? undefined : [].concat(architectures);
+}
+
+export function toCreateParams(opts = {}) {
+  const params = { ...CREATE_DEFAULTS, ...toConfigParams(opts) };
+  if (opts.architectures)
+    params.Architectures = toArchitectures(opts.architectures);
+  if (opts.tags) params.Tags = opts.tags;
+  return params;
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => isEqual(a[key], b[key]))
+  );
+}
+
+// GetFunctionConfiguration returns richer shapes than the update accepts
+function comparable(current) {
+  return {
+    ...current,
+    Environment: { Variables: current.Environment?.Variables || {} },
+    Layers: (current.Layers || []).map((layer) => layer.Arn),
+    VpcConfig: {
+      SubnetIds: current.VpcConfig?.SubnetIds || [],
+      SecurityGroupIds: current.VpcConfig?.SecurityGroupIds || [],
+    },
+    DeadLetterConfig: { TargetArn: current.DeadLetterConfig?.TargetArn || "" },
+  };
+}
+
+/**
+ * The subset of `desired` that differs from the deployed configuration.
+ */
+export function configChanges(current, desired) {
+  const deployed = comparable(current);
+  return Object.fromEntries(
+    Object.entries(desired).filter(
+      ([param, value]) => !isEqual(deployed[param], value)
+    )
+  );
+}
+
+/**
+ * GetFunctionConfiguration response -> the camelCase option names used by
+ * deploy(), plus read-only state.
+ */
+export function normalizeConfiguration(config) {
+  return {
+    functionName: config.FunctionName,
+    functionArn: config.FunctionArn,
+    version: config.Version,
+    runtime: config.Runtime,
+    handler: config.Handler,
+    description: config.Description,
+    timeout: config.Timeout,
+    memorySize: config.MemorySize,
+    role: config.Role,
+    architectures: config.Architectures || ["x86_64"],
+    environment: config.Environment?.Variables || {},
+    layers: (config.Layers || []).map((layer) => layer.Arn),
+    vpcConfig: config.VpcConfig?.VpcId
+      ? {
+          vpcId: config.VpcConfig.VpcId,
+          subnetIds: config.VpcConfig.SubnetIds || [],
+          securityGroupIds: config.VpcConfig.SecurityGroupIds || [],
+        }
+      : null,
+    ephemeralStorage: config.EphemeralStorage?.Size ?? 512,
+    deadLetterConfig: config.DeadLetterConfig?.TargetArn || null,
+    tracingConfig: config.TracingConfig?.Mode || "PassThrough",
+    state: config.State,
+    lastUpdateStatus: config.LastUpdateStatus,
+    lastModified: config.LastModified,
+    codeSha256: config.CodeSha256,
+    codeSize: config.CodeSize,
+  };
+}
@@ -0,0 +1,131 @@
+import crypto from "crypto";
+
+// ------------------------------
+// Event sources and invoke permissions
+// ------------------------------
+// Two ways a function gets triggered:
+//
+//   poll-based (SQS, DynamoDB streams, Kinesis): Lambda reads the source
+//   through an event source mapping, using the function's execution role
+//
+//     await lambda.addEventSource("worker", {
+//       sourceArn: "arn:aws:sqs:us-east-1:123456789012:jobs", batchSize: 10,
+//     });
+//
+//   push-based (S3, API Gateway, EventBridge, SNS): the service calls the
+//   function, which needs a resource-based policy statement allowing it
+//
+//     await lambda.addPermission("thumbs", {
+//       principal: "s3", sourceArn: "arn:aws:s3:::uploads",
+//     });
+
+const MANAGED_POLICY = "arn:aws:iam::aws:policy/service-role";
+
+// AWS managed policies granting the reads each poller needs
+export const SOURCE_POLICIES = {
+  sqs: `${MANAGED_POLICY}/AWSLambdaSQSQueueExecutionRole`,
+  dynamodb: `${MANAGED_POLICY}/AWSLambdaDynamoDBExecutionRole`,
+  kinesis: `${MANAGED_POLICY}/AWSLambdaKinesisExecutionRole`,
+};
+
+const STREAM_SOURCES = new Set(["dynamodb", "kinesis"]);
+
+const SERVICE_PRINCIPALS = {
+  s3: "s3.amazonaws.com",
+  apigateway: "apigateway.amazonaws.com",
+  events: "events.amazonaws.com",
+  eventbridge: "events.amazonaws.com",
+  sns: "sns.amazonaws.com",
+  logs: "logs.amazonaws.com",
+};
+
+/**
+ * "sqs", "dynamodb" or "kinesis" from a queue, table stream or stream ARN.
+ */
+export function sourceType(sourceArn) {
+  const [, , service, , , resource = ""] = sourceArn.split(":");
+  if (service === "sqs") return "sqs";
+  if (service === "kinesis") return "kinesis";
+  if (service === "dynamodb" && resource.includes("/stream/")) {
+    return "dynamodb";
+  }
+  throw new Error(
+    `Unsupported event source ${sourceArn} (use an SQS queue, DynamoDB stream or Kinesis stream ARN)`
+  );
+}
+
+/**
+ * `filterCriteria` may be a list of event patterns (objects are
+ * JSON-encoded) or the SDK's { Filters: [{ Pattern }] }.
+ */
+function toFilterCriteria(filterCriteria) {
+  if (!Array.isArray(filterCriteria)) return filterCriteria;
+  return {
+    Filters: filterCriteria.map((pattern) => ({
+      Pattern: typeof pattern === "string" ? pattern : JSON.stringify(pattern),
+    })),
+  };
+}
+
+/**
+ * Shared by create and update; only options that were set are sent.
+ */
+export function eventSourceParams(opts = {}) {
+  const params = {};
+  if (opts.batchSize !== undefined) params.BatchSize = opts.batchSize;
+  if (opts.enabled !== undefined) params.Enabled = opts.enabled;
+  if (opts.maxBatchingWindow !== undefined) {
+    params.MaximumBatchingWindowInSeconds = opts.maxBatchingWindow;
+  }
+  if (opts.filterCriteria !== undefined) {
+    params.FilterCriteria = toFilterCriteria(opts.filterCriteria);
+  }
+  return params;
+}
+
+export function createEventSourceParams(functionName, opts) {
+  const type = sourceType(opts.sourceArn);
+  return {
+    FunctionName: functionName,
+    EventSourceArn: opts.sourceArn,
+    ...eventSourceParams(opts),
+    // Streams require a starting position; queues reject one
+    ...(STREAM_SOURCES.has(type) && {
+      StartingPosition: opts.startingPosition || "LATEST",
+    }),
+  };
+}
+
+// Sids allow [A-Za-z0-9-_]; the hash keeps grants to different sources apart
+function defaultStatementId(principal, action, sourceArn, qualifier) {
+  const hash = crypto
+    .createHash("sha256")
+    .update([principal, action, sourceArn, qualifier].join("|"))
+    .digest("hex")
+    .slice(0, 12);
+  return `${principal.split(".")[0].replace(/[^\w-]/g, "")}-${hash}`;
+}
+
+/**
+ * AddPermission parameters. `principal` may be a short service name
+ * ("s3", "apigateway", "events", "sns") or any principal Lambda accepts.
+ * Without a statementId one is derived from the grant, so repeating the
+ * same call is recognised as already granted.
+ */
+export function permissionParams(functionName, opts = {}) {
+  if (!opts.principal) throw new Error("A principal is required");
+  const principal = SERVICE_PRINCIPALS[opts.principal] || opts.principal;
+  const action = opts.action || "lambda:InvokeFunction";
+
+  return {
+    FunctionName: functionName,
+    StatementId:
+      opts.statementId ||
+      defaultStatementId(principal, action, opts.sourceArn, opts.qualifier),
+    Action: action,
+    Principal: principal,
+    ...(opts.sourceArn && { SourceArn: opts.sourceArn }),
+    ...(opts.sourceAccount && { SourceAccount: opts.sourceAccount }),
+    ...(opts.qualifier !== undefined && { Qualifier: String(opts.qualifier) }),
+  };
+}
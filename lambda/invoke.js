@@ -0,0 +1,120 @@
+import { Buffer } from "buffer";
+import { LambdaFunctionError } from "../utils/errors.js";
+
+// ------------------------------
+// Invoke requests and responses
+// ------------------------------
+// Builds Invoke parameters from SimpleLambda's camelCase options and turns
+// the raw response into what invoke() returns:
+//
+//   RequestResponse                 the decoded payload
+//   RequestResponse + logType Tail  { payload, logs, statusCode, executedVersion }
+//   Event / DryRun                  { statusCode }
+//
+// A response with FunctionError (the handler threw) becomes a
+// LambdaFunctionError instead of a normal-looking { errorMessage } result.
+
+const INVOCATION_TYPES = ["RequestResponse", "Event", "DryRun"];
+
+function encodePayload(payload) {
+  if (payload instanceof Uint8Array) return payload;
+  return Buffer.from(JSON.stringify(payload));
+}
+
+// ClientContext must be base64-encoded JSON; strings are assumed encoded
+function encodeClientContext(clientContext) {
+  if (typeof clientContext === "string") return clientContext;
+  return Buffer.from(JSON.stringify(clientContext)).toString("base64");
+}
+
+/**
+ * @param {object} opts invocationType ("RequestResponse" | "Event" |
+ *   "DryRun"), qualifier (version or alias), logType ("Tail"),
+ *   clientContext (object or base64 string)
+ */
+export function invokeParams(functionName, payload, opts = {}) {
+  const { invocationType, qualifier, logType, clientContext } = opts;
+  if (invocationType && !INVOCATION_TYPES.includes(invocationType)) {
+    throw new Error(
+      `Unsupported invocationType "${invocationType}" (use ${INVOCATION_TYPES.join(
+        ", "
+      )})`
+    );
+  }
+  return {
+    FunctionName: functionName,
+    Payload: encodePayload(payload),
+    ...(invocationType && { InvocationType: invocationType }),
+    ...(qualifier !== undefined && { Qualifier: String(qualifier) }),
+    ...(logType && { LogType: logType }),
+    ...(clientContext && { ClientContext: encodeClientContext(clientContext) }),
+  };
+}
+
+/**
+ * JSON payloads are parsed; anything else is returned as a Buffer.
+ */
+export function decodePayload(bytes) {
+  if (!bytes || !bytes.length) return {};
+  const buffer = Buffer.from(bytes);
+  try {
+    return JSON.parse(buffer.toString("utf8"));
+  } catch {
+    return buffer;
+  }
+}
+
+export function decodeLog(logResult) {
+  return logResult
+    ? Buffer.from(logResult, "base64").toString("utf8")
+    : undefined;
+}
+
+function functionError(operation, res, logs) {
+  const details = decodePayload(res.Payload);
+  // The Node.js runtime reports the stack as `trace`, others as `stackTrace`
+  const {
+    errorType,
+    errorMessage,
+    stackTrace = details.trace,
+  } = Buffer.isBuffer(details)
+    ? { errorMessage: details.toString("utf8") }
+    : details;
+  const reason = errorType
+    ? `${errorType}: ${errorMessage}`
+    : errorMessage || res.FunctionError;
+
+  return new LambdaFunctionError(`Lambda ${operation} failed: ${reason}`, {
+    service: "Lambda",
+    operation: operation.split("(")[0],
+    code: errorType || res.FunctionError,
+    statusCode: res.StatusCode,
+    requestId: res.$metadata?.requestId,
+    functionError: res.FunctionError,
+    errorType,
+    stackTrace,
+    logs,
+  });
+}
+
+/**
+ * Shapes an Invoke response (see the table above); throws a
+ * LambdaFunctionError if the handler failed.
+ */
+export function invokeResult(operation, res, opts = {}) {
+  const logs = decodeLog(res.LogResult);
+  if (res.FunctionError) throw functionError(operation, res, logs);
+
+  const invocationType = opts.invocationType || "RequestResponse";
+  if (invocationType !== "RequestResponse") {
+    return { statusCode: res.StatusCode };
+  }
+  const payload = decodePayload(res.Payload);
+  if (opts.logType !== "Tail") return payload;
+  return {
+    payload,
+    logs,
+    statusCode: res.StatusCode,
+    executedVersion: res.ExecutedVersion,
+  };
+}
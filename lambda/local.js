@@ -0,0 +1,468 @@
+import fs from "fs";
+import path from "path";
+import util from "util";
+import vm from "vm";
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import { createRequire } from "module";
+import AdmZip from "adm-zip";
+import { CREATE_DEFAULTS, toConfigParams } from "./config.js";
+
+// ------------------------------
+// Local invocation
+// ------------------------------
+// Runs a handler in-process the way Lambda's Node.js runtime would, so the
+// code given to deploy() can be tried (and unit-tested) offline:
+//
+//   await lambda.invokeLocal("exports.handler = async (e) => e.n + 1", { n: 1 });
+//
+// Every call is a cold start for the handler's own files: they are loaded
+// into a fresh vm context with its own globals, process.env and module
+// cache. Packages and Node built-ins are not isolated: bare require()s go
+// to the host's require (resolved from the source directory, or the
+// working directory for in-memory code), so they share the host's module
+// cache and read the host's process.env. An SDK client created in the
+// handler therefore ignores the sandbox's AWS_REGION and `env`, and state
+// kept inside a package survives between calls. Handlers must be CommonJS.
+//
+// runLocal() resolves to an Invoke-shaped response, so invoke.js turns it
+// into exactly what invoke() would return.
+
+export const LOCAL_FUNCTION_NAME = "local";
+const LOCAL_ACCOUNT = "000000000000";
+const LOCAL_VERSION = "$LATEST";
+
+// Suffixes tried for require("./name"), in Node's order
+const MODULE_SUFFIXES = ["", ".js", ".cjs", ".json", "/index.js"];
+
+const LOG_LEVELS = {
+  log: "INFO",
+  info: "INFO",
+  warn: "WARN",
+  error: "ERROR",
+  debug: "DEBUG",
+  trace: "TRACE",
+};
+
+// Rejection reason for a handler that ran past its timeout
+const TIMED_OUT = Symbol("timedOut");
+
+function isDirectory(name) {
+  try {
+    return fs.statSync(name).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function fromFiles(files, root = process.cwd()) {
+  const contents = new Map(
+    Object.entries(files).map(([name, content]) => [
+      path.posix.normalize(name),
+      Buffer.from(content),
+    ])
+  );
+  return { root, read: (name) => contents.get(name) };
+}
+
+/**
+ * A code string, directory path, { files }, { dir } or { zipFile } as
+ * { root, read(name) }; read() returns undefined for missing files.
+ */
+function openSource(source) {
+  if (typeof source === "string" && !isDirectory(source)) {
+    return fromFiles({ "index.js": source });
+  }
+  const { files, dir, zipFile } =
+    typeof source === "string" ? { dir: source } : source || {};
+  if (files) return fromFiles(files);
+  if (zipFile) {
+    const entries = new AdmZip(zipFile)
+      .getEntries()
+      .filter((entry) => !entry.isDirectory);
+    return fromFiles(
+      Object.fromEntries(
+        entries.map((entry) => [entry.entryName, entry.getData()])
+      )
+    );
+  }
+  if (dir) {
+    const root = path.resolve(dir);
+    return {
+      root,
+      read: (name) => {
+        try {
+          return fs.readFileSync(path.join(root, name));
+        } catch {
+          return undefined;
+        }
+      },
+    };
+  }
+  throw new Error(
+    "invokeLocal runs a code string, a directory or { files | dir | zipFile }"
+  );
+}
+
+function moduleNotFound(name) {
+  const err = new Error(`Cannot find module '${name}'`);
+  err.code = "MODULE_NOT_FOUND";
+  return err;
+}
+
+/**
+ * A CommonJS loader over the source, evaluating modules inside `context`.
+ */
+function createLoader(source, context) {
+  const cache = new Map();
+  const hostRequire = createRequire(path.join(source.root, "index.js"));
+
+  function find(name, suffixes = MODULE_SUFFIXES) {
+    for (const suffix of suffixes) {
+      const file = path.posix.normalize(name + suffix);
+      const content = source.read(file);
+      if (content) return { file, content };
+    }
+    return undefined;
+  }
+
+  function load({ file, content }) {
+    if (cache.has(file)) return cache.get(file).exports;
+    const module = { id: file, filename: file, exports: {} };
+    cache.set(file, module);
+
+    if (file.endsWith(".json")) {
+      module.exports = JSON.parse(content.toString("utf8"));
+      return module.exports;
+    }
+    const wrapper = vm.compileFunction(
+      content.toString("utf8"),
+      ["exports", "require", "module", "__filename", "__dirname"],
+      { parsingContext: context, filename: file }
+    );
+    const dir = path.posix.dirname(file);
+    wrapper(module.exports, requireFrom(dir), module, file, dir);
+    return module.exports;
+  }
+
+  function requireFrom(dir) {
+    return (specifier) => {
+      if (!/^\.\.?(\/|$)/.test(specifier)) return hostRequire(specifier);
+      const found = find(path.posix.join(dir, specifier));
+      if (!found) throw moduleNotFound(specifier);
+      return load(found);
+    };
+  }
+
+  return { find, load };
+}
+
+// Only the read-only parts of `process`: exit(), on(), chdir() or stdout
+// would act on the host, which is usually the test runner
+function sandboxProcess(env) {
+  return {
+    env,
+    version: process.version,
+    versions: { ...process.versions },
+    platform: process.platform,
+    hrtime: process.hrtime,
+    nextTick: process.nextTick,
+    memoryUsage: process.memoryUsage,
+    cwd: () => process.cwd(),
+  };
+}
+
+/**
+ * A fresh global scope: Lambda's process.env, a console writing to `log`,
+ * and timers that are cleared when the invocation ends (Lambda freezes
+ * the sandbox at that point).
+ */
+function createSandbox(env, log) {
+  const timeouts = new Set();
+  const intervals = new Set();
+  const immediates = new Set();
+  const context = vm.createContext({
+    console: Object.fromEntries(
+      Object.entries(LOG_LEVELS).map(([method, level]) => [
+        method,
+        (...args) => log.entry(level, util.format(...args)),
+      ])
+    ),
+    process: sandboxProcess(env),
+    Buffer,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    fetch: globalThis.fetch,
+    structuredClone,
+    queueMicrotask,
+    setImmediate: (...args) => {
+      const immediate = setImmediate(...args);
+      immediates.add(immediate);
+      return immediate;
+    },
+    clearImmediate: (immediate) => {
+      immediates.delete(immediate);
+      clearImmediate(immediate);
+    },
+    setTimeout: (...args) => {
+      const timer = setTimeout(...args);
+      timeouts.add(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      timeouts.delete(timer);
+      clearTimeout(timer);
+    },
+    setInterval: (...args) => {
+      const timer = setInterval(...args);
+      intervals.add(timer);
+      return timer;
+    },
+    clearInterval: (timer) => {
+      intervals.delete(timer);
+      clearInterval(timer);
+    },
+  });
+  context.global = context;
+
+  return {
+    context,
+    // Runs fn inside the context so vm's timeout also stops synchronous
+    // loops, which a timer on the host could never interrupt
+    call(fn, timeoutMs) {
+      context.__boto3jsCall = fn;
+      try {
+        return vm.runInContext("__boto3jsCall()", context, {
+          timeout: Math.max(1, Math.ceil(timeoutMs)),
+        });
+      } catch (err) {
+        if (err?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") throw TIMED_OUT;
+        throw err;
+      } finally {
+        delete context.__boto3jsCall;
+      }
+    },
+    freeze() {
+      timeouts.forEach((timer) => clearTimeout(timer));
+      intervals.forEach((timer) => clearInterval(timer));
+      immediates.forEach((immediate) => clearImmediate(immediate));
+    },
+  };
+}
+
+function createLog(requestId, echo) {
+  const lines = [];
+  const write = (line) => {
+    lines.push(line);
+    if (echo) console.log(line);
+  };
+  return {
+    write,
+    entry: (level, message) =>
+      write(`${new Date().toISOString()}\t${requestId}\t${level}\t${message}`),
+    text: () => `${lines.join("\n")}\n`,
+  };
+}
+
+function runtimeError(errorType, message) {
+  const err = new Error(message);
+  err.name = errorType;
+  return err;
+}
+
+/**
+ * Loads "<module>.<export>" the way the Node.js runtime resolves it;
+ * failures carry the runtime's Runtime.* error types.
+ */
+function loadHandler(loader, handler) {
+  const slash = handler.lastIndexOf("/");
+  const dot = handler.indexOf(".", slash + 1);
+  const moduleName = dot === -1 ? handler : handler.slice(0, dot);
+  const exportName = dot === -1 ? "" : handler.slice(dot + 1);
+
+  const found = loader.find(moduleName, [".js", ".cjs"]);
+  if (!found) {
+    if (loader.find(moduleName, [".mjs"])) {
+      throw new Error(
+        `${moduleName}.mjs is an ES module; invokeLocal runs CommonJS handlers`
+      );
+    }
+    throw runtimeError(
+      "Runtime.ImportModuleError",
+      `Error: Cannot find module '${moduleName}'`
+    );
+  }
+
+  let exports;
+  try {
+    exports = loader.load(found);
+  } catch (err) {
+    if (err?.name === "SyntaxError") {
+      throw runtimeError("Runtime.UserCodeSyntaxError", String(err));
+    }
+    if (err?.code === "MODULE_NOT_FOUND") {
+      throw runtimeError("Runtime.ImportModuleError", String(err));
+    }
+    throw err;
+  }
+
+  const fn = exportName
+    .split(".")
+    .reduce((value, key) => value?.[key], exports);
+  if (typeof fn !== "function") {
+    throw runtimeError(
+      "Runtime.HandlerNotFound",
+      `${handler} is undefined or not exported`
+    );
+  }
+  return fn;
+}
+
+/**
+ * Calls an async or callback-style handler and settles with its result,
+ * or with TIMED_OUT once the deadline passes.
+ */
+function callHandler(sandbox, fn, event, context, deadline) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(TIMED_OUT),
+      Math.max(0, deadline - Date.now())
+    );
+    const settle = (done) => (value) => {
+      clearTimeout(timer);
+      done(value);
+    };
+    const callback = (err, result) =>
+      err ? settle(reject)(err) : settle(resolve)(result);
+
+    let returned;
+    try {
+      returned = sandbox.call(
+        () => fn(event, context, callback),
+        deadline - Date.now()
+      );
+    } catch (err) {
+      settle(reject)(err);
+      return;
+    }
+    if (typeof returned?.then === "function") {
+      returned.then(settle(resolve), settle(reject));
+    } else if (fn.length < 3) {
+      settle(resolve)(returned);
+    }
+  });
+}
+
+// The error payload the Node.js runtime returns for an unhandled error
+function errorPayload(err) {
+  return {
+    errorType: err?.name || typeof err,
+    errorMessage: err?.message ?? String(err),
+    trace: String(err?.stack || "").split("\n"),
+  };
+}
+
+/**
+ * Runs `handler` from `source` against `event` and resolves to an Invoke
+ * response: { StatusCode, ExecutedVersion, Payload, LogResult } plus
+ * FunctionError "Unhandled" if the handler failed or timed out.
+ * @param {object} opts handler (default "index.handler"), timeout in
+ *   seconds, env, functionName, memorySize, region, clientContext, debug
+ *   (echo the log)
+ */
+export async function runLocal(source, event = {}, opts = {}) {
+  const handler = opts.handler || CREATE_DEFAULTS.Handler;
+  const timeout = opts.timeout ?? CREATE_DEFAULTS.Timeout;
+  const memorySize = opts.memorySize ?? CREATE_DEFAULTS.MemorySize;
+  const functionName = opts.functionName || LOCAL_FUNCTION_NAME;
+  const region = opts.region || process.env.AWS_REGION || "us-east-1";
+  const logGroupName = `/aws/lambda/${functionName}`;
+
+  const code = openSource(source);
+  const requestId = crypto.randomUUID();
+  const log = createLog(requestId, opts.debug);
+  const sandbox = createSandbox(
+    {
+      AWS_REGION: region,
+      AWS_DEFAULT_REGION: region,
+      AWS_LAMBDA_FUNCTION_NAME: functionName,
+      AWS_LAMBDA_FUNCTION_VERSION: LOCAL_VERSION,
+      AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(memorySize),
+      AWS_LAMBDA_LOG_GROUP_NAME: logGroupName,
+      _HANDLER: handler,
+      ...toConfigParams({ environment: opts.env }).Environment?.Variables,
+    },
+    log
+  );
+
+  const started = Date.now();
+  const deadline = started + timeout * 1000;
+  const context = {
+    functionName,
+    functionVersion: LOCAL_VERSION,
+    invokedFunctionArn: `arn:aws:lambda:${region}:${LOCAL_ACCOUNT}:function:${functionName}`,
+    memoryLimitInMB: String(memorySize),
+    awsRequestId: requestId,
+    logGroupName,
+    logStreamName: `local/[${LOCAL_VERSION}]${requestId.replace(/-/g, "")}`,
+    clientContext: opts.clientContext,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+  };
+
+  log.write(`START RequestId: ${requestId} Version: ${LOCAL_VERSION}`);
+  let payload;
+  let failed = false;
+  try {
+    const loader = createLoader(code, sandbox.context);
+    const fn = sandbox.call(
+      () => loadHandler(loader, handler),
+      deadline - started
+    );
+    // Events arrive as JSON, so handlers get the context's own objects
+    const json =
+      event instanceof Uint8Array
+        ? Buffer.from(event).toString("utf8")
+        : JSON.stringify(event);
+    const input = vm.runInContext("JSON.parse", sandbox.context)(json);
+    const result = await callHandler(sandbox, fn, input, context, deadline);
+    payload = JSON.stringify(result) ?? "null";
+  } catch (err) {
+    failed = true;
+    if (err === TIMED_OUT) {
+      const message = `Task timed out after ${timeout.toFixed(2)} seconds`;
+      log.write(`${new Date().toISOString()} ${requestId} ${message}`);
+      payload = JSON.stringify({
+        errorType: "Sandbox.Timedout",
+        errorMessage: message,
+      });
+    } else {
+      payload = JSON.stringify(errorPayload(err));
+      log.entry("ERROR", `Invoke Error \t${payload}`);
+    }
+  } finally {
+    sandbox.freeze();
+  }
+
+  const duration = Date.now() - started;
+  log.write(`END RequestId: ${requestId}`);
+  log.write(
+    `REPORT RequestId: ${requestId}\tDuration: ${duration.toFixed(
+      2
+    )} ms\tBilled Duration: ${Math.max(
+      1,
+      duration
+    )} ms\tMemory Size: ${memorySize} MB`
+  );
+
+  return {
+    StatusCode: 200,
+    ExecutedVersion: LOCAL_VERSION,
+    Payload: Buffer.from(payload),
+    LogResult: Buffer.from(log.text()).toString("base64"),
+    ...(failed && { FunctionError: "Unhandled" }),
+  };
+}
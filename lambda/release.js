@@ -0,0 +1,132 @@
+// ------------------------------
+// Versions, aliases and canary releases
+// ------------------------------
+// Shifts an alias to a new version a step at a time, checking health
+// between steps and snapping back to the stable version on failure:
+//
+//   await lambda.deploy("api", { dir: "./api" }, { upsert: true });
+//   await lambda.canaryRelease("api", "live", {
+//     weight: 0.1, steps: 3, intervalMs: 60_000,
+//     healthCheck: { payload: { ping: true } },
+//   });
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * CreateAlias / UpdateAlias parameters. `additionalVersionWeights` maps a
+ * second version to the share of traffic (0-1) it receives; pass {} to
+ * clear an existing split.
+ */
+export function aliasParams(
+  functionName,
+  alias,
+  { version, description, additionalVersionWeights } = {}
+) {
+  const params = { FunctionName: functionName, Name: alias };
+  if (version !== undefined) params.FunctionVersion = String(version);
+  if (description !== undefined) params.Description = description;
+  if (additionalVersionWeights) {
+    params.RoutingConfig = {
+      AdditionalVersionWeights: additionalVersionWeights,
+    };
+  }
+  return params;
+}
+
+/**
+ * Traffic shares for the new version, one per step: the first is
+ * `weight`, the rest climb evenly towards (but never reach) 100%, which
+ * is applied by promoting the alias. `steps` may also be an explicit list.
+ */
+export function canaryWeights(weight, steps) {
+  if (Array.isArray(steps)) return steps;
+  return Array.from(
+    { length: steps },
+    (_, i) => Math.round((weight + ((1 - weight) * i) / steps) * 1000) / 1000
+  );
+}
+
+/**
+ * A health check is either a function (return false or throw to fail)
+ * or { payload }, which invokes the new version directly; invoke() throws
+ * a LambdaFunctionError if the handler fails.
+ */
+async function runHealthCheck(lambda, healthCheck, context) {
+  if (typeof healthCheck === "function") {
+    if ((await healthCheck(context)) === false) {
+      throw new Error("health check returned false");
+    }
+    return;
+  }
+  await lambda.invoke(context.functionName, healthCheck.payload ?? {}, {
+    qualifier: context.version,
+  });
+}
+
+export async function canaryRelease(lambda, functionName, alias, options = {}) {
+  const {
+    weight = 0.1,
+    steps = 1,
+    intervalMs = DEFAULT_INTERVAL_MS,
+    healthCheck,
+  } = options;
+  const current = await lambda.getAlias(functionName, alias);
+  const stable = current.FunctionVersion;
+  const version = String(
+    options.version ?? (await lambda.publishVersion(functionName)).Version
+  );
+  const result = { alias, version, previousVersion: stable, weights: [] };
+  if (version === stable) return result;
+
+  // Any failure from here on, not just a failed health check, must not
+  // leave the alias with a partial traffic split
+  try {
+    for (const share of canaryWeights(weight, steps)) {
+      await lambda.updateAlias(functionName, alias, {
+        version: stable,
+        additionalVersionWeights: { [version]: share },
+      });
+      result.weights.push(share);
+      const percent = Math.round(share * 100);
+      if (lambda.debug)
+        console.log(`${functionName}:${alias} -> ${percent}% on v${version}`);
+
+      await sleep(intervalMs);
+      if (!healthCheck) continue;
+      try {
+        await runHealthCheck(lambda, healthCheck, {
+          functionName,
+          alias,
+          version,
+          weight: share,
+        });
+      } catch (err) {
+        const rollback = new Error(
+          `rolled back to version ${stable} at ${percent}%: ${err.message}`,
+          { cause: err }
+        );
+        rollback.name = "CanaryRollback";
+        throw rollback;
+      }
+    }
+
+    await lambda.updateAlias(functionName, alias, {
+      version,
+      additionalVersionWeights: {},
+    });
+  } catch (err) {
+    // A failed rollback must not hide why the release stopped
+    try {
+      await lambda.updateAlias(functionName, alias, {
+        version: stable,
+        additionalVersionWeights: {},
+      });
+    } catch (rollbackErr) {
+      err.rollbackError = rollbackErr;
+    }
+    throw err;
+  }
+  return result;
+}
@@ -2,15 +2,92 @@ import {
   LambdaClient,
   CreateFunctionCommand,
   UpdateFunctionCodeCommand,
+  UpdateFunctionConfigurationCommand,
+  GetFunctionConfigurationCommand,
   InvokeCommand,
   DeleteFunctionCommand,
   waitUntilFunctionActive,
   waitUntilFunctionUpdated,
   ListFunctionsCommand,
+  PublishVersionCommand,
+  CreateAliasCommand,
+  UpdateAliasCommand,
+  GetAliasCommand,
+  ListAliasesCommand,
+  DeleteAliasCommand,
+  GetFunctionCommand,
+  TagResourceCommand,
+  PutFunctionConcurrencyCommand,
+  GetFunctionConcurrencyCommand,
+  DeleteFunctionConcurrencyCommand,
+  PutProvisionedConcurrencyConfigCommand,
+  GetProvisionedConcurrencyConfigCommand,
+  DeleteProvisionedConcurrencyConfigCommand,
+  CreateEventSourceMappingCommand,
+  UpdateEventSourceMappingCommand,
+  DeleteEventSourceMappingCommand,
+  ListEventSourceMappingsCommand,
+  AddPermissionCommand,
+  RemovePermissionCommand,
+  GetPolicyCommand,
 } from "@aws-sdk/client-lambda";
 import { SimpleIAM } from "../iam/simpleIAM.js";
-import { Buffer } from "buffer";
-import AdmZip from "adm-zip";
+import crypto from "crypto";
+import { createPaginator, paginateAll } from "../utils/paginator.js";
+import { toBoto3Error } from "../utils/errors.js";
+import { resolveCode } from "./bundle.js";
+import {
+  configChanges,
+  normalizeConfiguration,
+  toArchitectures,
+  toConfigParams,
+  toCreateParams,
+} from "./config.js";
+import { aliasParams, canaryRelease } from "./release.js";
+import { invokeParams, invokeResult } from "./invoke.js";
+import { LOCAL_FUNCTION_NAME, runLocal } from "./local.js";
+import {
+  SOURCE_POLICIES,
+  createEventSourceParams,
+  eventSourceParams,
+  permissionParams,
+  sourceType,
+} from "./eventSources.js";
+
+const PAGINATORS = {
+  listFunctions: {
+    command: ListFunctionsCommand,
+    inputToken: "Marker",
+    outputToken: "NextMarker",
+    limitKey: "MaxItems",
+    resultKey: "Functions",
+  },
+  listAliases: {
+    command: ListAliasesCommand,
+    inputToken: "Marker",
+    outputToken: "NextMarker",
+    limitKey: "MaxItems",
+    resultKey: "Aliases",
+  },
+  listEventSources: {
+    command: ListEventSourceMappingsCommand,
+    inputToken: "Marker",
+    outputToken: "NextMarker",
+    limitKey: "MaxItems",
+    resultKey: "EventSourceMappings",
+  },
+};
+
+const PROVISIONED_POLL_MS = 5000;
+
+// IAM changes take a few seconds to reach Lambda's permission checks
+const ROLE_PROPAGATION_ATTEMPTS = 6;
+const ROLE_PROPAGATION_DELAY_MS = 5000;
+
+const BASIC_EXECUTION_POLICY =
+  "arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export class SimpleLambda {
   constructor(options = {}, { debug = false } = {}) {
@@ -25,25 +102,28 @@ export class SimpleLambda {
   }
 
   _handleError(operation, err) {
-    throw new Error(`Lambda ${operation} failed: ${err.message}`);
+    throw toBoto3Error("Lambda", operation, err);
   }
 
-  /**
-   * Create in-memory ZIP using uzip.
-   * The user provides plain JS code string; we zip it as index.js.
-   */
-  _createZipBuffer(codeString) {
-    const zip = new AdmZip();
-    zip.addFile("index.js", Buffer.from(codeString, "utf8"));
-    return zip.toBuffer();
+  // --- Pagination ---
+  getPaginator(operation) {
+    return createPaginator(this, "Lambda", PAGINATORS, operation);
+  }
+
+  canPaginate(operation) {
+    return operation in PAGINATORS;
   }
 
   // --- Internal Role Helper ---
-  async _getOrCreateRole(roleName = "boto3js-lambda-role") {
+  /**
+   * @param {string[]} policyArns extra managed policies the role needs
+   *   (attaching an already attached policy is a no-op)
+   */
+  async _getOrCreateRole(roleName = "boto3js-lambda-role", policyArns = []) {
+    let role;
     try {
-      const role = await this.iam.getRole(roleName);
+      role = await this.iam.getRole(roleName);
       if (this.debug) console.log("Using existing Lambda role:", role.Arn);
-      return role.Arn;
     } catch {
       const assumePolicy = {
         Version: "2012-10-17",
@@ -56,61 +136,400 @@ export class SimpleLambda {
         ],
       };
 
-      const newRole = await this.iam.createRole(roleName, assumePolicy);
-      if (this.debug) console.log("Created new Lambda role:", newRole.Arn);
+      role = await this.iam.createRole(roleName, assumePolicy);
+      if (this.debug) console.log("Created new Lambda role:", role.Arn);
 
-      await this.iam.attachPolicyToRole(
-        roleName,
-        "arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole"
-      );
+      await this.iam.attachPolicyToRole(roleName, BASIC_EXECUTION_POLICY);
+    }
 
-      return newRole.Arn;
+    for (const policyArn of policyArns) {
+      await this.iam.attachPolicyToRole(roleName, policyArn);
     }
+    return role.Arn;
   }
 
   // --- Deploy Lambda ---
-  async deploy(functionName, codeString, opts = {}) {
+  /**
+   * @param {string|object} source code string, or { files }, { dir,
+   *   include, exclude, nodeModules }, { zipFile } or { s3Bucket, s3Key,
+   *   s3ObjectVersion } (see bundle.js). Deploy options may be given in
+   *   the same object or in `opts`.
+   * @param {object} opts runtime, handler, timeout, memorySize,
+   *   description, roleName, environment, layers, vpcConfig,
+   *   architectures, ephemeralStorage, deadLetterConfig, tracingConfig,
+   *   tags (see config.js). With `upsert: true` an existing function is
+   *   updated in place instead of failing. `publish: true` publishes a
+   *   version and `alias` points that alias at it (creating it if needed).
+   * @returns {string} the function ARN, or the qualified version / alias
+   *   ARN when publishing.
+   */
+  async deploy(functionName, source, opts = {}) {
+    if (source && typeof source === "object") opts = { ...source, ...opts };
     try {
-      const roleArn = await this._getOrCreateRole(opts.roleName);
-      const zipBuffer = this._createZipBuffer(codeString);
+      const code = await resolveCode(source);
+      const current =
+        opts.upsert && (await this._getConfigurationIfExists(functionName));
+      let arn = current
+        ? await this._updateExisting(current, code, opts)
+        : await this._create(functionName, code, opts);
 
+      if (opts.publish || opts.alias) {
+        arn = await this._publish(functionName, opts.alias);
+      }
+      return this._formatOutput(arn);
+    } catch (err) {
+      this._handleError(`deploy(${functionName})`, err);
+    }
+  }
+
+  async _create(functionName, code, opts) {
+    const roleArn = await this._getOrCreateRole(opts.roleName);
+    const res = await this.client.send(
+      new CreateFunctionCommand({
+        FunctionName: functionName,
+        Role: roleArn,
+        Code: code,
+        ...toCreateParams(opts),
+      })
+    );
+
+    if (this.debug)
+      console.log(`Waiting for function ${functionName} to become Active...`);
+    await waitUntilFunctionActive(
+      { client: this.client, maxWaitTime: 180 },
+      { FunctionName: functionName }
+    );
+    if (this.debug) console.log("Function is now Active.");
+
+    return res.FunctionArn;
+  }
+
+  async _publish(functionName, alias) {
+    const published = await this.client.send(
+      new PublishVersionCommand({ FunctionName: functionName })
+    );
+    if (this.debug)
+      console.log(`Published ${functionName} version ${published.Version}`);
+    if (!alias) return published.FunctionArn;
+
+    // Any traffic split left over from a canary is cleared
+    const target = { version: published.Version, additionalVersionWeights: {} };
+    try {
       const res = await this.client.send(
-        new CreateFunctionCommand({
-          FunctionName: functionName,
-          Role: roleArn,
-          Handler: opts.handler || "index.handler",
-          Runtime: opts.runtime || "nodejs18.x",
-          Code: { ZipFile: zipBuffer },
-          Description: opts.description || "Created by boto3-js SimpleLambda",
-          Timeout: opts.timeout || 10,
-          MemorySize: opts.memorySize || 128,
-        })
+        new UpdateAliasCommand(aliasParams(functionName, alias, target))
+      );
+      return res.AliasArn;
+    } catch (err) {
+      if (err.name !== "ResourceNotFoundException") throw err;
+      const res = await this.client.send(
+        new CreateAliasCommand(aliasParams(functionName, alias, target))
       );
+      return res.AliasArn;
+    }
+  }
 
-      if (this.debug)
-        console.log(`Waiting for function ${functionName} to become Active...`);
+  async _getConfigurationIfExists(functionName) {
+    try {
+      return await this.client.send(
+        new GetFunctionConfigurationCommand({ FunctionName: functionName })
+      );
+    } catch (err) {
+      if (err.name === "ResourceNotFoundException") return null;
+      throw err;
+    }
+  }
+
+  async _waitUntilUpdated(functionName) {
+    await waitUntilFunctionUpdated(
+      { client: this.client, maxWaitTime: 180 },
+      { FunctionName: functionName }
+    );
+  }
+
+  /**
+   * Upsert path of deploy(): applies only the configuration that differs,
+   * then the code unless its SHA-256 matches the deployed CodeSha256.
+   * Lambda rejects an update while another is in progress, so each step
+   * waits for the previous one to finish.
+   */
+  async _updateExisting(current, code, opts) {
+    const { FunctionName: functionName } = current;
+    const desired = toConfigParams(opts);
+    if (opts.roleName)
+      desired.Role = await this._getOrCreateRole(opts.roleName);
+    const changes = configChanges(current, desired);
+
+    if (current.State === "Pending") {
       await waitUntilFunctionActive(
         { client: this.client, maxWaitTime: 180 },
         { FunctionName: functionName }
       );
-      if (this.debug) console.log("Function is now Active.");
+    } else if (current.LastUpdateStatus === "InProgress") {
+      await this._waitUntilUpdated(functionName);
+    }
 
-      return this._formatOutput(res.FunctionArn);
+    if (Object.keys(changes).length) {
+      if (this.debug)
+        console.log(`Updating ${functionName} configuration:`, changes);
+      await this.client.send(
+        new UpdateFunctionConfigurationCommand({
+          FunctionName: functionName,
+          ...changes,
+        })
+      );
+      await this._waitUntilUpdated(functionName);
+    }
+
+    if (opts.tags) await this._tag(current.FunctionArn, opts.tags);
+
+    // The architecture can only change together with the code
+    const architectures = toArchitectures(opts.architectures);
+    const sameArchitecture =
+      !architectures ||
+      architectures.join() === (current.Architectures || ["x86_64"]).join();
+    const unchanged =
+      sameArchitecture &&
+      code.ZipFile &&
+      crypto.createHash("sha256").update(code.ZipFile).digest("base64") ===
+        current.CodeSha256;
+    if (unchanged) {
+      if (this.debug) console.log(`Code of ${functionName} is unchanged.`);
+      return current.FunctionArn;
+    }
+    const res = await this.client.send(
+      new UpdateFunctionCodeCommand({
+        FunctionName: functionName,
+        ...code,
+        ...(architectures && { Architectures: architectures }),
+      })
+    );
+    await this._waitUntilUpdated(functionName);
+    return res.FunctionArn;
+  }
+
+  async _tag(functionArn, tags) {
+    await this.client.send(
+      new TagResourceCommand({ Resource: functionArn, Tags: tags })
+    );
+  }
+
+  // --- Update Lambda Configuration ---
+  /**
+   * Changes settings of an existing function without touching its code.
+   * @param {object} opts same keys as deploy(), except `architectures`
+   *   which Lambda only accepts with new code. `tags` are added or
+   *   overwritten; other existing tags are kept.
+   */
+  async updateConfiguration(functionName, opts = {}) {
+    try {
+      if (opts.architectures) {
+        throw new Error(
+          "architectures can only change with the code; use deploy(..., { upsert: true })"
+        );
+      }
+      const params = toConfigParams(opts);
+      if (opts.roleName)
+        params.Role = await this._getOrCreateRole(opts.roleName);
+      const res = await this.client.send(
+        new UpdateFunctionConfigurationCommand({
+          FunctionName: functionName,
+          ...params,
+        })
+      );
+      await this._waitUntilUpdated(functionName);
+      if (opts.tags) await this._tag(res.FunctionArn, opts.tags);
+      return this._formatOutput(res);
     } catch (err) {
-      this._handleError(`deploy(${functionName})`, err);
+      this._handleError(`updateConfiguration(${functionName})`, err);
     }
   }
 
-  // --- Update Lambda Code ---
-  async update(functionName, codeString) {
+  // --- Function Details ---
+  /**
+   * Configuration in the same camelCase shape as the deploy() options
+   * (environment as { KEY: value }, layers as ARNs, ...), plus state.
+   */
+  async getConfiguration(functionName, { qualifier } = {}) {
     try {
-      const zipBuffer = this._createZipBuffer(codeString);
       const res = await this.client.send(
-        new UpdateFunctionCodeCommand({
+        new GetFunctionConfigurationCommand({
           FunctionName: functionName,
-          ZipFile: zipBuffer,
+          Qualifier: qualifier,
         })
       );
+      return this._formatOutput(normalizeConfiguration(res));
+    } catch (err) {
+      this._handleError(`getConfiguration(${functionName})`, err);
+    }
+  }
+
+  /**
+   * getConfiguration() plus tags, reserved concurrency and a pre-signed
+   * `code.location` to download the deployment package.
+   */
+  async getFunction(functionName, { qualifier } = {}) {
+    try {
+      const res = await this.client.send(
+        new GetFunctionCommand({
+          FunctionName: functionName,
+          Qualifier: qualifier,
+        })
+      );
+      return this._formatOutput({
+        ...normalizeConfiguration(res.Configuration),
+        tags: res.Tags || {},
+        reservedConcurrency:
+          res.Concurrency?.ReservedConcurrentExecutions ?? null,
+        code: {
+          location: res.Code?.Location,
+          repositoryType: res.Code?.RepositoryType,
+        },
+      });
+    } catch (err) {
+      this._handleError(`getFunction(${functionName})`, err);
+    }
+  }
+
+  // --- Concurrency ---
+  async setReservedConcurrency(functionName, concurrency) {
+    try {
+      const res = await this.client.send(
+        new PutFunctionConcurrencyCommand({
+          FunctionName: functionName,
+          ReservedConcurrentExecutions: concurrency,
+        })
+      );
+      return this._formatOutput(res.ReservedConcurrentExecutions);
+    } catch (err) {
+      this._handleError(`setReservedConcurrency(${functionName})`, err);
+    }
+  }
+
+  /**
+   * @returns {number|null} null when the function uses the unreserved pool
+   */
+  async getReservedConcurrency(functionName) {
+    try {
+      const res = await this.client.send(
+        new GetFunctionConcurrencyCommand({ FunctionName: functionName })
+      );
+      return this._formatOutput(res.ReservedConcurrentExecutions ?? null);
+    } catch (err) {
+      this._handleError(`getReservedConcurrency(${functionName})`, err);
+    }
+  }
+
+  async removeReservedConcurrency(functionName) {
+    try {
+      const res = await this.client.send(
+        new DeleteFunctionConcurrencyCommand({ FunctionName: functionName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`removeReservedConcurrency(${functionName})`, err);
+    }
+  }
+
+  async _getProvisioned(functionName, qualifier) {
+    try {
+      const res = await this.client.send(
+        new GetProvisionedConcurrencyConfigCommand({
+          FunctionName: functionName,
+          Qualifier: String(qualifier),
+        })
+      );
+      return {
+        requested: res.RequestedProvisionedConcurrentExecutions,
+        allocated: res.AllocatedProvisionedConcurrentExecutions,
+        available: res.AvailableProvisionedConcurrentExecutions,
+        status: res.Status,
+        statusReason: res.StatusReason,
+      };
+    } catch (err) {
+      if (err.name === "ProvisionedConcurrencyConfigNotFoundException")
+        return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Provisioned concurrency applies to a version or alias (`qualifier`).
+   * Allocation takes minutes; with `wait: true` this resolves once the
+   * status is READY and throws if it ends up FAILED.
+   */
+  async setProvisionedConcurrency(
+    functionName,
+    qualifier,
+    concurrency,
+    { wait = false, maxWaitTime = 900 } = {}
+  ) {
+    const operation = `setProvisionedConcurrency(${functionName}, ${qualifier})`;
+    try {
+      await this.client.send(
+        new PutProvisionedConcurrencyConfigCommand({
+          FunctionName: functionName,
+          Qualifier: String(qualifier),
+          ProvisionedConcurrentExecutions: concurrency,
+        })
+      );
+      const deadline = Date.now() + maxWaitTime * 1000;
+      let config = await this._getProvisioned(functionName, qualifier);
+      while (wait && config?.status === "IN_PROGRESS") {
+        if (Date.now() >= deadline) {
+          throw new Error(
+            `Provisioned concurrency not ready after ${maxWaitTime}s`
+          );
+        }
+        await sleep(PROVISIONED_POLL_MS);
+        config = await this._getProvisioned(functionName, qualifier);
+      }
+      if (config?.status === "FAILED") throw new Error(config.statusReason);
+      return this._formatOutput(config);
+    } catch (err) {
+      this._handleError(operation, err);
+    }
+  }
+
+  /**
+   * @returns {object|null} { requested, allocated, available, status,
+   *   statusReason }, or null if none is configured
+   */
+  async getProvisionedConcurrency(functionName, qualifier) {
+    try {
+      const config = await this._getProvisioned(functionName, qualifier);
+      return this._formatOutput(config);
+    } catch (err) {
+      this._handleError(
+        `getProvisionedConcurrency(${functionName}, ${qualifier})`,
+        err
+      );
+    }
+  }
+
+  async removeProvisionedConcurrency(functionName, qualifier) {
+    try {
+      const res = await this.client.send(
+        new DeleteProvisionedConcurrencyConfigCommand({
+          FunctionName: functionName,
+          Qualifier: String(qualifier),
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(
+        `removeProvisionedConcurrency(${functionName}, ${qualifier})`,
+        err
+      );
+    }
+  }
+
+  // --- Update Lambda Code ---
+  async update(functionName, source) {
+    try {
+      const code = await resolveCode(source);
+      const res = await this.client.send(
+        new UpdateFunctionCodeCommand({ FunctionName: functionName, ...code })
+      );
       if (this.debug)
         console.log(
           `Waiting for function ${functionName} update to complete...`
@@ -127,23 +546,307 @@ export class SimpleLambda {
   }
 
   // --- Invoke Lambda ---
-  async invoke(functionName, payload = {}) {
+  /**
+   * @param {object} opts invocationType ("Event" | "DryRun"), qualifier,
+   *   logType ("Tail"), clientContext. See lambda/invoke.js for what is
+   *   returned in each mode. Throws a LambdaFunctionError (with errorType
+   *   and stackTrace) when the handler fails.
+   */
+  async invoke(functionName, payload = {}, opts = {}) {
+    const operation = `invoke(${functionName})`;
+    let res;
+    try {
+      res = await this.client.send(
+        new InvokeCommand(invokeParams(functionName, payload, opts))
+      );
+    } catch (err) {
+      this._handleError(operation, err);
+    }
+    return this._formatOutput(invokeResult(operation, res, opts));
+  }
+
+  // --- Local Invoke ---
+  /**
+   * Runs the handler in-process (see local.js) and returns what invoke()
+   * would for the same code, without calling AWS.
+   * @param {string|object} source code string, directory path, or
+   *   { files }, { dir } or { zipFile } as for deploy()
+   * @param {object} opts handler, timeout (seconds), env, functionName,
+   *   memorySize, region, clientContext, logType ("Tail")
+   */
+  async invokeLocal(source, event = {}, opts = {}) {
+    const operation = `invokeLocal(${
+      opts.functionName || LOCAL_FUNCTION_NAME
+    })`;
+    let res;
+    try {
+      res = await runLocal(source, event, { ...opts, debug: this.debug });
+    } catch (err) {
+      this._handleError(operation, err);
+    }
+    return this._formatOutput(
+      invokeResult(operation, res, { logType: opts.logType })
+    );
+  }
+
+  // --- Versions & Aliases ---
+  async publishVersion(functionName, { description } = {}) {
+    try {
+      const res = await this.client.send(
+        new PublishVersionCommand({
+          FunctionName: functionName,
+          Description: description,
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`publishVersion(${functionName})`, err);
+    }
+  }
+
+  /**
+   * @param {object} opts description, additionalVersionWeights
+   *   ({ "5": 0.1 } sends 10% of the alias's traffic to version 5)
+   */
+  async createAlias(functionName, alias, version, opts = {}) {
+    try {
+      const res = await this.client.send(
+        new CreateAliasCommand(
+          aliasParams(functionName, alias, { ...opts, version })
+        )
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`createAlias(${functionName}, ${alias})`, err);
+    }
+  }
+
+  /**
+   * @param {object} opts version, description, additionalVersionWeights
+   *   (pass {} to remove a traffic split)
+   */
+  async updateAlias(functionName, alias, opts = {}) {
+    try {
+      const res = await this.client.send(
+        new UpdateAliasCommand(aliasParams(functionName, alias, opts))
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`updateAlias(${functionName}, ${alias})`, err);
+    }
+  }
+
+  async getAlias(functionName, alias) {
+    try {
+      const res = await this.client.send(
+        new GetAliasCommand({ FunctionName: functionName, Name: alias })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`getAlias(${functionName}, ${alias})`, err);
+    }
+  }
+
+  async listAliases(functionName) {
+    try {
+      const aliases = await paginateAll(this.client, PAGINATORS.listAliases, {
+        FunctionName: functionName,
+      });
+      return this._formatOutput(aliases);
+    } catch (err) {
+      this._handleError(`listAliases(${functionName})`, err);
+    }
+  }
+
+  async deleteAlias(functionName, alias) {
+    try {
+      const res = await this.client.send(
+        new DeleteAliasCommand({ FunctionName: functionName, Name: alias })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteAlias(${functionName}, ${alias})`, err);
+    }
+  }
+
+  /**
+   * Gradually shifts `alias` to a new version (the given `version`, or one
+   * published from $LATEST), checking health at every step and rolling
+   * back on failure. See lambda/release.js for weight, steps, intervalMs
+   * and healthCheck.
+   */
+  async canaryRelease(functionName, alias, options = {}) {
+    try {
+      const res = await canaryRelease(this, functionName, alias, options);
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`canaryRelease(${functionName}, ${alias})`, err);
+    }
+  }
+
+  // --- Event Sources ---
+  /**
+   * Attaches the read policy for the source type to the function's
+   * execution role, whichever role that is.
+   */
+  async _grantSourceAccess(functionName, sourceArn) {
+    const config = await this.client.send(
+      new GetFunctionConfigurationCommand({ FunctionName: functionName })
+    );
+    const roleName = config.Role.split("/").pop();
+    await this._getOrCreateRole(roleName, [
+      SOURCE_POLICIES[sourceType(sourceArn)],
+    ]);
+  }
+
+  /**
+   * Connects an SQS queue, DynamoDB stream or Kinesis stream to the
+   * function. The execution role gets the matching read policy unless
+   * `grantAccess: false`.
+   * @param {object} opts sourceArn, batchSize, startingPosition (streams,
+   *   default "LATEST"), filterCriteria, maxBatchingWindow, enabled
+   */
+  async addEventSource(functionName, opts = {}) {
+    try {
+      const params = createEventSourceParams(functionName, opts);
+      const grant = opts.grantAccess !== false;
+      if (grant) await this._grantSourceAccess(functionName, opts.sourceArn);
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const res = await this.client.send(
+            new CreateEventSourceMappingCommand(params)
+          );
+          return this._formatOutput(res);
+        } catch (err) {
+          const propagating =
+            grant &&
+            err.name === "InvalidParameterValueException" &&
+            /permission/i.test(err.message);
+          if (!propagating || attempt >= ROLE_PROPAGATION_ATTEMPTS) throw err;
+          await sleep(ROLE_PROPAGATION_DELAY_MS);
+        }
+      }
+    } catch (err) {
+      this._handleError(`addEventSource(${functionName})`, err);
+    }
+  }
+
+  async listEventSources(functionName, { sourceArn } = {}) {
+    try {
+      const mappings = await paginateAll(
+        this.client,
+        PAGINATORS.listEventSources,
+        { FunctionName: functionName, EventSourceArn: sourceArn }
+      );
+      return this._formatOutput(mappings);
+    } catch (err) {
+      this._handleError(`listEventSources(${functionName})`, err);
+    }
+  }
+
+  /**
+   * @param {string} uuid mapping id returned by addEventSource()
+   * @param {object} opts batchSize, filterCriteria, maxBatchingWindow,
+   *   enabled
+   */
+  async updateEventSource(uuid, opts = {}) {
     try {
       const res = await this.client.send(
-        new InvokeCommand({
+        new UpdateEventSourceMappingCommand({
+          UUID: uuid,
+          ...eventSourceParams(opts),
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`updateEventSource(${uuid})`, err);
+    }
+  }
+
+  async deleteEventSource(uuid) {
+    try {
+      const res = await this.client.send(
+        new DeleteEventSourceMappingCommand({ UUID: uuid })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteEventSource(${uuid})`, err);
+    }
+  }
+
+  // --- Permissions ---
+  async _getPolicy(functionName, qualifier) {
+    try {
+      const res = await this.client.send(
+        new GetPolicyCommand({
           FunctionName: functionName,
-          Payload: Buffer.from(JSON.stringify(payload)),
+          Qualifier: qualifier,
         })
       );
+      return JSON.parse(res.Policy);
+    } catch (err) {
+      if (err.name === "ResourceNotFoundException") return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Lets a service (or account) invoke the function.
+   * @param {object} opts principal ("s3", "apigateway", "events", "sns" or
+   *   a full principal), sourceArn, sourceAccount, action, statementId,
+   *   qualifier
+   * @returns {object} the policy statement; granting the same access
+   *   twice returns the existing one
+   */
+  async addPermission(functionName, opts = {}) {
+    try {
+      const params = permissionParams(functionName, opts);
+      try {
+        const res = await this.client.send(new AddPermissionCommand(params));
+        return this._formatOutput(JSON.parse(res.Statement));
+      } catch (err) {
+        const duplicate =
+          err.name === "ResourceConflictException" &&
+          /already exists/i.test(err.message);
+        if (!duplicate) throw err;
+        const policy = await this._getPolicy(functionName, params.Qualifier);
+        const existing = policy?.Statement.find(
+          (statement) => statement.Sid === params.StatementId
+        );
+        if (!existing) throw err;
+        return this._formatOutput(existing);
+      }
+    } catch (err) {
+      this._handleError(`addPermission(${functionName})`, err);
+    }
+  }
 
-      const decoded =
-        res.Payload && res.Payload.length
-          ? JSON.parse(Buffer.from(res.Payload).toString())
-          : {};
+  async removePermission(functionName, statementId, { qualifier } = {}) {
+    try {
+      const res = await this.client.send(
+        new RemovePermissionCommand({
+          FunctionName: functionName,
+          StatementId: statementId,
+          Qualifier: qualifier,
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`removePermission(${functionName})`, err);
+    }
+  }
 
-      return this._formatOutput(decoded);
+  /**
+   * @returns {object|null} the resource-based policy, or null if the
+   *   function has none
+   */
+  async getPolicy(functionName, { qualifier } = {}) {
+    try {
+      const policy = await this._getPolicy(functionName, qualifier);
+      return this._formatOutput(policy);
     } catch (err) {
-      this._handleError(`invoke(${functionName})`, err);
+      this._handleError(`getPolicy(${functionName})`, err);
     }
   }
 
@@ -162,8 +865,11 @@ export class SimpleLambda {
   // --- List Lambdas ---
   async listFunctions() {
     try {
-      const res = await this.client.send(new ListFunctionsCommand({}));
-      return this._formatOutput(res.Functions || []);
+      const functions = await paginateAll(
+        this.client,
+        PAGINATORS.listFunctions
+      );
+      return this._formatOutput(functions);
     } catch (err) {
       this._handleError("listFunctions", err);
     }
@@ -0,0 +1,116 @@
+import {
+  PutBucketVersioningCommand,
+  PutBucketEncryptionCommand,
+  PutPublicAccessBlockCommand,
+  PutBucketTaggingCommand,
+} from "@aws-sdk/client-s3";
+
+// ------------------------------
+// Bucket configuration helpers
+// ------------------------------
+// Request builders and response shaping shared by the SimpleS3
+// get/set/delete methods and createBucket(name, { ... }), which may have
+// to send them through a client for another region.
+
+// Error codes S3 returns when a configuration has never been set. The
+// getters treat them as "empty" instead of failing.
+export const MISSING_CONFIG_CODES = {
+  lifecycle: "NoSuchLifecycleConfiguration",
+  cors: "NoSuchCORSConfiguration",
+  policy: "NoSuchBucketPolicy",
+  publicAccessBlock: "NoSuchPublicAccessBlockConfiguration",
+  encryption: "ServerSideEncryptionConfigurationNotFoundError",
+  tagging: "NoSuchTagSet",
+};
+
+export function isMissingConfig(err, type) {
+  const code = MISSING_CONFIG_CODES[type];
+  return err.name === code || err.Code === code;
+}
+
+export const BLOCK_ALL_PUBLIC_ACCESS = {
+  BlockPublicAcls: true,
+  IgnorePublicAcls: true,
+  BlockPublicPolicy: true,
+  RestrictPublicBuckets: true,
+};
+
+/**
+ * @param {boolean|string} status true/"Enabled" or false/"Suspended"
+ */
+export function versioningCommand(bucket, status) {
+  const Status =
+    typeof status === "string" ? status : status ? "Enabled" : "Suspended";
+  return new PutBucketVersioningCommand({
+    Bucket: bucket,
+    VersioningConfiguration: { Status },
+  });
+}
+
+/**
+ * @param {object|string} options "AES256" / "aws:kms", or
+ *   { algorithm = "AES256", kmsKeyId, bucketKeyEnabled }. A kmsKeyId
+ *   implies "aws:kms".
+ */
+export function encryptionCommand(bucket, options = {}) {
+  const { algorithm, kmsKeyId, bucketKeyEnabled } =
+    typeof options === "string" ? { algorithm: options } : options;
+  const rule = {
+    ApplyServerSideEncryptionByDefault: {
+      SSEAlgorithm: algorithm || (kmsKeyId ? "aws:kms" : "AES256"),
+    },
+  };
+  if (kmsKeyId)
+    rule.ApplyServerSideEncryptionByDefault.KMSMasterKeyID = kmsKeyId;
+  if (bucketKeyEnabled !== undefined) rule.BucketKeyEnabled = bucketKeyEnabled;
+  return new PutBucketEncryptionCommand({
+    Bucket: bucket,
+    ServerSideEncryptionConfiguration: { Rules: [rule] },
+  });
+}
+
+/**
+ * @param {boolean|object} config true blocks everything; an object
+ *   overrides individual flags (BlockPublicAcls, IgnorePublicAcls,
+ *   BlockPublicPolicy, RestrictPublicBuckets).
+ */
+export function publicAccessBlockCommand(bucket, config = true) {
+  return new PutPublicAccessBlockCommand({
+    Bucket: bucket,
+    PublicAccessBlockConfiguration:
+      config === true ? BLOCK_ALL_PUBLIC_ACCESS : config,
+  });
+}
+
+/**
+ * @param {object} tags { key: value }
+ */
+export function taggingCommand(bucket, tags) {
+  return new PutBucketTaggingCommand({
+    Bucket: bucket,
+    Tagging: {
+      TagSet: Object.entries(tags).map(([Key, Value]) => ({
+        Key,
+        Value: String(Value),
+      })),
+    },
+  });
+}
+
+export function tagSetToObject(tagSet = []) {
+  return Object.fromEntries(tagSet.map(({ Key, Value }) => [Key, Value]));
+}
+
+/**
+ * Lifecycle rules are passed through in SDK shape; Status defaults to
+ * "Enabled" and a missing Filter to the whole bucket.
+ */
+export function normalizeLifecycleRules(rules) {
+  return rules.map((rule) => ({
+    Status: "Enabled",
+    ...(rule.Filter || rule.Prefix !== undefined
+      ? {}
+      : { Filter: { Prefix: "" } }),
+    ...rule,
+  }));
+}
@@ -0,0 +1,123 @@
+import path from "path";
+
+// ------------------------------
+// Object headers
+// ------------------------------
+// Maps the camelCase options accepted by uploadFile / uploadLarge /
+// copyObject onto PutObject/CopyObject fields:
+//
+//   await s3.uploadFile("bucket", "site/app.js", code, {
+//     cacheControl: "max-age=31536000",
+//     metadata: { build: "42" },
+//     kmsKeyId: "alias/site",
+//   });
+
+const MIME_TYPES = {
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".json": "application/json",
+  ".map": "application/json",
+  ".xml": "application/xml",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".tsv": "text/tab-separated-values",
+  ".yaml": "application/yaml",
+  ".yml": "application/yaml",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".tar": "application/x-tar",
+  ".parquet": "application/vnd.apache.parquet",
+  ".wasm": "application/wasm",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+/**
+ * Content type for a key based on its extension, or undefined when
+ * unknown (S3 then stores binary/octet-stream).
+ */
+export function contentTypeFor(key) {
+  return MIME_TYPES[path.extname(key).toLowerCase()];
+}
+
+// Options that live in the object's metadata. Changing any of them on a
+// copy requires MetadataDirective: "REPLACE".
+const METADATA_OPTIONS = {
+  contentType: "ContentType",
+  cacheControl: "CacheControl",
+  contentDisposition: "ContentDisposition",
+  contentEncoding: "ContentEncoding",
+  contentLanguage: "ContentLanguage",
+  expires: "Expires",
+  metadata: "Metadata",
+};
+
+const OTHER_OPTIONS = {
+  acl: "ACL",
+  storageClass: "StorageClass",
+  serverSideEncryption: "ServerSideEncryption",
+  kmsKeyId: "SSEKMSKeyId",
+  bucketKeyEnabled: "BucketKeyEnabled",
+};
+
+export function hasMetadataOptions(options = {}) {
+  return Object.keys(METADATA_OPTIONS).some((o) => options[o] !== undefined);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.contentType defaults to the type inferred from `key`
+ * @param {string} options.cacheControl
+ * @param {string} options.contentDisposition
+ * @param {string} options.contentEncoding
+ * @param {string} options.contentLanguage
+ * @param {Date} options.expires
+ * @param {object} options.metadata user metadata (x-amz-meta-*)
+ * @param {string} options.acl canned ACL, e.g. "public-read"
+ * @param {string} options.storageClass e.g. "STANDARD_IA", "GLACIER_IR"
+ * @param {string} options.serverSideEncryption "AES256" or "aws:kms"
+ * @param {string} options.kmsKeyId KMS key for SSE-KMS (implies "aws:kms")
+ * @param {boolean} options.bucketKeyEnabled
+ * @param {object|string} options.tagging { key: value } or "k1=v1&k2=v2"
+ */
+export function toObjectParams(key, options = {}) {
+  const params = {};
+  const inferred = key ? contentTypeFor(key) : undefined;
+  if (inferred) params.ContentType = inferred;
+
+  for (const [option, field] of Object.entries({
+    ...METADATA_OPTIONS,
+    ...OTHER_OPTIONS,
+  })) {
+    if (options[option] !== undefined) params[field] = options[option];
+  }
+  if (params.SSEKMSKeyId && !params.ServerSideEncryption) {
+    params.ServerSideEncryption = "aws:kms";
+  }
+  if (options.tagging !== undefined) {
+    params.Tagging =
+      typeof options.tagging === "string"
+        ? options.tagging
+        : new URLSearchParams(options.tagging).toString();
+  }
+  return params;
+}
@@ -0,0 +1,209 @@
+import { GetObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+
+// ------------------------------
+// boto3-style S3 resources
+// ------------------------------
+// Bucket and Object handles that hold a bucket name / key and forward
+// each call to the SimpleS3 instance that created them.
+//
+//   const bucket = s3.Bucket("my-bucket");
+//   for await (const obj of bucket.objects.filter({ prefix: "logs/" })) {
+//     console.log(obj.key, await obj.contentLength);
+//   }
+
+function parseSource(source) {
+  if (typeof source === "string") {
+    const [bucket, ...rest] = source.replace(/^s3:\/\//, "").split("/");
+    return { bucket, key: rest.join("/") };
+  }
+  if (source instanceof S3Object) {
+    return { bucket: source.bucketName, key: source.key };
+  }
+  return { bucket: source.bucket, key: source.key };
+}
+
+export class S3Object {
+  constructor(s3, bucketName, key, summary = null) {
+    this.s3 = s3;
+    this.bucketName = bucketName;
+    this.key = key;
+    this._meta = null;
+    // Listing results already carry size/date/etag; no HEAD needed for those
+    this._summary = summary;
+  }
+
+  get bucket() {
+    return new Bucket(this.s3, this.bucketName);
+  }
+
+  /**
+   * Fetches (once) the object's HEAD response. Attribute getters below
+   * resolve through this, so they are promises: `await obj.contentLength`.
+   */
+  load() {
+    if (!this._meta) {
+      this._meta = this.s3.client
+        .send(new HeadObjectCommand({ Bucket: this.bucketName, Key: this.key }))
+        .catch((err) => {
+          this._meta = null;
+          this.s3._handleError(`load(${this.bucketName}, ${this.key})`, err);
+        });
+    }
+    return this._meta;
+  }
+
+  reload() {
+    this._meta = null;
+    this._summary = null;
+    return this.load();
+  }
+
+  async _attr(headField, summaryField) {
+    if (summaryField && this._summary?.[summaryField] !== undefined) {
+      return this._summary[summaryField];
+    }
+    const meta = await this.load();
+    return meta[headField];
+  }
+
+  get contentLength() {
+    return this._attr("ContentLength", "Size");
+  }
+
+  get lastModified() {
+    return this._attr("LastModified", "LastModified");
+  }
+
+  get eTag() {
+    return this._attr("ETag", "ETag");
+  }
+
+  get contentType() {
+    return this._attr("ContentType");
+  }
+
+  get metadata() {
+    return this._attr("Metadata").then((m) => m || {});
+  }
+
+  // --- Actions ---
+  async get() {
+    try {
+      const res = await this.s3.client.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: this.key })
+      );
+      return this.s3._formatOutput(res);
+    } catch (err) {
+      this.s3._handleError(`get(${this.bucketName}, ${this.key})`, err);
+    }
+  }
+
+  /**
+   * @param {object} options headers, as for SimpleS3.uploadFile
+   */
+  async put(body, options) {
+    const res = await this.s3.uploadFile(
+      this.bucketName,
+      this.key,
+      body,
+      options
+    );
+    this._meta = null;
+    this._summary = null;
+    return res;
+  }
+
+  /**
+   * @param {string|object|S3Object} source "bucket/key", { bucket, key } or an S3Object
+   * @param {object} options headers, as for SimpleS3.copyObject
+   */
+  async copyFrom(source, options) {
+    const { bucket, key } = parseSource(source);
+    const res = await this.s3.copyObject(bucket, key, this.bucketName, this.key, options);
+    this._meta = null;
+    this._summary = null;
+    return res;
+  }
+
+  async exists() {
+    return this.s3.objectExists(this.bucketName, this.key);
+  }
+
+  async delete() {
+    return this.s3.deleteObject(this.bucketName, this.key);
+  }
+}
+
+export class ObjectCollection {
+  constructor(bucket, { prefix, maxItems, pageSize } = {}) {
+    this.bucket = bucket;
+    this.params = { prefix, maxItems, pageSize };
+  }
+
+  all() {
+    return new ObjectCollection(this.bucket, this.params);
+  }
+
+  filter({ prefix } = {}) {
+    return new ObjectCollection(this.bucket, { ...this.params, prefix });
+  }
+
+  limit(maxItems) {
+    return new ObjectCollection(this.bucket, { ...this.params, maxItems });
+  }
+
+  pageSize(pageSize) {
+    return new ObjectCollection(this.bucket, { ...this.params, pageSize });
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const { s3, name } = this.bucket;
+    const { prefix, maxItems, pageSize } = this.params;
+    const input = { Bucket: name };
+    if (prefix) input.Prefix = prefix;
+
+    const items = s3
+      .getPaginator("listObjects")
+      .paginate(input, { maxItems, pageSize });
+    for await (const summary of items) {
+      yield new S3Object(s3, name, summary.Key, summary);
+    }
+  }
+
+  /**
+   * Collects the whole collection into an array.
+   */
+  async toArray() {
+    const objects = [];
+    for await (const obj of this) objects.push(obj);
+    return objects;
+  }
+}
+
+export class Bucket {
+  constructor(s3, name) {
+    this.s3 = s3;
+    this.name = name;
+    this.objects = new ObjectCollection(this);
+  }
+
+  Object(key) {
+    return new S3Object(this.s3, this.name, key);
+  }
+
+  async create(options) {
+    return this.s3.createBucket(this.name, options);
+  }
+
+  /**
+   * @param {object} options { force: true } empties the bucket first
+   */
+  async delete(options) {
+    return this.s3.deleteBucket(this.name, options);
+  }
+
+  async upload(key, body, options) {
+    await this.s3.uploadFile(this.name, key, body, options);
+    return this.Object(key);
+  }
+}
@@ -7,9 +7,74 @@ import {
   GetObjectCommand,
   PutObjectCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
   CopyObjectCommand,
+  HeadObjectCommand,
+  ListObjectVersionsCommand,
+  GetBucketVersioningCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  DeleteBucketLifecycleCommand,
+  GetBucketCorsCommand,
+  PutBucketCorsCommand,
+  DeleteBucketCorsCommand,
+  GetBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+  GetPublicAccessBlockCommand,
+  DeletePublicAccessBlockCommand,
+  GetBucketEncryptionCommand,
+  DeleteBucketEncryptionCommand,
+  GetBucketTaggingCommand,
+  DeleteBucketTaggingCommand,
 } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { createPaginator, paginate, paginateAll } from "../utils/paginator.js";
+import { toBoto3Error } from "../utils/errors.js";
+import { Bucket, S3Object } from "./resources.js";
+import { sync } from "./sync.js";
+import { select } from "./select.js";
+import { hasMetadataOptions, toObjectParams } from "./headers.js";
+import {
+  isMissingConfig,
+  versioningCommand,
+  encryptionCommand,
+  publicAccessBlockCommand,
+  taggingCommand,
+  tagSetToObject,
+  normalizeLifecycleRules,
+} from "./bucketConfig.js";
+import {
+  uploadLarge,
+  downloadToFile,
+  formatRange,
+  runPool,
+  streamToBuffer,
+} from "./transfer.js";
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+const DEFAULT_COPY_CONCURRENCY = 8;
+
+const PAGINATORS = {
+  listObjects: {
+    command: ListObjectsV2Command,
+    inputToken: "ContinuationToken",
+    outputToken: "NextContinuationToken",
+    limitKey: "MaxKeys",
+    resultKey: "Contents",
+  },
+  // Pages also carry DeleteMarkers alongside the Versions items
+  listObjectVersions: {
+    command: ListObjectVersionsCommand,
+    inputToken: ["KeyMarker", "VersionIdMarker"],
+    outputToken: ["NextKeyMarker", "NextVersionIdMarker"],
+    limitKey: "MaxKeys",
+    resultKey: "Versions",
+    moreResults: "IsTruncated",
+  },
+};
 
 export class SimpleS3 {
   constructor(options = {}, { debug = false } = {}) {
@@ -18,6 +83,8 @@ export class SimpleS3 {
     // 2. environment variables
     // 3. default profile
     this.client = new S3Client(options);
+    // Kept for clients that must talk to another region (createBucket)
+    this._clientOptions = options;
     this.debug = debug;
   }
 
@@ -29,7 +96,25 @@ export class SimpleS3 {
   }
 
   _handleError(operation, err) {
-    throw new Error(`S3 ${operation} failed: ${err.message}`);
+    throw toBoto3Error("S3", operation, err);
+  }
+
+  // --- Pagination ---
+  getPaginator(operation) {
+    return createPaginator(this, "S3", PAGINATORS, operation);
+  }
+
+  canPaginate(operation) {
+    return operation in PAGINATORS;
+  }
+
+  // --- Resources ---
+  Bucket(name) {
+    return new Bucket(this, name);
+  }
+
+  Object(bucket, key) {
+    return new S3Object(this, bucket, key);
   }
 
   async listBuckets() {
@@ -41,19 +126,66 @@ export class SimpleS3 {
     }
   }
 
-  async createBucket(bucketName) {
+  /**
+   * Creates a bucket and optionally configures it in the same call.
+   *
+   * @param {object} options
+   * @param {string} options.region defaults to the client's region; sets
+   *   LocationConstraint everywhere except us-east-1
+   * @param {boolean} options.versioning enable versioning
+   * @param {object|string} options.encryption default encryption, as for setBucketEncryption
+   * @param {boolean|object} options.blockPublicAccess as for setPublicAccessBlock
+   * @param {object} options.tags { key: value }
+   */
+  async createBucket(bucketName, options = {}) {
+    let client = this.client;
     try {
-      const res = await this.client.send(
-        new CreateBucketCommand({ Bucket: bucketName })
-      );
+      const { versioning, encryption, blockPublicAccess, tags } = options;
+      const clientRegion = await this.client.config
+        .region()
+        .catch(() => undefined);
+      const region = options.region || clientRegion;
+      // CreateBucket must be sent to the region the bucket will live in;
+      // the regional client keeps the caller's endpoint and credentials
+      if (region && region !== clientRegion) {
+        client = new S3Client({ ...this._clientOptions, region });
+      }
+
+      const input = { Bucket: bucketName };
+      if (region && region !== "us-east-1") {
+        input.CreateBucketConfiguration = { LocationConstraint: region };
+      }
+      const res = await client.send(new CreateBucketCommand(input));
+
+      if (blockPublicAccess !== undefined && blockPublicAccess !== false) {
+        await client.send(
+          publicAccessBlockCommand(bucketName, blockPublicAccess)
+        );
+      }
+      if (encryption) {
+        await client.send(encryptionCommand(bucketName, encryption));
+      }
+      if (versioning) {
+        await client.send(versioningCommand(bucketName, true));
+      }
+      if (tags) {
+        await client.send(taggingCommand(bucketName, tags));
+      }
       return this._formatOutput(res);
     } catch (err) {
       this._handleError(`createBucket(${bucketName})`, err);
+    } finally {
+      if (client !== this.client) client.destroy();
     }
   }
 
-  async deleteBucket(bucketName) {
+  /**
+   * With { force: true } the bucket is emptied first — every object
+   * version and delete marker — so versioned buckets can be removed too.
+   */
+  async deleteBucket(bucketName, { force = false } = {}) {
     try {
+      if (force) await this._emptyBucket(bucketName);
       const res = await this.client.send(
         new DeleteBucketCommand({ Bucket: bucketName })
       );
@@ -63,21 +195,339 @@ export class SimpleS3 {
     }
   }
 
-  async listObjects(bucketName) {
+  async _emptyBucket(bucketName) {
+    const pages = paginate(this.client, PAGINATORS.listObjectVersions, {
+      Bucket: bucketName,
+    });
+    for await (const res of pages) {
+      const objects = [...(res.Versions || []), ...(res.DeleteMarkers || [])];
+      const { Errors } = await this._deleteBatch(
+        bucketName,
+        objects.map(({ Key, VersionId }) => ({ Key, VersionId }))
+      );
+      if (Errors.length) {
+        const [first] = Errors;
+        const err = new Error(
+          `${Errors.length} object(s) could not be deleted, e.g. ${first.Key}: ${first.Message}`
+        );
+        err.name = first.Code;
+        err.errors = Errors;
+        throw err;
+      }
+    }
+  }
+
+  // --- Bucket configuration ---
+  // Getters return the useful part of the response, or an empty value
+  // (undefined status, [], {}, null) when the configuration was never set.
+
+  /**
+   * @returns {{ Status: "Enabled"|"Suspended"|undefined, MFADelete }}
+   */
+  async getBucketVersioning(bucketName) {
     try {
       const res = await this.client.send(
-        new ListObjectsV2Command({ Bucket: bucketName })
+        new GetBucketVersioningCommand({ Bucket: bucketName })
       );
-      return this._formatOutput(res.Contents || []);
+      return this._formatOutput({
+        Status: res.Status,
+        MFADelete: res.MFADelete,
+      });
+    } catch (err) {
+      this._handleError(`getBucketVersioning(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {boolean|string} status true/"Enabled" or false/"Suspended"
+   */
+  async setBucketVersioning(bucketName, status) {
+    try {
+      const res = await this.client.send(versioningCommand(bucketName, status));
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketVersioning(${bucketName})`, err);
+    }
+  }
+
+  async getBucketLifecycle(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetBucketLifecycleConfigurationCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res.Rules || []);
+    } catch (err) {
+      if (isMissingConfig(err, "lifecycle")) return this._formatOutput([]);
+      this._handleError(`getBucketLifecycle(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {Array} rules SDK lifecycle rules, e.g.
+   *   [{ ID: "expire-logs", Filter: { Prefix: "logs/" }, Expiration: { Days: 30 } }]
+   */
+  async setBucketLifecycle(bucketName, rules) {
+    try {
+      const res = await this.client.send(
+        new PutBucketLifecycleConfigurationCommand({
+          Bucket: bucketName,
+          LifecycleConfiguration: { Rules: normalizeLifecycleRules(rules) },
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketLifecycle(${bucketName})`, err);
+    }
+  }
+
+  async deleteBucketLifecycle(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeleteBucketLifecycleCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteBucketLifecycle(${bucketName})`, err);
+    }
+  }
+
+  async getBucketCors(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetBucketCorsCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res.CORSRules || []);
+    } catch (err) {
+      if (isMissingConfig(err, "cors")) return this._formatOutput([]);
+      this._handleError(`getBucketCors(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {Array} rules SDK CORS rules, e.g.
+   *   [{ AllowedMethods: ["GET", "PUT"], AllowedOrigins: ["https://app.example.com"] }]
+   */
+  async setBucketCors(bucketName, rules) {
+    try {
+      const res = await this.client.send(
+        new PutBucketCorsCommand({
+          Bucket: bucketName,
+          CORSConfiguration: { CORSRules: rules },
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketCors(${bucketName})`, err);
+    }
+  }
+
+  async deleteBucketCors(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeleteBucketCorsCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteBucketCors(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @returns {object|null} the parsed policy document
+   */
+  async getBucketPolicy(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetBucketPolicyCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(JSON.parse(res.Policy));
+    } catch (err) {
+      if (isMissingConfig(err, "policy")) return this._formatOutput(null);
+      this._handleError(`getBucketPolicy(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {object|string} policy policy document (object or JSON string)
+   */
+  async setBucketPolicy(bucketName, policy) {
+    try {
+      const res = await this.client.send(
+        new PutBucketPolicyCommand({
+          Bucket: bucketName,
+          Policy: typeof policy === "string" ? policy : JSON.stringify(policy),
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketPolicy(${bucketName})`, err);
+    }
+  }
+
+  async deleteBucketPolicy(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeleteBucketPolicyCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteBucketPolicy(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @returns {object|null} PublicAccessBlockConfiguration flags
+   */
+  async getPublicAccessBlock(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetPublicAccessBlockCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res.PublicAccessBlockConfiguration);
+    } catch (err) {
+      if (isMissingConfig(err, "publicAccessBlock"))
+        return this._formatOutput(null);
+      this._handleError(`getPublicAccessBlock(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {boolean|object} config true (default) blocks all public
+   *   access; or { BlockPublicAcls, IgnorePublicAcls, BlockPublicPolicy, RestrictPublicBuckets }
+   */
+  async setPublicAccessBlock(bucketName, config = true) {
+    try {
+      const res = await this.client.send(
+        publicAccessBlockCommand(bucketName, config)
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setPublicAccessBlock(${bucketName})`, err);
+    }
+  }
+
+  async deletePublicAccessBlock(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeletePublicAccessBlockCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deletePublicAccessBlock(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @returns {Array} ServerSideEncryptionConfiguration rules
+   */
+  async getBucketEncryption(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetBucketEncryptionCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(
+        res.ServerSideEncryptionConfiguration?.Rules || []
+      );
+    } catch (err) {
+      if (isMissingConfig(err, "encryption")) return this._formatOutput([]);
+      this._handleError(`getBucketEncryption(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @param {object|string} options "AES256" / "aws:kms", or
+   *   { algorithm, kmsKeyId, bucketKeyEnabled }
+   */
+  async setBucketEncryption(bucketName, options = {}) {
+    try {
+      const res = await this.client.send(
+        encryptionCommand(bucketName, options)
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketEncryption(${bucketName})`, err);
+    }
+  }
+
+  async deleteBucketEncryption(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeleteBucketEncryptionCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteBucketEncryption(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * @returns {object} tags as { key: value }
+   */
+  async getBucketTagging(bucketName) {
+    try {
+      const res = await this.client.send(
+        new GetBucketTaggingCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(tagSetToObject(res.TagSet));
+    } catch (err) {
+      if (isMissingConfig(err, "tagging")) return this._formatOutput({});
+      this._handleError(`getBucketTagging(${bucketName})`, err);
+    }
+  }
+
+  /**
+   * Replaces the bucket's tag set.
+   * @param {object} tags { key: value }
+   */
+  async setBucketTagging(bucketName, tags) {
+    try {
+      const res = await this.client.send(taggingCommand(bucketName, tags));
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`setBucketTagging(${bucketName})`, err);
+    }
+  }
+
+  async deleteBucketTagging(bucketName) {
+    try {
+      const res = await this.client.send(
+        new DeleteBucketTaggingCommand({ Bucket: bucketName })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteBucketTagging(${bucketName})`, err);
+    }
+  }
+
+  async listObjects(bucketName, prefix) {
+    try {
+      const input = { Bucket: bucketName };
+      if (prefix) input.Prefix = prefix;
+      const contents = await paginateAll(
+        this.client,
+        PAGINATORS.listObjects,
+        input
+      );
+      return this._formatOutput(contents);
     } catch (err) {
       this._handleError(`listObjects(${bucketName})`, err);
     }
   }
 
-  async uploadFile(bucket, key, body) {
+  /**
+   * @param {object} options headers such as contentType (inferred from the
+   *   key's extension by default), cacheControl, metadata, acl,
+   *   storageClass, kmsKeyId, tagging. See s3/headers.js.
+   */
+  async uploadFile(bucket, key, body, options = {}) {
     try {
       const res = await this.client.send(
-        new PutObjectCommand({ Bucket: bucket, Key: key, Body: body })
+        new PutObjectCommand({
+          ...toObjectParams(key, options),
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+        })
       );
       return this._formatOutput(res);
     } catch (err) {
@@ -85,10 +535,31 @@ export class SimpleS3 {
     }
   }
 
-  async downloadFile(bucket, key) {
+  /**
+   * Managed multipart upload for large files. `source` is a Buffer, a
+   * local file path or a Readable stream. See s3/transfer.js for options
+   * (partSize, concurrency, onProgress, abortSignal, uploadId, ...); the
+   * same header options as uploadFile are accepted.
+   */
+  async uploadLarge(bucket, key, source, options = {}) {
+    try {
+      const res = await uploadLarge(this.client, bucket, key, source, {
+        ...options,
+        params: { ...toObjectParams(key, options), ...options.params },
+      });
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`uploadLarge(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * @param {object} options { versionId } to read an older version
+   */
+  async downloadFile(bucket, key, { versionId } = {}) {
     try {
       const res = await this.client.send(
-        new GetObjectCommand({ Bucket: bucket, Key: key })
+        new GetObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId })
       );
       const body = await res.Body.transformToString();
       return this._formatOutput(body);
@@ -97,27 +568,115 @@ export class SimpleS3 {
     }
   }
 
-  async deleteObject(bucket, key) {
+  /**
+   * Downloads an object as a Buffer — safe for images, zips, parquet, etc.
+   * opts.range: "bytes=0-99" or { start, end }; opts.versionId for an
+   * older version
+   */
+  async downloadBuffer(bucket, key, { range, versionId } = {}) {
+    try {
+      const res = await this.client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          VersionId: versionId,
+          Range: formatRange(range),
+        })
+      );
+      return await streamToBuffer(res.Body);
+    } catch (err) {
+      this._handleError(`downloadBuffer(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * Returns the object body as a Node Readable stream, without buffering.
+   */
+  async downloadStream(bucket, key, { range, versionId } = {}) {
     try {
       const res = await this.client.send(
-        new DeleteObjectCommand({ Bucket: bucket, Key: key })
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          VersionId: versionId,
+          Range: formatRange(range),
+        })
+      );
+      return res.Body;
+    } catch (err) {
+      this._handleError(`downloadStream(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * Writes an object straight to a local file, using parallel ranged GETs
+   * for large objects and verifying its checksum. See s3/transfer.js for
+   * options (range, partSize, concurrency, onProgress, verifyChecksum).
+   */
+  async downloadToFile(bucket, key, filePath, options = {}) {
+    try {
+      const res = await downloadToFile(
+        this.client,
+        bucket,
+        key,
+        filePath,
+        options
       );
       return this._formatOutput(res);
     } catch (err) {
-      this._handleError(`deleteObject(${bucket}, ${key})`, err);
+      this._handleError(`downloadToFile(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * `aws s3 sync` equivalent: one of source/dest is a local directory, the
+   * other "s3://bucket/prefix". Only new or changed files are transferred.
+   * See s3/sync.js for options (delete, exclude, include, dryRun, concurrency).
+   */
+  async sync(source, dest, options = {}) {
+    try {
+      const res = await sync(this, source, dest, options);
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`sync(${source}, ${dest})`, err);
     }
   }
 
-  async copyObject(sourceBucket, sourceKey, destBucket, destKey) {
+  /**
+   * On a versioned bucket this adds a delete marker; pass { versionId } to
+   * permanently delete one version (or remove a delete marker).
+   */
+  async deleteObject(bucket, key, { versionId } = {}) {
     try {
       const res = await this.client.send(
-        new CopyObjectCommand({
-          Bucket: destBucket,
-          CopySource: `${sourceBucket}/${sourceKey}`,
-          Key: destKey,
+        new DeleteObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          VersionId: versionId,
         })
       );
       return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteObject(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * @param {object} options same headers as uploadFile. Metadata options
+   *   (contentType, cacheControl, metadata, ...) replace the source's
+   *   metadata instead of copying it; tagging replaces its tags.
+   *   versionId copies an older version of the source.
+   */
+  async copyObject(sourceBucket, sourceKey, destBucket, destKey, options = {}) {
+    try {
+      const res = await this._copy(
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        options
+      );
+      return this._formatOutput(res);
     } catch (err) {
       this._handleError(
         `copyObject(${sourceBucket}/${sourceKey} -> ${destBucket}/${destKey})`,
@@ -126,15 +685,472 @@ export class SimpleS3 {
     }
   }
 
-  async getObjectURL(bucket, key, expiresIn = 3600) {
+  _copy(sourceBucket, sourceKey, destBucket, destKey, options = {}) {
+    // CopySource is URL-encoded; "/" separators are left as-is
+    let source = encodeURIComponent(sourceKey).replace(/%2F/g, "/");
+    if (options.versionId) {
+      source += `?versionId=${encodeURIComponent(options.versionId)}`;
+    }
+    const replace = hasMetadataOptions(options);
+    const params = replace
+      ? { ...toObjectParams(destKey, options), MetadataDirective: "REPLACE" }
+      : toObjectParams(null, options);
+    if (params.Tagging !== undefined) params.TaggingDirective = "REPLACE";
+    if (options.ifMatch) params.CopySourceIfMatch = options.ifMatch;
+
+    return this.client.send(
+      new CopyObjectCommand({
+        ...params,
+        Bucket: destBucket,
+        CopySource: `${sourceBucket}/${source}`,
+        Key: destKey,
+      })
+    );
+  }
+
+  // --- Metadata ---
+  async headObject(bucket, key) {
+    try {
+      const res = await this.client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`headObject(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * true/false for 200/404. Other failures (e.g. AccessDenied) still throw.
+   */
+  async objectExists(bucket, key) {
+    try {
+      await this.client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return this._formatOutput(true);
+    } catch (err) {
+      if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+        return this._formatOutput(false);
+      }
+      this._handleError(`objectExists(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * HEAD response reduced to the commonly needed fields, camelCased.
+   */
+  async getObjectMetadata(bucket, key) {
+    try {
+      const res = await this.client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return this._formatOutput({
+        contentLength: res.ContentLength,
+        contentType: res.ContentType,
+        eTag: res.ETag,
+        lastModified: res.LastModified,
+        metadata: res.Metadata || {},
+        cacheControl: res.CacheControl,
+        contentDisposition: res.ContentDisposition,
+        contentEncoding: res.ContentEncoding,
+        storageClass: res.StorageClass || "STANDARD",
+        serverSideEncryption: res.ServerSideEncryption,
+        kmsKeyId: res.SSEKMSKeyId,
+        versionId: res.VersionId,
+      });
+    } catch (err) {
+      this._handleError(`getObjectMetadata(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * Updates user metadata in place by copying the object onto itself.
+   * Existing metadata is merged unless `replace: true`; content type,
+   * cache headers, storage class and encryption are carried over unless
+   * overridden in `options`. The copy is conditional on the ETag read
+   * first, so a concurrent overwrite is not clobbered. S3 copies do not
+   * keep ACLs: pass `acl` again if the object had one. Limited to objects
+   * up to 5 GB (the CopyObject limit).
+   */
+  async updateObjectMetadata(bucket, key, metadata, options = {}) {
+    try {
+      const { replace = false, ...overrides } = options;
+      const head = await this.client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      const current = {
+        contentType: head.ContentType,
+        cacheControl: head.CacheControl,
+        contentDisposition: head.ContentDisposition,
+        contentEncoding: head.ContentEncoding,
+        contentLanguage: head.ContentLanguage,
+        expires: head.Expires,
+        storageClass: head.StorageClass,
+        serverSideEncryption: head.ServerSideEncryption,
+        kmsKeyId: head.SSEKMSKeyId,
+        bucketKeyEnabled: head.BucketKeyEnabled,
+      };
+      const res = await this._copy(bucket, key, bucket, key, {
+        ...current,
+        ...overrides,
+        metadata: replace ? metadata : { ...head.Metadata, ...metadata },
+        ifMatch: head.ETag,
+      });
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`updateObjectMetadata(${bucket}, ${key})`, err);
+    }
+  }
+
+  // --- Batch / prefix operations ---
+  // Sends DeleteObjects in 1000-key chunks. Per-key failures come back in
+  // Errors rather than failing the whole call.
+  async _deleteBatch(bucket, objects) {
+    const result = { Deleted: [], Errors: [] };
+    for (let i = 0; i < objects.length; i += DELETE_BATCH_SIZE) {
+      const res = await this.client.send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: objects.slice(i, i + DELETE_BATCH_SIZE),
+            Quiet: false,
+          },
+        })
+      );
+      result.Deleted.push(...(res.Deleted || []));
+      result.Errors.push(...(res.Errors || []));
+    }
+    return result;
+  }
+
+  /**
+   * @param {Array<string|{Key, VersionId}>} keys
+   * @returns {{ Deleted: Array, Errors: Array<{Key, Code, Message}> }}
+   */
+  async deleteObjects(bucket, keys) {
+    try {
+      const objects = keys.map((key) =>
+        typeof key === "string" ? { Key: key } : key
+      );
+      const res = await this._deleteBatch(bucket, objects);
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`deleteObjects(${bucket})`, err);
+    }
+  }
+
+  /**
+   * Deletes every object whose key starts with `prefix`, one listing page
+   * (up to 1000 keys) at a time.
+   */
+  async deletePrefix(bucket, prefix) {
+    try {
+      const result = { Deleted: [], Errors: [] };
+      const pages = paginate(this.client, PAGINATORS.listObjects, {
+        Bucket: bucket,
+        Prefix: prefix,
+      });
+      for await (const page of pages) {
+        const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+        const res = await this._deleteBatch(bucket, objects);
+        result.Deleted.push(...res.Deleted);
+        result.Errors.push(...res.Errors);
+      }
+      return this._formatOutput(result);
+    } catch (err) {
+      this._handleError(`deletePrefix(${bucket}, ${prefix})`, err);
+    }
+  }
+
+  async _copyPrefix(srcBucket, srcPrefix, destBucket, destPrefix, concurrency) {
+    const objects = await paginateAll(this.client, PAGINATORS.listObjects, {
+      Bucket: srcBucket,
+      Prefix: srcPrefix,
+    });
+    const copied = [];
+    await runPool(objects, concurrency, async ({ Key }) => {
+      const destKey = destPrefix + Key.slice(srcPrefix.length);
+      await this._copy(srcBucket, Key, destBucket, destKey);
+      copied.push({ source: Key, key: destKey });
+    });
+    return copied;
+  }
+
+  /**
+   * Copies every object under `srcPrefix` to `destPrefix`, keeping the
+   * rest of each key. Returns [{ source, key }].
+   */
+  async copyPrefix(
+    srcBucket,
+    srcPrefix,
+    destBucket,
+    destPrefix,
+    { concurrency = DEFAULT_COPY_CONCURRENCY } = {}
+  ) {
+    try {
+      const copied = await this._copyPrefix(
+        srcBucket,
+        srcPrefix,
+        destBucket,
+        destPrefix,
+        concurrency
+      );
+      return this._formatOutput(copied);
+    } catch (err) {
+      this._handleError(
+        `copyPrefix(${srcBucket}/${srcPrefix} -> ${destBucket}/${destPrefix})`,
+        err
+      );
+    }
+  }
+
+  /**
+   * copyPrefix, then deletes the sources. Nothing is deleted unless every
+   * copy succeeded; keys that failed to delete are returned in Errors.
+   */
+  async movePrefix(
+    srcBucket,
+    srcPrefix,
+    destBucket,
+    destPrefix,
+    { concurrency = DEFAULT_COPY_CONCURRENCY } = {}
+  ) {
+    try {
+      const copied = await this._copyPrefix(
+        srcBucket,
+        srcPrefix,
+        destBucket,
+        destPrefix,
+        concurrency
+      );
+      const { Errors } = await this._deleteBatch(
+        srcBucket,
+        copied.map(({ source }) => ({ Key: source }))
+      );
+      return this._formatOutput({ Moved: copied, Errors });
+    } catch (err) {
+      this._handleError(
+        `movePrefix(${srcBucket}/${srcPrefix} -> ${destBucket}/${destPrefix})`,
+        err
+      );
+    }
+  }
+
+  // --- Versions ---
+  /**
+   * Every version and delete marker under `prefix`, newest first per key.
+   * Delete markers have IsDeleteMarker: true and no Size/ETag.
+   */
+  async listObjectVersions(bucket, prefix) {
     try {
-      const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+      const versions = await this._listVersions(bucket, prefix);
+      return this._formatOutput(versions);
+    } catch (err) {
+      this._handleError(`listObjectVersions(${bucket})`, err);
+    }
+  }
+
+  async _listVersions(bucket, prefix) {
+    const input = { Bucket: bucket };
+    if (prefix) input.Prefix = prefix;
+    const entries = [];
+    const pages = paginate(this.client, PAGINATORS.listObjectVersions, input);
+    for await (const page of pages) {
+      for (const v of page.Versions || [])
+        entries.push({ ...v, IsDeleteMarker: false });
+      for (const m of page.DeleteMarkers || [])
+        entries.push({ ...m, IsDeleteMarker: true });
+    }
+    // S3 returns versions and markers in separate lists; interleave them
+    return entries.sort(
+      (a, b) =>
+        (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0) ||
+        new Date(b.LastModified) - new Date(a.LastModified) ||
+        Number(Boolean(b.IsLatest)) - Number(Boolean(a.IsLatest))
+    );
+  }
+
+  /**
+   * Makes an older version current again by copying it over the key. The
+   * history is kept: the restored content becomes a new version.
+   */
+  async restoreVersion(bucket, key, versionId) {
+    try {
+      const res = await this._copy(bucket, key, bucket, key, { versionId });
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`restoreVersion(${bucket}, ${key}, ${versionId})`, err);
+    }
+  }
+
+  /**
+   * Brings back a deleted object by removing the delete marker(s) on top
+   * of its newest version. Returns the removed markers and the version
+   * that is current again; nothing is removed if the object is not deleted.
+   */
+  async undelete(bucket, key) {
+    try {
+      const versions = (await this._listVersions(bucket, key)).filter(
+        (v) => v.Key === key
+      );
+      const markers = [];
+      for (const v of versions) {
+        if (!v.IsDeleteMarker) break;
+        markers.push(v);
+      }
+      const restored = versions[markers.length];
+      if (!restored) {
+        const err = new Error(`No version of ${key} to restore`);
+        err.name = "NoSuchKey";
+        throw err;
+      }
+      for (const marker of markers) {
+        await this.client.send(
+          new DeleteObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            VersionId: marker.VersionId,
+          })
+        );
+      }
+      return this._formatOutput({
+        RemovedDeleteMarkers: markers.map((m) => m.VersionId),
+        VersionId: restored.VersionId,
+      });
+    } catch (err) {
+      this._handleError(`undelete(${bucket}, ${key})`, err);
+    }
+  }
+
+  // --- Query ---
+  /**
+   * S3 Select: runs `sql` against one CSV / JSON / Parquet object and
+   * yields the matching records as they stream in — objects for JSON
+   * output, arrays of strings for CSV output.
+   *
+   * @param {object} options
+   * @param {string} options.inputFormat "csv" (default), "json" or "parquet"
+   * @param {string} options.outputFormat "json" (default) or "csv"
+   * @param {string} options.compression "none" (default), "gzip" or "bzip2"
+   * @param {boolean} options.header CSV input has a header row (default true)
+   * @param {string} options.delimiter CSV field delimiter (default ",")
+   * @param {string} options.jsonType "lines" (default) or "document"
+   * @param {function} options.onProgress (details) => void, BytesScanned/Processed/Returned
+   * @param {function} options.onStats (details) => void, called once at the end
+   * @param {object} options.inputSerialization / outputSerialization raw SDK overrides
+   */
+  async *select(bucket, key, sql, options = {}) {
+    try {
+      yield* select(this.client, bucket, key, sql, options);
+    } catch (err) {
+      this._handleError(`select(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * @param {number|object} options expiresIn in seconds, or
+   *   { expiresIn = 3600, versionId }
+   */
+  async getObjectURL(bucket, key, options = 3600) {
+    try {
+      const { expiresIn = 3600, versionId } =
+        typeof options === "number" ? { expiresIn: options } : options;
+      const input = { Bucket: bucket, Key: key };
+      if (versionId) input.VersionId = versionId;
+      const command = new GetObjectCommand(input);
       const url = await getSignedUrl(this.client, command, { expiresIn });
       return this._formatOutput(url);
     } catch (err) {
       this._handleError(`getObjectURL(${bucket}, ${key})`, err);
     }
   }
+
+  // The default client signs a CRC32 of the (still empty) body into PUT
+  // URLs, which S3 then rejects for any real upload; this one only adds
+  // checksums the operation requires.
+  _presignClient() {
+    this._uploadSigner ??= new S3Client({
+      ...this._clientOptions,
+      requestChecksumCalculation: "WHEN_REQUIRED",
+    });
+    return this._uploadSigner;
+  }
+
+  /**
+   * Pre-signed PUT URL for uploading straight from a browser or another
+   * service. `contentType` and `contentLength` are signed, so the uploader
+   * must send exactly those Content-Type / Content-Length headers. Other
+   * header options (metadata, acl, storageClass, ...) are signed into the
+   * URL's query string.
+   *
+   * @param {object} options { expiresIn = 3600, contentType, contentLength, ...headers }
+   */
+  async getUploadURL(bucket, key, options = {}) {
+    try {
+      const { expiresIn = 3600, contentLength, ...headers } = options;
+      const command = new PutObjectCommand({
+        ...toObjectParams(null, headers),
+        Bucket: bucket,
+        Key: key,
+        ContentLength: contentLength,
+      });
+      const url = await getSignedUrl(this._presignClient(), command, {
+        expiresIn,
+        // The presigner leaves Content-Type unsigned unless asked to
+        signableHeaders: headers.contentType
+          ? new Set(["content-type"])
+          : undefined,
+      });
+      return this._formatOutput(url);
+    } catch (err) {
+      this._handleError(`getUploadURL(${bucket}, ${key})`, err);
+    }
+  }
+
+  /**
+   * boto3's generate_presigned_post: returns { url, fields } for an HTML
+   * form (or FormData) upload. The file must be the last form field.
+   * A key ending in "${filename}" lets the browser pick the file name
+   * under that prefix.
+   *
+   * @param {object} options
+   * @param {number} options.expiresIn seconds the policy is valid (default 3600)
+   * @param {number} options.maxSize upper bound on the upload size in bytes
+   * @param {number} options.minSize lower bound on the upload size (default 0)
+   * @param {string} options.contentType fixed Content-Type for the upload
+   * @param {object} options.fields extra form fields (e.g. { acl: "public-read" }), added to the policy
+   * @param {Array} options.conditions extra policy conditions, e.g. ["starts-with", "$Content-Type", "image/"]
+   */
+  async createPresignedPost(bucket, key, options = {}) {
+    try {
+      const {
+        expiresIn = 3600,
+        maxSize,
+        minSize = 0,
+        contentType,
+        fields = {},
+        conditions = [],
+      } = options;
+      const Conditions = [...conditions];
+      if (maxSize !== undefined) {
+        Conditions.push(["content-length-range", minSize, maxSize]);
+      }
+      const Fields = { ...fields };
+      if (contentType) Fields["Content-Type"] = contentType;
+
+      const res = await createPresignedPost(this.client, {
+        Bucket: bucket,
+        Key: key,
+        Conditions,
+        Fields,
+        Expires: expiresIn,
+      });
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`createPresignedPost(${bucket}, ${key})`, err);
+    }
+  }
 }
 
 export default SimpleS3;
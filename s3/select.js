@@ -0,0 +1,184 @@
+import { SelectObjectContentCommand } from "@aws-sdk/client-s3";
+
+// ------------------------------
+// S3 Select
+// ------------------------------
+// Runs SQL against a single CSV / JSON / Parquet object and yields the
+// matching records as they arrive, instead of downloading the whole file:
+//
+//   for await (const row of s3.select("bucket", "events.json.gz",
+//     "SELECT s.id FROM S3Object s WHERE s.level = 'error'",
+//     { inputFormat: "json", compression: "gzip" })) { ... }
+
+const COMPRESSION = { none: "NONE", gzip: "GZIP", bzip2: "BZIP2" };
+
+function inputSerialization({
+  inputFormat = "csv",
+  compression = "none",
+  header = true,
+  delimiter,
+  jsonType = "lines",
+}) {
+  const CompressionType = COMPRESSION[compression.toLowerCase()];
+  if (!CompressionType) {
+    throw new Error(
+      `Unsupported compression "${compression}" (use none, gzip or bzip2)`
+    );
+  }
+  switch (inputFormat.toLowerCase()) {
+    case "csv":
+      return {
+        CompressionType,
+        CSV: {
+          FileHeaderInfo: header ? "USE" : "NONE",
+          ...(delimiter && { FieldDelimiter: delimiter }),
+        },
+      };
+    case "json":
+      return { CompressionType, JSON: { Type: jsonType.toUpperCase() } };
+    case "parquet":
+      // Parquet is compressed internally; S3 rejects CompressionType on it
+      return { Parquet: {} };
+    default:
+      throw new Error(
+        `Unsupported inputFormat "${inputFormat}" (use csv, json or parquet)`
+      );
+  }
+}
+
+function outputSerialization({ outputFormat = "json", delimiter }) {
+  switch (outputFormat.toLowerCase()) {
+    case "json":
+      return { JSON: { RecordDelimiter: "\n" } };
+    case "csv":
+      return {
+        CSV: {
+          RecordDelimiter: "\n",
+          ...(delimiter && { FieldDelimiter: delimiter }),
+        },
+      };
+    default:
+      throw new Error(
+        `Unsupported outputFormat "${outputFormat}" (use json or csv)`
+      );
+  }
+}
+
+export function buildSelectParams(bucket, key, sql, options = {}) {
+  return {
+    Bucket: bucket,
+    Key: key,
+    Expression: sql,
+    ExpressionType: "SQL",
+    InputSerialization:
+      options.inputSerialization || inputSerialization(options),
+    OutputSerialization:
+      options.outputSerialization || outputSerialization(options),
+    RequestProgress: options.onProgress ? { Enabled: true } : undefined,
+  };
+}
+
+/**
+ * Splits `text` into complete CSV records, honouring quoted fields
+ * (which may contain the delimiter, newlines and "" escapes). Returns the
+ * parsed records and the unfinished tail to prepend to the next chunk.
+ */
+export function parseCsvRecords(text, delimiter = ",") {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n") {
+      record.push(field.endsWith("\r") ? field.slice(0, -1) : field);
+      records.push(record);
+      record = [];
+      field = "";
+      start = i + 1;
+    } else {
+      field += ch;
+    }
+  }
+  return { records, rest: text.slice(start) };
+}
+
+/**
+ * Parses the SelectObjectContent event stream into records. Records
+ * events can split a row anywhere, so text is buffered up to the last
+ * complete record. A stream that ends without an End event is truncated
+ * and raises an error rather than silently returning partial results.
+ */
+export async function* readSelectEvents(payload, options = {}) {
+  const {
+    outputFormat = "json",
+    delimiter = ",",
+    onProgress,
+    onStats,
+  } = options;
+  const csv = outputFormat.toLowerCase() === "csv";
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let ended = false;
+
+  for await (const event of payload) {
+    if (event.Records) {
+      buffer += decoder.decode(event.Records.Payload, { stream: true });
+      if (csv) {
+        const { records, rest } = parseCsvRecords(buffer, delimiter);
+        buffer = rest;
+        yield* records;
+      } else {
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) yield JSON.parse(line);
+        }
+      }
+    } else if (event.Progress) {
+      onProgress?.(event.Progress.Details);
+    } else if (event.Stats) {
+      onStats?.(event.Stats.Details);
+    } else if (event.End) {
+      ended = true;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    if (csv) {
+      yield* parseCsvRecords(`${buffer}\n`, delimiter).records;
+    } else {
+      yield JSON.parse(buffer);
+    }
+  }
+  if (!ended) {
+    throw new Error("S3 Select stream ended before the End event");
+  }
+}
+
+export async function* select(client, bucket, key, sql, options = {}) {
+  const res = await client.send(
+    new SelectObjectContentCommand(
+      buildSelectParams(bucket, key, sql, options)
+    ),
+    { abortSignal: options.abortSignal }
+  );
+  yield* readSelectEvents(res.Payload, options);
+}
@@ -0,0 +1,204 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { DEFAULT_PART_SIZE, runPool } from "./transfer.js";
+import { createFilter } from "../utils/glob.js";
+
+// ------------------------------
+// Directory sync (`aws s3 sync`)
+// ------------------------------
+// Compares a local directory with an S3 prefix and copies only what
+// differs, optionally deleting files missing from the source.
+//
+//   await s3.sync("./dist", "s3://my-bucket/site", { delete: true });
+//   await s3.sync("s3://my-bucket/site", "./backup");
+
+const DEFAULT_CONCURRENCY = 8;
+
+export function parseS3Url(url) {
+  const [bucket, ...rest] = url.replace(/^s3:\/\//, "").split("/");
+  let prefix = rest.join("/");
+  if (prefix && !prefix.endsWith("/")) prefix += "/";
+  return { bucket, prefix };
+}
+
+async function listLocal(dir) {
+  const files = new Map();
+  const walk = async (current) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile()) {
+        const stat = await fs.promises.stat(full);
+        const relPath = path.relative(dir, full).split(path.sep).join("/");
+        files.set(relPath, { path: full, size: stat.size, mtime: stat.mtime });
+      }
+    }
+  };
+  await walk(dir);
+  return files;
+}
+
+// Keys come from the bucket, so "../" in one must not escape localDir
+function localPath(localDir, relPath) {
+  const root = path.resolve(localDir);
+  const filePath = path.resolve(root, ...relPath.split("/"));
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Refusing to download "${relPath}" outside ${localDir}`);
+  }
+  return filePath;
+}
+
+async function listRemote(s3, bucket, prefix) {
+  const objects = new Map();
+  for (const obj of await s3.listObjects(bucket, prefix || undefined)) {
+    // Skip "folder" placeholder keys created by the console
+    if (obj.Key.endsWith("/")) continue;
+    objects.set(obj.Key.slice(prefix.length), obj);
+  }
+  return objects;
+}
+
+async function md5(filePath) {
+  const hash = crypto.createHash("md5");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * A file is unchanged when sizes match and either the object's ETag equals
+ * the local file's MD5 or the destination is at least as new as the
+ * source. The time check still runs when a 32-hex ETag doesn't match,
+ * since SSE-KMS and SSE-C objects have ETags that are not MD5s.
+ */
+async function isUnchanged(local, remote, direction) {
+  if (local.size !== remote.Size) return false;
+  const eTag = remote.ETag?.replace(/"/g, "");
+  if (eTag && /^[0-9a-f]{32}$/.test(eTag)) {
+    if ((await md5(local.path)) === eTag) return true;
+  }
+  const remoteTime = new Date(remote.LastModified).getTime();
+  return direction === "upload"
+    ? local.mtime.getTime() <= remoteTime
+    : local.mtime.getTime() >= remoteTime;
+}
+
+/**
+ * Syncs a local directory and an S3 prefix in either direction; exactly
+ * one of `source` / `dest` must be an "s3://bucket/prefix" URL.
+ *
+ * @param {object} options
+ * @param {boolean} options.delete remove destination files missing from the source
+ * @param {string|string[]} options.exclude glob(s) to skip, relative to the directory/prefix
+ * @param {string|string[]} options.include glob(s) to keep even if excluded, in any order (the AWS CLI lets the last filter win)
+ * @param {boolean} options.dryRun report what would change without touching anything
+ * @param {number} options.concurrency parallel transfers (default 8)
+ * @param {number} options.multipartThreshold files above this size use uploadLarge (default 8MB)
+ * @returns {{ transferred: string[], deleted: string[], skipped: string[], dryRun: boolean }}
+ */
+export async function sync(s3, source, dest, options = {}) {
+  const {
+    delete: deleteExtra = false,
+    dryRun = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    multipartThreshold = DEFAULT_PART_SIZE,
+  } = options;
+
+  const upload = !source.startsWith("s3://");
+  if (upload === !dest.startsWith("s3://")) {
+    throw new Error(
+      `sync needs exactly one s3:// location, got "${source}" and "${dest}"`
+    );
+  }
+
+  const localDir = upload ? source : dest;
+  const { bucket, prefix } = parseS3Url(upload ? dest : source);
+  const filter = createFilter(options);
+
+  const [localFiles, remoteObjects] = await Promise.all([
+    listLocal(localDir),
+    listRemote(s3, bucket, prefix),
+  ]);
+  const [sourceFiles, destFiles] = upload
+    ? [localFiles, remoteObjects]
+    : [remoteObjects, localFiles];
+
+  const result = { transferred: [], deleted: [], skipped: [], dryRun };
+  const toTransfer = [];
+
+  for (const relPath of sourceFiles.keys()) {
+    if (!filter(relPath)) continue;
+    const local = localFiles.get(relPath);
+    const remote = remoteObjects.get(relPath);
+    if (
+      local &&
+      remote &&
+      (await isUnchanged(local, remote, upload ? "upload" : "download"))
+    ) {
+      result.skipped.push(relPath);
+    } else {
+      toTransfer.push(relPath);
+    }
+  }
+
+  const toDelete = deleteExtra
+    ? [...destFiles.keys()].filter((p) => !sourceFiles.has(p) && filter(p))
+    : [];
+
+  // Checked up front so a bad key stops the sync before anything is written
+  const targets = upload
+    ? new Map()
+    : new Map(
+        toTransfer.map((relPath) => [relPath, localPath(localDir, relPath)])
+      );
+
+  if (dryRun) {
+    result.transferred = toTransfer;
+    result.deleted = toDelete;
+    return result;
+  }
+
+  await runPool(toTransfer, concurrency, async (relPath) => {
+    const key = prefix + relPath;
+    if (upload) {
+      const local = localFiles.get(relPath);
+      if (local.size > multipartThreshold) {
+        await s3.uploadLarge(bucket, key, local.path);
+      } else {
+        await s3.uploadFile(
+          bucket,
+          key,
+          await fs.promises.readFile(local.path)
+        );
+      }
+    } else {
+      const filePath = targets.get(relPath);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await s3.downloadToFile(bucket, key, filePath);
+      // Keep mtimes aligned with S3 so the next sync sees the file as current
+      const mtime = new Date(remoteObjects.get(relPath).LastModified);
+      await fs.promises.utimes(filePath, mtime, mtime);
+    }
+    result.transferred.push(relPath);
+  });
+
+  await runPool(toDelete, concurrency, async (relPath) => {
+    if (upload) {
+      await s3.deleteObject(bucket, prefix + relPath);
+    } else {
+      await fs.promises.rm(localFiles.get(relPath).path);
+    }
+    result.deleted.push(relPath);
+  });
+
+  return result;
+}
@@ -0,0 +1,513 @@
+import fs from "fs";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import {
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+} from "@aws-sdk/client-s3";
+
+// ------------------------------
+// Managed transfers (boto3 upload_file / TransferConfig equivalent)
+// ------------------------------
+
+export const MIN_PART_SIZE = 5 * 1024 * 1024; // S3 minimum for all but the last part
+export const MAX_PARTS = 10000;
+export const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_MAX_RETRIES = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const err = new Error("Upload aborted");
+    err.name = "AbortError";
+    throw err;
+  }
+}
+
+/**
+ * Retries `fn` with exponential backoff unless the operation was aborted.
+ */
+export async function withRetries(fn, { maxRetries, abortSignal }) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(abortSignal);
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= maxRetries || err.name === "AbortError") throw err;
+      await sleep(100 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Runs `fn` over `items` with at most `concurrency` calls in flight.
+ * Stops handing out work after the first failure and rethrows it.
+ */
+export async function runPool(items, concurrency, fn) {
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, concurrency) }, () =>
+      worker().catch((err) => {
+        failed = true;
+        throw err;
+      })
+    )
+  );
+}
+
+/**
+ * Size of a Buffer/string/file-path source, or undefined for streams.
+ */
+async function sourceSize(source) {
+  if (typeof source === "string") return (await fs.promises.stat(source)).size;
+  if (Buffer.isBuffer(source) || source instanceof Uint8Array)
+    return source.length;
+  return undefined;
+}
+
+async function* rechunk(stream, partSize) {
+  let pending = [];
+  let pendingSize = 0;
+  for await (const chunk of stream) {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    pending.push(buf);
+    pendingSize += buf.length;
+    while (pendingSize >= partSize) {
+      const joined = Buffer.concat(pending, pendingSize);
+      yield joined.subarray(0, partSize);
+      pending = [joined.subarray(partSize)];
+      pendingSize = pending[0].length;
+    }
+  }
+  if (pendingSize > 0) yield Buffer.concat(pending, pendingSize);
+}
+
+/**
+ * Splits a Buffer, file path or Readable into part-sized Buffers without
+ * loading more than one part at a time (Buffers are sliced, not copied).
+ */
+export async function* readParts(source, partSize) {
+  if (Buffer.isBuffer(source) || source instanceof Uint8Array) {
+    const buf = Buffer.from(source.buffer, source.byteOffset, source.length);
+    for (let offset = 0; offset < buf.length; offset += partSize) {
+      yield buf.subarray(offset, offset + partSize);
+    }
+    return;
+  }
+  const stream =
+    typeof source === "string"
+      ? fs.createReadStream(source, { highWaterMark: 1024 * 1024 })
+      : source;
+  if (!(stream instanceof Readable) && !stream?.[Symbol.asyncIterator]) {
+    throw new Error("Source must be a Buffer, file path or Readable stream");
+  }
+  yield* rechunk(stream, partSize);
+}
+
+function md5Hex(body) {
+  return crypto.createHash("md5").update(body).digest("hex");
+}
+
+function choosePartSize(requested, total) {
+  let partSize = Math.max(requested || DEFAULT_PART_SIZE, MIN_PART_SIZE);
+  if (total && Math.ceil(total / partSize) > MAX_PARTS) {
+    partSize = Math.ceil(total / MAX_PARTS);
+  }
+  return partSize;
+}
+
+async function listUploadedParts(client, bucket, key, uploadId) {
+  const parts = new Map();
+  let marker;
+  do {
+    const res = await client.send(
+      new ListPartsCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker,
+      })
+    );
+    for (const part of res.Parts || []) parts.set(part.PartNumber, part);
+    marker = res.IsTruncated ? res.NextPartNumberMarker : undefined;
+  } while (marker);
+  return parts;
+}
+
+/**
+ * Multipart upload with parallel parts, per-part retries, abort/cleanup
+ * on failure and resume via `uploadId`. Small sources fall back to a
+ * single PutObject.
+ *
+ * @param {S3Client} client
+ * @param {object} options
+ * @param {number} options.partSize bytes per part (min 5MB, default 8MB)
+ * @param {number} options.concurrency parts uploaded in parallel (default 4)
+ * @param {number} options.maxRetries attempts per part after the first (default 3)
+ * @param {function} options.onProgress ({ loaded, total, part, uploadId }) => void
+ * @param {AbortSignal} options.abortSignal cancels the upload
+ * @param {string} options.uploadId resume an upload started with leavePartsOnError
+ * @param {boolean} options.leavePartsOnError keep uploaded parts on failure so the upload can be resumed
+ * @param {object} options.params extra CreateMultipartUpload/PutObject fields (ContentType, Metadata, ...)
+ */
+export async function uploadLarge(client, bucket, key, source, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    onProgress,
+    abortSignal,
+    leavePartsOnError = false,
+    params = {},
+  } = options;
+
+  throwIfAborted(abortSignal);
+  const total = await sourceSize(source);
+  const partSize = choosePartSize(options.partSize, total);
+  const parts = readParts(source, partSize);
+
+  // Peek at the first two parts: a single part goes up as a plain PutObject
+  const first = await parts.next();
+  const second = first.done ? first : await parts.next();
+  if (second.done && !options.uploadId) {
+    const body = first.done ? Buffer.alloc(0) : first.value;
+    const res = await withRetries(
+      () =>
+        client.send(
+          new PutObjectCommand({
+            ...params,
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+          }),
+          { abortSignal }
+        ),
+      { maxRetries, abortSignal }
+    );
+    onProgress?.({ loaded: body.length, total: body.length, part: 1 });
+    return res;
+  }
+
+  // Closing the part reader on every exit releases the file descriptor
+  // (or destroys the stream) when the upload fails or is aborted.
+  try {
+    let uploadId = options.uploadId;
+    if (!uploadId) {
+      const created = await client.send(
+        new CreateMultipartUploadCommand({
+          ...params,
+          Bucket: bucket,
+          Key: key,
+        }),
+        { abortSignal }
+      );
+      uploadId = created.UploadId;
+    }
+    const existing = options.uploadId
+      ? await listUploadedParts(client, bucket, key, uploadId)
+      : new Map();
+
+    async function* numbered() {
+      let partNumber = 0;
+      for (const item of [first, second]) {
+        if (!item.done) yield { partNumber: ++partNumber, body: item.value };
+      }
+      for await (const body of parts) yield { partNumber: ++partNumber, body };
+    }
+
+    const queue = numbered();
+    const completed = [];
+    let loaded = 0;
+    let failed = false;
+
+    const report = (part, size) => {
+      loaded += size;
+      onProgress?.({ loaded, total, part, uploadId });
+    };
+
+    // Workers pull from one shared generator; async generators queue
+    // concurrent next() calls, so each part is handed out exactly once.
+    const worker = async () => {
+      while (!failed) {
+        const { value, done } = await queue.next();
+        if (done) return;
+        const { partNumber, body } = value;
+
+        // Sizes alone can match after the source changed; S3 part ETags
+        // are the MD5 of the part (except under SSE-KMS, which re-uploads).
+        const previous = existing.get(partNumber);
+        if (
+          previous?.Size === body.length &&
+          previous.ETag?.replace(/"/g, "") === md5Hex(body)
+        ) {
+          completed.push({ PartNumber: partNumber, ETag: previous.ETag });
+          report(partNumber, body.length);
+          continue;
+        }
+
+        const res = await withRetries(
+          () =>
+            client.send(
+              new UploadPartCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                Body: body,
+              }),
+              { abortSignal }
+            ),
+          { maxRetries, abortSignal }
+        );
+        completed.push({ PartNumber: partNumber, ETag: res.ETag });
+        report(partNumber, body.length);
+      }
+    };
+
+    try {
+      // Every worker settles before we abort: parts still in flight could
+      // otherwise land after the abort and leave storage behind.
+      let error;
+      await Promise.all(
+        Array.from({ length: Math.max(1, concurrency) }, () =>
+          worker().catch((err) => {
+            failed = true;
+            error ??= err;
+          })
+        )
+      );
+      if (error) throw error;
+
+      completed.sort((a, b) => a.PartNumber - b.PartNumber);
+      return await client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: completed },
+        })
+      );
+    } catch (err) {
+      err.uploadId = uploadId;
+      if (!leavePartsOnError) {
+        await client
+          .send(
+            new AbortMultipartUploadCommand({
+              Bucket: bucket,
+              Key: key,
+              UploadId: uploadId,
+            })
+          )
+          .catch(() => {});
+      }
+      throw err;
+    }
+  } finally {
+    await parts.return();
+  }
+}
+
+// ------------------------------
+// Downloads
+// ------------------------------
+
+/**
+ * Accepts "bytes=0-99" or { start, end } (end inclusive, optional).
+ */
+export function formatRange(range) {
+  if (!range || typeof range === "string") return range;
+  return `bytes=${range.start ?? 0}-${range.end ?? ""}`;
+}
+
+export async function streamToBuffer(body) {
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+async function writeBody(body, filePath, onChunk) {
+  await pipeline(
+    body,
+    async function* (source) {
+      for await (const chunk of source) {
+        onChunk(chunk.length);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(filePath)
+  );
+}
+
+async function hashFile(filePath, algorithm, encoding) {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest(encoding);
+}
+
+/**
+ * Verifies a downloaded file against the object's full-object checksums:
+ * ChecksumSHA256 when S3 stored one, otherwise the ETag when it is a
+ * plain MD5. Multipart ("-N"), SSE-KMS, DSSE-KMS and SSE-C objects have
+ * ETags that are not the content's MD5. Returns false when there was
+ * nothing verifiable.
+ */
+export async function verifyChecksum(filePath, head) {
+  let expected;
+  let actual;
+  const sha256 = head.ChecksumSHA256;
+  const eTag = head.ETag?.replace(/"/g, "");
+  const eTagIsMd5 =
+    !head.ServerSideEncryption?.startsWith("aws:kms") &&
+    !head.SSECustomerAlgorithm;
+
+  if (sha256 && !sha256.includes("-") && head.ChecksumType !== "COMPOSITE") {
+    expected = sha256;
+    actual = await hashFile(filePath, "sha256", "base64");
+  } else if (eTagIsMd5 && eTag && /^[0-9a-f]{32}$/.test(eTag)) {
+    expected = eTag;
+    actual = await hashFile(filePath, "md5", "hex");
+  } else {
+    return false;
+  }
+
+  if (expected !== actual) {
+    const err = new Error(
+      `Checksum mismatch: expected ${expected}, got ${actual}`
+    );
+    err.name = "ChecksumMismatch";
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * Downloads an object to `filePath`. Objects larger than `partSize` are
+ * fetched with parallel ranged GETs pinned to the HEAD's ETag (IfMatch),
+ * so a concurrent overwrite fails the download instead of mixing
+ * versions. The partial file is removed on failure.
+ *
+ * @param {object} options
+ * @param {string|object} options.range only fetch this byte range (no parallelism, no checksum)
+ * @param {string} options.versionId download a specific object version
+ * @param {number} options.partSize bytes per ranged GET (default 8MB)
+ * @param {number} options.concurrency parallel ranged GETs (default 4)
+ * @param {number} options.maxRetries attempts per range after the first (default 3)
+ * @param {boolean} options.verifyChecksum verify SHA-256/MD5 after download (default true)
+ * @param {function} options.onProgress ({ loaded, total }) => void
+ * @param {AbortSignal} options.abortSignal cancels the download
+ */
+export async function downloadToFile(
+  client,
+  bucket,
+  key,
+  filePath,
+  options = {}
+) {
+  const {
+    partSize = DEFAULT_PART_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    verifyChecksum: verify = true,
+    onProgress,
+    abortSignal,
+  } = options;
+  const range = formatRange(options.range);
+  const object = { Bucket: bucket, Key: key, VersionId: options.versionId };
+
+  let loaded = 0;
+  const report = (size, total) => {
+    loaded += size;
+    onProgress?.({ loaded, total });
+  };
+
+  try {
+    if (range) {
+      const res = await client.send(
+        new GetObjectCommand({ ...object, Range: range }),
+        { abortSignal }
+      );
+      await writeBody(res.Body, filePath, (n) => report(n, res.ContentLength));
+      return { path: filePath, bytes: loaded, eTag: res.ETag };
+    }
+
+    const head = await client.send(
+      new HeadObjectCommand({ ...object, ChecksumMode: "ENABLED" }),
+      { abortSignal }
+    );
+    const total = head.ContentLength;
+
+    if (total <= partSize) {
+      const res = await client.send(
+        new GetObjectCommand({ ...object, IfMatch: head.ETag }),
+        { abortSignal }
+      );
+      await writeBody(res.Body, filePath, (n) => report(n, total));
+    } else {
+      const fh = await fs.promises.open(filePath, "w");
+      try {
+        let next = 0;
+        let failed = false;
+        const worker = async () => {
+          while (!failed && next < total) {
+            const start = next;
+            const end = Math.min(start + partSize, total) - 1;
+            next = end + 1;
+
+            const body = await withRetries(
+              async () => {
+                const res = await client.send(
+                  new GetObjectCommand({
+                    ...object,
+                    Range: `bytes=${start}-${end}`,
+                    IfMatch: head.ETag,
+                  }),
+                  { abortSignal }
+                );
+                return streamToBuffer(res.Body);
+              },
+              { maxRetries, abortSignal }
+            );
+            await fh.write(body, 0, body.length, start);
+            report(body.length, total);
+          }
+        };
+        // As with uploads, let every worker settle before the file is
+        // closed and removed so no ranged write lands afterwards.
+        let error;
+        await Promise.all(
+          Array.from({ length: Math.max(1, concurrency) }, () =>
+            worker().catch((err) => {
+              failed = true;
+              error ??= err;
+            })
+          )
+        );
+        if (error) throw error;
+      } finally {
+        await fh.close();
+      }
+    }
+
+    const verified = verify ? await verifyChecksum(filePath, head) : false;
+    return { path: filePath, bytes: total, eTag: head.ETag, verified };
+  } catch (err) {
+    await fs.promises.rm(filePath, { force: true });
+    throw err;
+  }
+}
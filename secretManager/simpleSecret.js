@@ -15,6 +15,18 @@ import {
   ListSecretVersionIdsCommand,
   ReplicateSecretToRegionsCommand,
 } from "@aws-sdk/client-secrets-manager";
+import { createPaginator } from "../utils/paginator.js";
+import { toBoto3Error } from "../utils/errors.js";
+
+const PAGINATORS = {
+  listSecrets: {
+    command: ListSecretsCommand,
+    inputToken: "NextToken",
+    outputToken: "NextToken",
+    limitKey: "MaxResults",
+    resultKey: "SecretList",
+  },
+};
 
 export class SimpleSecret {
   constructor(options = {}, { debug = false } = {}) {
@@ -27,7 +39,7 @@ export class SimpleSecret {
   }
 
   _handleError(operation, err) {
-    throw new Error(`SecretsManager ${operation} failed: ${err.message}`);
+    throw toBoto3Error("SecretsManager", operation, err);
   }
 
   _formatOutput(data) {
@@ -35,6 +47,16 @@ export class SimpleSecret {
     return data;
   }
 
+  // ---- Pagination ----
+
+  getPaginator(operation) {
+    return createPaginator(this, "SecretsManager", PAGINATORS, operation);
+  }
+
+  canPaginate(operation) {
+    return operation in PAGINATORS;
+  }
+
   // ---- Core Secret Operations ----
 
   async getSecret(name) {
@@ -4,5 +4,6 @@ export const AWSService = Object.freeze({
   LAMBDA: "lambda",
   SECRETMANAGER: "secretManager",
   IAM: "iam",
+  STS: "sts",
   // extend in future
 });
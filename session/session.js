@@ -0,0 +1,86 @@
+import { AWSService } from "../services/service.js";
+import SimpleS3 from "../s3/s3.js";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import SimpleSecret from "../secretManager/simpleSecret.js";
+import SimpleIAM from "../iam/simpleIAM.js";
+import SimpleLambda from "../lambda/simpleLambda.js";
+import SimpleSTS from "../sts/simpleSTS.js";
+import { buildSdkConfig, resolveRegion } from "../utils/credentials.js";
+
+const SERVICE_CLASSES = {
+  [AWSService.S3]: SimpleS3,
+  [AWSService.DYNAMODB]: SimpleDynamoDB,
+  [AWSService.SECRETMANAGER]: SimpleSecret,
+  [AWSService.IAM]: SimpleIAM,
+  [AWSService.LAMBDA]: SimpleLambda,
+  [AWSService.STS]: SimpleSTS,
+};
+
+/**
+ * boto3-style Session: holds one set of credentials + region and hands
+ * out cached clients for it. Independent sessions never share state, so
+ * two tenants or regions can live side by side in the same process.
+ *
+ *   const session = new Session({ region: "eu-west-1", profile: "staging" });
+ *   const s3 = session.client(AWSService.S3);
+ */
+export class Session {
+  constructor(options = {}) {
+    this._options = { ...options };
+    // Built once so every client of this session shares one credential
+    // provider (and its cache) instead of resolving credentials per client.
+    this._sdkConfig = buildSdkConfig(this._options);
+    this._clients = new Map();
+  }
+
+  get region() {
+    return this._options.region || null;
+  }
+
+  get profile() {
+    return this._options.profile || null;
+  }
+
+  get config() {
+    return { ...this._options };
+  }
+
+  /**
+   * Region as the clients will see it, including the profile's region
+   * from ~/.aws/config when none was set explicitly.
+   */
+  async resolveRegion() {
+    const region = resolveRegion(this._options);
+    return typeof region === "function" ? region() : region;
+  }
+
+  availableServices() {
+    return Object.keys(SERVICE_CLASSES);
+  }
+
+  /**
+   * A new client on every call; it still shares this session's
+   * credential provider.
+   */
+  createClient(service) {
+    const ServiceClass = SERVICE_CLASSES[service];
+    if (!ServiceClass) {
+      throw new Error(`Service '${service}' is not supported yet.`);
+    }
+    return new ServiceClass(this._sdkConfig, {
+      debug: Boolean(this._options.debug),
+    });
+  }
+
+  /**
+   * The session's client for `service`, created once and then reused.
+   */
+  client(service) {
+    if (!this._clients.has(service)) {
+      this._clients.set(service, this.createClient(service));
+    }
+    return this._clients.get(service);
+  }
+}
+
+export default Session;
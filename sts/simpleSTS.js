@@ -0,0 +1,147 @@
+import {
+  STSClient,
+  AssumeRoleCommand,
+  GetCallerIdentityCommand,
+  GetSessionTokenCommand,
+} from "@aws-sdk/client-sts";
+import { toBoto3Error } from "../utils/errors.js";
+
+// Refresh temporary credentials this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+export class SimpleSTS {
+  constructor(options = {}, { debug = false } = {}) {
+    this.client = new STSClient(options);
+    this.debug = debug;
+  }
+
+  _formatOutput(data) {
+    if (this.debug) console.log(JSON.stringify(data, null, 2));
+    return data;
+  }
+
+  _handleError(operation, err) {
+    throw toBoto3Error("STS", operation, err);
+  }
+
+  // MFA token codes may be given as a string or as a (possibly async)
+  // function, so long-running processes can prompt again on refresh.
+  async _mfaParams(mfa) {
+    if (!mfa) return {};
+    const tokenCode =
+      typeof mfa.tokenCode === "function"
+        ? await mfa.tokenCode()
+        : mfa.tokenCode;
+    return { SerialNumber: mfa.serialNumber, TokenCode: tokenCode };
+  }
+
+  // --- Identity ---
+  async getCallerIdentity() {
+    try {
+      const res = await this.client.send(new GetCallerIdentityCommand({}));
+      return this._formatOutput({
+        UserId: res.UserId,
+        Account: res.Account,
+        Arn: res.Arn,
+      });
+    } catch (err) {
+      this._handleError("getCallerIdentity", err);
+    }
+  }
+
+  // --- Temporary Credentials ---
+  async assumeRole(
+    roleArn,
+    sessionName = "boto3-js",
+    { externalId, durationSeconds, mfa, policy, tags } = {}
+  ) {
+    try {
+      const res = await this.client.send(
+        new AssumeRoleCommand({
+          RoleArn: roleArn,
+          RoleSessionName: sessionName,
+          ExternalId: externalId,
+          DurationSeconds: durationSeconds,
+          Policy: policy ? JSON.stringify(policy) : undefined,
+          Tags: tags
+            ? Object.entries(tags).map(([Key, Value]) => ({ Key, Value }))
+            : undefined,
+          ...(await this._mfaParams(mfa)),
+        })
+      );
+      return this._formatOutput(res);
+    } catch (err) {
+      this._handleError(`assumeRole(${roleArn})`, err);
+    }
+  }
+
+  async getSessionToken({ durationSeconds, mfa } = {}) {
+    try {
+      const res = await this.client.send(
+        new GetSessionTokenCommand({
+          DurationSeconds: durationSeconds,
+          ...(await this._mfaParams(mfa)),
+        })
+      );
+      return this._formatOutput(res.Credentials);
+    } catch (err) {
+      this._handleError("getSessionToken", err);
+    }
+  }
+}
+
+/**
+ * Converts STS `Credentials` into the shape SDK v3 clients expect.
+ */
+export function toSdkCredentials(credentials) {
+  return {
+    accessKeyId: credentials.AccessKeyId,
+    secretAccessKey: credentials.SecretAccessKey,
+    sessionToken: credentials.SessionToken,
+    expiration: credentials.Expiration
+      ? new Date(credentials.Expiration)
+      : undefined,
+  };
+}
+
+/**
+ * Credential provider that assumes `roleArn` with `sts` and caches the
+ * result, refreshing shortly before expiry. Concurrent callers share a
+ * single in-flight AssumeRole request.
+ */
+export function assumeRoleProvider(
+  sts,
+  { roleArn, sessionName, externalId, durationSeconds, mfa, policy, tags }
+) {
+  let cached = null;
+  let pending = null;
+
+  const refresh = async () => {
+    const res = await sts.assumeRole(roleArn, sessionName, {
+      externalId,
+      durationSeconds,
+      mfa,
+      policy,
+      tags,
+    });
+    cached = toSdkCredentials(res.Credentials);
+    return cached;
+  };
+
+  return async () => {
+    const fresh =
+      cached &&
+      (!cached.expiration ||
+        cached.expiration.getTime() - Date.now() > REFRESH_MARGIN_MS);
+    if (fresh) return cached;
+
+    if (!pending) {
+      pending = refresh().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  };
+}
+
+export default SimpleSTS;
@@ -0,0 +1,223 @@
+import {
+  DynamoDBClient,
+  QueryCommand,
+  ScanCommand,
+  PutItemCommand,
+  UpdateItemCommand,
+  DeleteItemCommand,
+} from "@aws-sdk/client-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import {
+  Key,
+  Attr,
+  ExpressionContext,
+  compileConditions,
+} from "../dynamodb/conditions.js";
+
+const dbMock = mockClient(DynamoDBClient);
+
+function compile(condition) {
+  const ctx = new ExpressionContext();
+  return {
+    expression: condition.compile(ctx),
+    names: ctx.names,
+    values: ctx.values,
+  };
+}
+
+describe("Condition builders", () => {
+  test("Key conditions should compile with placeholders", () => {
+    expect(
+      compile(Key("pk").eq("x").and(Key("sk").beginsWith("2024")))
+    ).toEqual({
+      expression: "(#attr0 = :val0 AND begins_with(#attr1, :val1))",
+      names: { "#attr0": "pk", "#attr1": "sk" },
+      values: { ":val0": "x", ":val1": "2024" },
+    });
+  });
+
+  test("between should use two values", () => {
+    expect(compile(Key("ts").between(1, 5)).expression).toBe(
+      "#attr0 BETWEEN :val0 AND :val1"
+    );
+  });
+
+  test("Attr conditions should support or/not and functions", () => {
+    const { expression, names, values } = compile(
+      Attr("age")
+        .gt(30)
+        .or(Attr("status").notExists())
+        .and(Attr("role").isIn(["admin", "owner"]).not())
+    );
+    expect(expression).toBe(
+      "((#attr0 > :val0 OR attribute_not_exists(#attr1)) AND (NOT #attr2 IN (:val1, :val2)))"
+    );
+    expect(names).toEqual({
+      "#attr0": "age",
+      "#attr1": "status",
+      "#attr2": "role",
+    });
+    expect(values).toEqual({ ":val0": 30, ":val1": "admin", ":val2": "owner" });
+  });
+
+  test("should support contains, attributeType, exists, ne and size", () => {
+    expect(compile(Attr("tags").contains("a")).expression).toBe(
+      "contains(#attr0, :val0)"
+    );
+    expect(compile(Attr("n").attributeType("N")).expression).toBe(
+      "attribute_type(#attr0, :val0)"
+    );
+    expect(compile(Attr("n").exists()).expression).toBe(
+      "attribute_exists(#attr0)"
+    );
+    expect(compile(Attr("n").ne(1)).expression).toBe("#attr0 <> :val0");
+    expect(compile(Attr("items").size().gte(3)).expression).toBe(
+      "size(#attr0) >= :val0"
+    );
+  });
+
+  test("should split nested paths and reuse placeholders", () => {
+    const { expression, names } = compile(
+      Attr("address.city")
+        .eq("Pune")
+        .and(Attr("tags[0]").eq("x"))
+        .and(Attr("address.zip").exists())
+    );
+    expect(expression).toBe(
+      "((#attr0.#attr1 = :val0 AND #attr2[0] = :val1) AND attribute_exists(#attr0.#attr3))"
+    );
+    expect(names).toEqual({
+      "#attr0": "address",
+      "#attr1": "city",
+      "#attr2": "tags",
+      "#attr3": "zip",
+    });
+  });
+
+  test("attribute names with dashes should be safe", () => {
+    expect(compile(Attr("first-name").eq("a")).names).toEqual({
+      "#attr0": "first-name",
+    });
+  });
+
+  test("compileConditions should merge with existing names and values", () => {
+    const params = compileConditions({
+      KeyConditionExpression: Key("pk").eq("x"),
+      FilterExpression: "#custom = :custom",
+      ExpressionAttributeNames: { "#custom": "c" },
+      ExpressionAttributeValues: { ":custom": 1 },
+    });
+    expect(params).toEqual({
+      KeyConditionExpression: "#attr0 = :val0",
+      FilterExpression: "#custom = :custom",
+      ExpressionAttributeNames: { "#custom": "c", "#attr0": "pk" },
+      ExpressionAttributeValues: { ":custom": 1, ":val0": "x" },
+    });
+  });
+
+  test("compileConditions should leave plain params untouched", () => {
+    const params = { KeyConditionExpression: "id = :id" };
+    expect(compileConditions(params)).toBe(params);
+  });
+});
+
+describe("SimpleDynamoDB with conditions", () => {
+  let db;
+  const TABLE_NAME = "Users";
+
+  beforeEach(() => {
+    dbMock.reset();
+    db = new SimpleDynamoDB();
+  });
+
+  test("query should compile and marshall key conditions", async () => {
+    dbMock.on(QueryCommand).resolves({ Items: [] });
+    await db.query(TABLE_NAME, {
+      KeyConditionExpression: Key("pk").eq("x").and(Key("sk").gte(10)),
+      FilterExpression: Attr("status").ne("deleted"),
+    });
+
+    expect(dbMock.commandCalls(QueryCommand)[0].args[0].input).toEqual({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: "(#attr0 = :val0 AND #attr1 >= :val1)",
+      FilterExpression: "#attr2 <> :val2",
+      ExpressionAttributeNames: {
+        "#attr0": "pk",
+        "#attr1": "sk",
+        "#attr2": "status",
+      },
+      ExpressionAttributeValues: {
+        ":val0": { S: "x" },
+        ":val1": { N: "10" },
+        ":val2": { S: "deleted" },
+      },
+    });
+  });
+
+  test("scan paginator should compile filter conditions", async () => {
+    dbMock.on(ScanCommand).resolves({ Items: [] });
+    await db
+      .getPaginator("scan")
+      .paginate({ TableName: TABLE_NAME, FilterExpression: Attr("age").gt(30) })
+      .all();
+
+    const input = dbMock.commandCalls(ScanCommand)[0].args[0].input;
+    expect(input.FilterExpression).toBe("#attr0 > :val0");
+    expect(input.ExpressionAttributeValues).toEqual({ ":val0": { N: "30" } });
+  });
+
+  test("putItem and deleteItem should accept condition expressions", async () => {
+    dbMock.resolves({});
+    await db.putItem(
+      TABLE_NAME,
+      { id: { S: "1" } },
+      { ConditionExpression: Attr("id").notExists() }
+    );
+    await db.deleteItem(
+      TABLE_NAME,
+      { id: { S: "1" } },
+      { ConditionExpression: Attr("version").eq(3) }
+    );
+
+    expect(
+      dbMock.commandCalls(PutItemCommand)[0].args[0].input.ConditionExpression
+    ).toBe("attribute_not_exists(#attr0)");
+    expect(
+      dbMock.commandCalls(DeleteItemCommand)[0].args[0].input
+        .ExpressionAttributeValues
+    ).toEqual({ ":val0": { N: "3" } });
+  });
+
+  test("updateItem should merge condition placeholders with updates", async () => {
+    dbMock.on(UpdateItemCommand).resolves({ Attributes: {} });
+    await db.updateItem(
+      TABLE_NAME,
+      { id: { S: "1" } },
+      { role: { S: "Legend" } },
+      { ConditionExpression: Attr("role").eq("Master") }
+    );
+
+    const input = dbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(input.ConditionExpression).toBe("#attr0 = :val0");
+    expect(input.ExpressionAttributeNames).toEqual(
+      expect.objectContaining({ "#attr0": "role" })
+    );
+    expect(input.ExpressionAttributeValues).toEqual(
+      expect.objectContaining({ ":val0": { S: "Master" } })
+    );
+  });
+
+  test("Table methods should accept conditions with plain values", async () => {
+    dbMock.on(QueryCommand).resolves({ Items: [{ id: { S: "1" } }] });
+    const items = await db
+      .Table(TABLE_NAME)
+      .query({ KeyConditionExpression: Key("id").eq("1") });
+
+    expect(items).toEqual([{ id: "1" }]);
+    expect(
+      dbMock.commandCalls(QueryCommand)[0].args[0].input
+        .ExpressionAttributeValues
+    ).toEqual({ ":val0": { S: "1" } });
+  });
+});
@@ -0,0 +1,161 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  resolveCredentials,
+  resolveRegion,
+  buildSdkConfig,
+  DEFAULT_REGION,
+} from "../utils/credentials.js";
+import {
+  boto3,
+  setup,
+  getDefaultSession,
+  Session,
+  AWSService,
+} from "../index.js";
+import { SimpleS3 } from "../s3/s3.js";
+
+describe("Credential resolution", () => {
+  const ORIGINAL_ENV = { ...process.env };
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "boto3js-"));
+    const configFile = path.join(tmpDir, "config");
+    fs.writeFileSync(
+      configFile,
+      "[default]\nregion = eu-west-1\n\n[profile staging]\nregion = ap-south-1\n"
+    );
+    process.env.AWS_CONFIG_FILE = configFile;
+    const credentialsFile = path.join(tmpDir, "credentials");
+    fs.writeFileSync(
+      credentialsFile,
+      "[staging]\naws_access_key_id = PROFILEKEY\naws_secret_access_key = profilesecret\n"
+    );
+    process.env.AWS_SHARED_CREDENTIALS_FILE = credentialsFile;
+    delete process.env.AWS_PROFILE;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test("should return static credentials with a session token", () => {
+    expect(
+      resolveCredentials({
+        accessKeyId: "AKIA",
+        secretAccessKey: "secret",
+        sessionToken: "token",
+      })
+    ).toEqual({
+      accessKeyId: "AKIA",
+      secretAccessKey: "secret",
+      sessionToken: "token",
+    });
+  });
+
+  test("should pass through an explicit credentials provider", () => {
+    const provider = async () => ({ accessKeyId: "a", secretAccessKey: "b" });
+    expect(resolveCredentials({ credentials: provider })).toBe(provider);
+  });
+
+  test("should defer to the provider chain when no keys are given", () => {
+    expect(typeof resolveCredentials({})).toBe("function");
+    expect(typeof resolveCredentials({ profile: "staging" })).toBe("function");
+  });
+
+  test("should prefer a profile over static keys", () => {
+    expect(
+      typeof resolveCredentials({
+        profile: "staging",
+        accessKeyId: "AKIA",
+        secretAccessKey: "secret",
+      })
+    ).toBe("function");
+  });
+
+  test("should reject a half-configured key pair", () => {
+    expect(() => resolveCredentials({ accessKeyId: "AKIA" })).toThrow(
+      "Both accessKeyId and secretAccessKey are required"
+    );
+  });
+
+  test("should keep an explicit region", () => {
+    expect(resolveRegion({ region: "us-west-2" })).toBe("us-west-2");
+  });
+
+  test("should read the profile region from ~/.aws/config", async () => {
+    await expect(resolveRegion({ profile: "staging" })()).resolves.toBe(
+      "ap-south-1"
+    );
+    await expect(resolveRegion({})()).resolves.toBe("eu-west-1");
+  });
+
+  test("should fall back to the default region for unknown profiles", async () => {
+    await expect(resolveRegion({ profile: "missing" })()).resolves.toBe(
+      DEFAULT_REGION
+    );
+  });
+
+  test("buildSdkConfig should combine region and credentials", () => {
+    const config = buildSdkConfig({
+      region: "us-east-2",
+      accessKeyId: "AKIA",
+      secretAccessKey: "secret",
+    });
+    expect(config).toEqual({
+      region: "us-east-2",
+      credentials: { accessKeyId: "AKIA", secretAccessKey: "secret" },
+    });
+  });
+
+  test("boto3 should build a client without access keys", async () => {
+    setup({ accessKeyId: undefined, secretAccessKey: undefined });
+    const s3 = boto3(AWSService.S3, { profile: "staging" });
+    expect(s3).toBeInstanceOf(SimpleS3);
+    await expect(s3.client.config.region()).resolves.toBe("ap-south-1");
+  });
+
+  test("boto3 should prefer an explicit profile over global keys", async () => {
+    setup({ accessKeyId: "AKIA", secretAccessKey: "secret" });
+    const viaKeys = boto3(AWSService.S3);
+    const viaProfile = boto3(AWSService.S3, { profile: "staging" });
+
+    await expect(viaKeys.client.config.credentials()).resolves.toEqual(
+      expect.objectContaining({ accessKeyId: "AKIA" })
+    );
+    await expect(viaProfile.client.config.credentials()).resolves.toEqual(
+      expect.objectContaining({ accessKeyId: "PROFILEKEY" })
+    );
+  });
+
+  test("setup and Session should prefer an explicit profile over keys", async () => {
+    setup({ accessKeyId: "AKIA", secretAccessKey: "secret" });
+    setup({ profile: "staging" });
+    const session = new Session({
+      profile: "staging",
+      accessKeyId: "AKIA",
+      secretAccessKey: "secret",
+    });
+
+    for (const s3 of [boto3(AWSService.S3), session.client(AWSService.S3)]) {
+      await expect(s3.client.config.credentials()).resolves.toEqual(
+        expect.objectContaining({ accessKeyId: "PROFILEKEY" })
+      );
+    }
+  });
+
+  test("setup should let new keys replace an earlier profile", async () => {
+    setup({ profile: "staging" });
+    setup({ accessKeyId: "AKIA", secretAccessKey: "secret" });
+
+    expect(getDefaultSession().profile).toBeNull();
+    await expect(
+      boto3(AWSService.S3).client.config.credentials()
+    ).resolves.toEqual(expect.objectContaining({ accessKeyId: "AKIA" }));
+  });
+});
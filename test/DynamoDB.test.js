@@ -82,6 +82,26 @@ describe("SimpleDynamoDB", () => {
       expect(res).toEqual([ITEM]);
     });
 
+    test("scan should follow LastEvaluatedKey across pages", async () => {
+      dbMock
+        .resolvesOnce({ Items: [ITEM], LastEvaluatedKey: { id: { S: "1" } } })
+        .resolvesOnce({ Items: [ITEM] });
+      const res = await db.scan(TABLE_NAME, {});
+      expect(res).toEqual([ITEM, ITEM]);
+    });
+
+    test("scan with Limit should use it as the page size", async () => {
+      dbMock
+        .resolvesOnce({ Items: [ITEM], LastEvaluatedKey: { id: { S: "1" } } })
+        .resolvesOnce({ Items: [ITEM] });
+      const res = await db.scan(TABLE_NAME, { Limit: 1 });
+      expect(res).toEqual([ITEM, ITEM]);
+      expect(dbMock.calls()[1].args[0].input).toMatchObject({
+        Limit: 1,
+        ExclusiveStartKey: { id: { S: "1" } },
+      });
+    });
+
     test("batchWrite should succeed", async () => {
       dbMock.resolves({});
       const res = await db.batchWrite({
@@ -0,0 +1,188 @@
+import {
+  DynamoDBClient,
+  PutItemCommand,
+  GetItemCommand,
+  UpdateItemCommand,
+  QueryCommand,
+  BatchWriteItemCommand,
+  TransactWriteItemsCommand,
+} from "@aws-sdk/client-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import { Table } from "../dynamodb/table.js";
+
+const dbMock = mockClient(DynamoDBClient);
+
+describe("DynamoDB Table", () => {
+  let db;
+  let users;
+  const TABLE_NAME = "Users";
+
+  beforeEach(() => {
+    dbMock.reset();
+    db = new SimpleDynamoDB();
+    users = db.Table(TABLE_NAME);
+  });
+
+  test("db.Table should return a Table resource", () => {
+    expect(users).toBeInstanceOf(Table);
+    expect(users.name).toBe(TABLE_NAME);
+  });
+
+  test("putItem should marshall native values", async () => {
+    dbMock.on(PutItemCommand).resolves({});
+    await users.putItem({
+      id: "1",
+      age: 30,
+      active: true,
+      tags: new Set(["a", "b"]),
+      avatar: Buffer.from("img"),
+      address: { city: "Pune", zip: null },
+      scores: [1, "two"],
+      big: 12345678901234567890n,
+    });
+
+    const { Item } = dbMock.commandCalls(PutItemCommand)[0].args[0].input;
+    expect(Item).toEqual({
+      id: { S: "1" },
+      age: { N: "30" },
+      active: { BOOL: true },
+      tags: { SS: ["a", "b"] },
+      avatar: { B: Buffer.from("img") },
+      address: { M: { city: { S: "Pune" }, zip: { NULL: true } } },
+      scores: { L: [{ N: "1" }, { S: "two" }] },
+      big: { N: "12345678901234567890" },
+    });
+  });
+
+  test("getItem should unmarshall the item", async () => {
+    dbMock.on(GetItemCommand).resolves({
+      Item: {
+        id: { S: "1" },
+        tags: { SS: ["a"] },
+        big: { N: "12345678901234567890" },
+      },
+    });
+
+    const item = await users.getItem({ id: "1" });
+
+    expect(item).toEqual({
+      id: "1",
+      tags: new Set(["a"]),
+      big: 12345678901234567890n,
+    });
+    expect(dbMock.commandCalls(GetItemCommand)[0].args[0].input.Key).toEqual({
+      id: { S: "1" },
+    });
+  });
+
+  test("getItem should return undefined when the item is missing", async () => {
+    dbMock.on(GetItemCommand).resolves({});
+    await expect(users.getItem({ id: "nope" })).resolves.toBeUndefined();
+  });
+
+  test("wrapNumbers should preserve number precision", async () => {
+    dbMock
+      .on(GetItemCommand)
+      .resolves({ Item: { price: { N: "0.1000000000000000055" } } });
+    const precise = db.Table(TABLE_NAME, { wrapNumbers: true });
+    const item = await precise.getItem({ id: "1" });
+    expect(typeof item.price).toBe("object");
+    expect(item.price.toString()).toBe("0.1000000000000000055");
+  });
+
+  test("removeUndefinedValues should drop undefined attributes", async () => {
+    dbMock.on(PutItemCommand).resolves({});
+    await expect(users.putItem({ id: "1", name: undefined })).rejects.toThrow();
+
+    const lenient = db.Table(TABLE_NAME, { removeUndefinedValues: true });
+    await lenient.putItem({ id: "1", name: undefined });
+    expect(
+      dbMock.commandCalls(PutItemCommand)[0].args[0].input.Item
+    ).toEqual({ id: { S: "1" } });
+  });
+
+  test("updateItem should marshall updates and unmarshall attributes", async () => {
+    dbMock
+      .on(UpdateItemCommand)
+      .resolves({ Attributes: { id: { S: "1" }, role: { S: "Legend" } } });
+
+    const res = await users.updateItem({ id: "1" }, { role: "Legend" });
+
+    expect(res).toEqual({ id: "1", role: "Legend" });
+    const input = dbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(Object.values(input.ExpressionAttributeValues)).toEqual([
+      { S: "Legend" },
+    ]);
+  });
+
+  test("query should marshall values and unmarshall items", async () => {
+    dbMock.on(QueryCommand).resolves({ Items: [{ id: { S: "1" } }] });
+
+    const items = await users.query({
+      KeyConditionExpression: "id = :id",
+      ExpressionAttributeValues: { ":id": "1" },
+    });
+
+    expect(items).toEqual([{ id: "1" }]);
+    expect(
+      dbMock.commandCalls(QueryCommand)[0].args[0].input
+        .ExpressionAttributeValues
+    ).toEqual({ ":id": { S: "1" } });
+  });
+
+  test("batchWrite should marshall requests and return unprocessed items", async () => {
+    dbMock.on(BatchWriteItemCommand).resolves({
+      UnprocessedItems: {
+        [TABLE_NAME]: [{ DeleteRequest: { Key: { id: { S: "2" } } } }],
+      },
+    });
+
+    const res = await users.batchWrite([
+      { PutRequest: { Item: { id: "1", n: 1 } } },
+      { DeleteRequest: { Key: { id: "2" } } },
+    ]);
+
+    expect(
+      dbMock.commandCalls(BatchWriteItemCommand)[0].args[0].input.RequestItems
+    ).toEqual({
+      [TABLE_NAME]: [
+        { PutRequest: { Item: { id: { S: "1" }, n: { N: "1" } } } },
+        { DeleteRequest: { Key: { id: { S: "2" } } } },
+      ],
+    });
+    expect(res.UnprocessedItems).toEqual([
+      { DeleteRequest: { Key: { id: "2" } } },
+    ]);
+  });
+
+  test("transactWrite should default TableName and marshall values", async () => {
+    dbMock.on(TransactWriteItemsCommand).resolves({});
+
+    await users.transactWrite([
+      { Put: { Item: { id: "1" } } },
+      {
+        Update: {
+          Key: { id: "2" },
+          UpdateExpression: "SET #n = :n",
+          ExpressionAttributeNames: { "#n": "name" },
+          ExpressionAttributeValues: { ":n": "x" },
+        },
+      },
+    ]);
+
+    const items =
+      dbMock.commandCalls(TransactWriteItemsCommand)[0].args[0].input
+        .TransactItems;
+    expect(items[0]).toEqual({
+      Put: { TableName: TABLE_NAME, Item: { id: { S: "1" } } },
+    });
+    expect(items[1].Update).toEqual(
+      expect.objectContaining({
+        TableName: TABLE_NAME,
+        Key: { id: { S: "2" } },
+        ExpressionAttributeValues: { ":n": { S: "x" } },
+      })
+    );
+  });
+});
@@ -0,0 +1,165 @@
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import { Attr } from "../dynamodb/conditions.js";
+import { Update, ifNotExists, listAppend } from "../dynamodb/updates.js";
+
+const dbMock = mockClient(DynamoDBClient);
+
+describe("DynamoDB update expressions", () => {
+  let db;
+  const TABLE_NAME = "Users";
+  const KEY = { id: { S: "1" } };
+
+  const sentInput = () =>
+    dbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+
+  beforeEach(() => {
+    dbMock.reset();
+    dbMock.on(UpdateItemCommand).resolves({ Attributes: {} });
+    db = new SimpleDynamoDB();
+  });
+
+  test("plain updates should handle dashes and nested paths", async () => {
+    await db.updateItem(TABLE_NAME, KEY, {
+      "first-name": { S: "Shubh" },
+      "address.city": { S: "Pune" },
+    });
+
+    expect(sentInput()).toEqual({
+      TableName: TABLE_NAME,
+      Key: KEY,
+      ReturnValues: "ALL_NEW",
+      UpdateExpression: "SET #attr0 = :upd0, #attr1.#attr2 = :upd1",
+      ExpressionAttributeNames: {
+        "#attr0": "first-name",
+        "#attr1": "address",
+        "#attr2": "city",
+      },
+      ExpressionAttributeValues: {
+        ":upd0": { S: "Shubh" },
+        ":upd1": { S: "Pune" },
+      },
+    });
+  });
+
+  test("Update builder should compile SET, REMOVE, ADD and DELETE", async () => {
+    await db.updateItem(
+      TABLE_NAME,
+      KEY,
+      Update()
+        .set("name", "Vortex")
+        .remove("legacy", "tags[2]")
+        .add("visits", 1)
+        .delete("roles", new Set(["guest"]))
+    );
+
+    const input = sentInput();
+    expect(input.UpdateExpression).toBe(
+      "SET #attr0 = :val0 REMOVE #attr1, #attr2[2] ADD #attr3 :val1 DELETE #attr4 :val2"
+    );
+    expect(input.ExpressionAttributeNames).toEqual({
+      "#attr0": "name",
+      "#attr1": "legacy",
+      "#attr2": "tags",
+      "#attr3": "visits",
+      "#attr4": "roles",
+    });
+    expect(input.ExpressionAttributeValues).toEqual({
+      ":val0": { S: "Vortex" },
+      ":val1": { N: "1" },
+      ":val2": { SS: ["guest"] },
+    });
+  });
+
+  test("REMOVE-only updates should omit ExpressionAttributeValues", async () => {
+    await db.updateItem(TABLE_NAME, KEY, Update().remove("obsolete"));
+    const input = sentInput();
+    expect(input.UpdateExpression).toBe("REMOVE #attr0");
+    expect(input.ExpressionAttributeValues).toBeUndefined();
+  });
+
+  test("should support if_not_exists and list_append", async () => {
+    await db.updateItem(
+      TABLE_NAME,
+      KEY,
+      Update()
+        .set("count", ifNotExists("count", 0))
+        .set("history", listAppend(ifNotExists("history", []), ["login"]))
+        .set("queue", listAppend("queue", ["first"], { prepend: true }))
+    );
+
+    expect(sentInput().UpdateExpression).toBe(
+      "SET #attr0 = if_not_exists(#attr0, :val0), " +
+        "#attr1 = list_append(if_not_exists(#attr1, :val1), :val2), " +
+        "#attr2 = list_append(:val3, #attr2)"
+    );
+    expect(sentInput().ExpressionAttributeValues).toEqual({
+      ":val0": { N: "0" },
+      ":val1": { L: [] },
+      ":val2": { L: [{ S: "login" }] },
+      ":val3": { L: [{ S: "first" }] },
+    });
+  });
+
+  test("should support optimistic locking and ReturnValues", async () => {
+    await db.updateItem(
+      TABLE_NAME,
+      KEY,
+      Update().set("name", "New").add("version", 1),
+      {
+        ConditionExpression: Attr("version").eq(3),
+        ReturnValues: "UPDATED_NEW",
+      }
+    );
+
+    const input = sentInput();
+    expect(input.ConditionExpression).toBe("#attr1 = :val2");
+    expect(input.ReturnValues).toBe("UPDATED_NEW");
+    expect(input.ExpressionAttributeValues[":val2"]).toEqual({ N: "3" });
+  });
+
+  test("Table.updateItem should share placeholders between update and condition", async () => {
+    dbMock
+      .on(UpdateItemCommand)
+      .resolves({ Attributes: { id: { S: "1" }, n: { N: "2" } } });
+
+    const res = await db
+      .Table(TABLE_NAME)
+      .updateItem({ id: "1" }, Update().add("n", 1), {
+        ConditionExpression: Attr("status").eq("active"),
+      });
+
+    expect(res).toEqual({ id: "1", n: 2 });
+    const input = sentInput();
+    expect(input.UpdateExpression).toBe("ADD #attr0 :val0");
+    expect(input.ConditionExpression).toBe("#attr1 = :val1");
+    expect(input.ExpressionAttributeNames).toEqual({
+      "#attr0": "n",
+      "#attr1": "status",
+    });
+  });
+
+  test("Table.updateItem should apply the table's marshall options to builder values", async () => {
+    class Address {
+      constructor(city) {
+        this.city = city;
+      }
+    }
+    const table = db.Table(TABLE_NAME, {
+      removeUndefinedValues: true,
+      convertClassInstanceToMap: true,
+    });
+
+    await table.updateItem(
+      { id: "1" },
+      Update().set("profile", { name: "Ada", nickname: undefined }),
+      { ConditionExpression: Attr("address").ne(new Address("Pune")) }
+    );
+
+    expect(sentInput().ExpressionAttributeValues).toEqual({
+      ":val0": { M: { name: { S: "Ada" } } },
+      ":val1": { M: { city: { S: "Pune" } } },
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { S3Client } from "@aws-sdk/client-s3";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import {
+  Boto3Error,
+  NotFoundError,
+  AccessDeniedError,
+  ConditionalCheckFailedError,
+  ThrottlingError,
+  toBoto3Error,
+} from "../utils/errors.js";
+
+const s3Mock = mockClient(S3Client);
+const dbMock = mockClient(DynamoDBClient);
+
+function sdkError(name, statusCode, message = name) {
+  const err = new Error(message);
+  err.name = name;
+  err.$metadata = { httpStatusCode: statusCode, requestId: "req-123" };
+  return err;
+}
+
+describe("Boto3Error", () => {
+  beforeEach(() => {
+    s3Mock.reset();
+    dbMock.reset();
+  });
+
+  test("should keep SDK details on the thrown error", async () => {
+    const original = sdkError("NoSuchKey", 404, "The key does not exist");
+    s3Mock.rejects(original);
+
+    const s3 = new SimpleS3();
+    const err = await s3.downloadFile("bucket", "key").catch((e) => e);
+
+    expect(err).toBeInstanceOf(NotFoundError);
+    expect(err).toBeInstanceOf(Boto3Error);
+    expect(err.message).toBe(
+      "S3 downloadFile(bucket, key) failed: The key does not exist"
+    );
+    expect(err.service).toBe("S3");
+    expect(err.operation).toBe("downloadFile");
+    expect(err.code).toBe("NoSuchKey");
+    expect(err.statusCode).toBe(404);
+    expect(err.requestId).toBe("req-123");
+    expect(err.retryable).toBe(false);
+    expect(err.cause).toBe(original);
+    expect(err.response.Error.Code).toBe("NoSuchKey");
+  });
+
+  test("should map conditional check failures", async () => {
+    dbMock.rejects(sdkError("ConditionalCheckFailedException", 400));
+    const db = new SimpleDynamoDB();
+    await expect(db.putItem("T", {})).rejects.toBeInstanceOf(
+      ConditionalCheckFailedError
+    );
+  });
+
+  test.each([
+    ["AccessDenied", 403, AccessDeniedError],
+    ["ThrottlingException", 400, ThrottlingError],
+    ["SomethingElse", 429, ThrottlingError],
+    ["ResourceNotFoundException", 400, NotFoundError],
+    ["ValidationException", 400, Boto3Error],
+  ])("should map %s (%i) to the right class", (name, status, ErrorClass) => {
+    const err = toBoto3Error("Lambda", "invoke(fn)", sdkError(name, status));
+    expect(err.constructor).toBe(ErrorClass);
+    expect(err.code).toBe(name);
+  });
+
+  test("should mark throttling and 5xx errors as retryable", () => {
+    expect(
+      toBoto3Error("S3", "op", sdkError("SlowDown", 503)).retryable
+    ).toBe(true);
+    expect(
+      toBoto3Error("S3", "op", sdkError("InternalError", 500)).retryable
+    ).toBe(true);
+  });
+
+  test("should leave code undefined for plain errors", () => {
+    const err = toBoto3Error("S3", "op", new Error("boom"));
+    expect(err.constructor).toBe(Boto3Error);
+    expect(err.code).toBeUndefined();
+    expect(err.message).toBe("S3 op failed: boom");
+  });
+
+  test("should preserve class and code when re-wrapping", () => {
+    const inner = toBoto3Error(
+      "IAM",
+      "listPoliciesOfRole(r)",
+      sdkError("NoSuchEntity", 404)
+    );
+    const outer = toBoto3Error("IAM", "deleteRole(r)", inner);
+    expect(outer).toBeInstanceOf(NotFoundError);
+    expect(outer.code).toBe("NoSuchEntity");
+    expect(outer.operation).toBe("deleteRole");
+    expect(outer.cause).toBe(inner);
+  });
+});
@@ -0,0 +1,277 @@
+import {
+  LambdaClient,
+  CreateFunctionCommand,
+  GetFunctionConfigurationCommand,
+  UpdateFunctionConfigurationCommand,
+  UpdateFunctionCodeCommand,
+  GetFunctionCommand,
+  TagResourceCommand,
+  PutFunctionConcurrencyCommand,
+  GetFunctionConcurrencyCommand,
+  PutProvisionedConcurrencyConfigCommand,
+  GetProvisionedConcurrencyConfigCommand,
+} from "@aws-sdk/client-lambda";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { SimpleIAM } from "../iam/simpleIAM.js";
+
+jest.mock("../iam/simpleIAM.js");
+jest.mock("@aws-sdk/client-lambda", () => ({
+  ...jest.requireActual("@aws-sdk/client-lambda"),
+  waitUntilFunctionActive: jest.fn().mockResolvedValue({}),
+  waitUntilFunctionUpdated: jest.fn().mockResolvedValue({}),
+}));
+
+const lambdaMock = mockClient(LambdaClient);
+
+const FUNCTION_NAME = "test-lambda";
+const FUNCTION_ARN = `arn:aws:lambda:us-east-1:12345:function:${FUNCTION_NAME}`;
+const LAYER_ARN = "arn:aws:lambda:us-east-1:12345:layer:deps:4";
+
+const inputOf = (command) => lambdaMock.commandCalls(command)[0].args[0].input;
+
+const OPTIONS = {
+  environment: { STAGE: "prod", RETRIES: 3 },
+  layers: [LAYER_ARN],
+  vpcConfig: { subnetIds: ["subnet-1"], securityGroupIds: ["sg-1"] },
+  ephemeralStorage: 1024,
+  deadLetterConfig: "arn:aws:sqs:us-east-1:12345:dlq",
+  tracingConfig: "Active",
+};
+
+const DEPLOYED = {
+  FunctionName: FUNCTION_NAME,
+  FunctionArn: FUNCTION_ARN,
+  Version: "$LATEST",
+  Runtime: "nodejs20.x",
+  Handler: "index.handler",
+  Description: "api",
+  Timeout: 10,
+  MemorySize: 128,
+  Role: "arn:role",
+  Architectures: ["x86_64"],
+  Environment: { Variables: { RETRIES: "3", STAGE: "prod" } },
+  Layers: [{ Arn: LAYER_ARN, CodeSize: 100 }],
+  VpcConfig: {
+    VpcId: "vpc-1",
+    SubnetIds: ["subnet-1"],
+    SecurityGroupIds: ["sg-1"],
+  },
+  EphemeralStorage: { Size: 1024 },
+  DeadLetterConfig: { TargetArn: "arn:aws:sqs:us-east-1:12345:dlq" },
+  TracingConfig: { Mode: "Active" },
+  State: "Active",
+  LastUpdateStatus: "Successful",
+  CodeSha256: "old",
+  CodeSize: 300,
+};
+
+describe("SimpleLambda configuration", () => {
+  let lambda;
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    lambdaMock.resolves({ FunctionArn: FUNCTION_ARN });
+    SimpleIAM.prototype.getRole = jest
+      .fn()
+      .mockResolvedValue({ Arn: "arn:role" });
+    lambda = new SimpleLambda();
+  });
+
+  test("deploy should map the extended options", async () => {
+    await lambda.deploy(FUNCTION_NAME, "code", {
+      ...OPTIONS,
+      architectures: "arm64",
+      tags: { team: "api" },
+    });
+
+    expect(inputOf(CreateFunctionCommand)).toMatchObject({
+      Environment: { Variables: { STAGE: "prod", RETRIES: "3" } },
+      Layers: [LAYER_ARN],
+      VpcConfig: { SubnetIds: ["subnet-1"], SecurityGroupIds: ["sg-1"] },
+      EphemeralStorage: { Size: 1024 },
+      DeadLetterConfig: { TargetArn: "arn:aws:sqs:us-east-1:12345:dlq" },
+      TracingConfig: { Mode: "Active" },
+      Architectures: ["arm64"],
+      Tags: { team: "api" },
+    });
+  });
+
+  test("upsert should treat the deployed shapes as unchanged", async () => {
+    lambdaMock.on(GetFunctionConfigurationCommand).resolves(DEPLOYED);
+
+    await lambda.deploy(FUNCTION_NAME, "code", {
+      upsert: true,
+      ...OPTIONS,
+      environment: { STAGE: "prod", RETRIES: "3" },
+    });
+
+    expect(
+      lambdaMock.commandCalls(UpdateFunctionConfigurationCommand).length
+    ).toBe(0);
+  });
+
+  test("upsert should send changed settings, tags and a new architecture", async () => {
+    lambdaMock.on(GetFunctionConfigurationCommand).resolves(DEPLOYED);
+
+    await lambda.deploy(FUNCTION_NAME, "code", {
+      upsert: true,
+      environment: { STAGE: "dev" },
+      architectures: ["arm64"],
+      tags: { team: "api" },
+    });
+
+    expect(inputOf(UpdateFunctionConfigurationCommand)).toEqual({
+      FunctionName: FUNCTION_NAME,
+      Environment: { Variables: { STAGE: "dev" } },
+    });
+    expect(inputOf(TagResourceCommand)).toEqual({
+      Resource: FUNCTION_ARN,
+      Tags: { team: "api" },
+    });
+    expect(inputOf(UpdateFunctionCodeCommand).Architectures).toEqual(["arm64"]);
+  });
+
+  test("updateConfiguration should refuse to change architectures", async () => {
+    await expect(
+      lambda.updateConfiguration(FUNCTION_NAME, { architectures: "arm64" })
+    ).rejects.toThrow(
+      `Lambda updateConfiguration(${FUNCTION_NAME}) failed: architectures can only change with the code`
+    );
+  });
+
+  test("getConfiguration should return deploy-style options", async () => {
+    lambdaMock.on(GetFunctionConfigurationCommand).resolves(DEPLOYED);
+
+    const config = await lambda.getConfiguration(FUNCTION_NAME, {
+      qualifier: "live",
+    });
+
+    expect(inputOf(GetFunctionConfigurationCommand).Qualifier).toBe("live");
+    expect(config).toMatchObject({
+      functionName: FUNCTION_NAME,
+      runtime: "nodejs20.x",
+      architectures: ["x86_64"],
+      environment: { STAGE: "prod", RETRIES: "3" },
+      layers: [LAYER_ARN],
+      vpcConfig: {
+        vpcId: "vpc-1",
+        subnetIds: ["subnet-1"],
+        securityGroupIds: ["sg-1"],
+      },
+      ephemeralStorage: 1024,
+      deadLetterConfig: "arn:aws:sqs:us-east-1:12345:dlq",
+      tracingConfig: "Active",
+      codeSha256: "old",
+    });
+  });
+
+  test("getConfiguration should fill defaults for unset settings", async () => {
+    lambdaMock
+      .on(GetFunctionConfigurationCommand)
+      .resolves({ FunctionName: FUNCTION_NAME });
+    await expect(lambda.getConfiguration(FUNCTION_NAME)).resolves.toMatchObject(
+      {
+        architectures: ["x86_64"],
+        environment: {},
+        layers: [],
+        vpcConfig: null,
+        ephemeralStorage: 512,
+        deadLetterConfig: null,
+        tracingConfig: "PassThrough",
+      }
+    );
+  });
+
+  test("getFunction should add tags, concurrency and code location", async () => {
+    lambdaMock.on(GetFunctionCommand).resolves({
+      Configuration: DEPLOYED,
+      Tags: { team: "api" },
+      Concurrency: { ReservedConcurrentExecutions: 5 },
+      Code: { Location: "https://code", RepositoryType: "S3" },
+    });
+
+    const fn = await lambda.getFunction(FUNCTION_NAME);
+
+    expect(fn).toMatchObject({
+      functionName: FUNCTION_NAME,
+      tags: { team: "api" },
+      reservedConcurrency: 5,
+      code: { location: "https://code", repositoryType: "S3" },
+    });
+  });
+
+  describe("concurrency", () => {
+    test("reserved concurrency get/set", async () => {
+      lambdaMock
+        .on(PutFunctionConcurrencyCommand)
+        .resolves({ ReservedConcurrentExecutions: 10 });
+      await expect(
+        lambda.setReservedConcurrency(FUNCTION_NAME, 10)
+      ).resolves.toBe(10);
+
+      lambdaMock.on(GetFunctionConcurrencyCommand).resolves({});
+      await expect(
+        lambda.getReservedConcurrency(FUNCTION_NAME)
+      ).resolves.toBeNull();
+    });
+
+    test("setProvisionedConcurrency should wait until READY", async () => {
+      jest.useFakeTimers();
+      lambdaMock
+        .on(GetProvisionedConcurrencyConfigCommand)
+        .resolvesOnce({ Status: "IN_PROGRESS" })
+        .resolvesOnce({
+          Status: "READY",
+          RequestedProvisionedConcurrentExecutions: 2,
+          AllocatedProvisionedConcurrentExecutions: 2,
+          AvailableProvisionedConcurrentExecutions: 2,
+        });
+
+      const promise = lambda.setProvisionedConcurrency(
+        FUNCTION_NAME,
+        "live",
+        2,
+        {
+          wait: true,
+        }
+      );
+      await jest.advanceTimersByTimeAsync(5000);
+      const res = await promise;
+      jest.useRealTimers();
+
+      expect(inputOf(PutProvisionedConcurrencyConfigCommand)).toEqual({
+        FunctionName: FUNCTION_NAME,
+        Qualifier: "live",
+        ProvisionedConcurrentExecutions: 2,
+      });
+      expect(res).toEqual({
+        requested: 2,
+        allocated: 2,
+        available: 2,
+        status: "READY",
+        statusReason: undefined,
+      });
+    });
+
+    test("setProvisionedConcurrency should throw when allocation fails", async () => {
+      lambdaMock
+        .on(GetProvisionedConcurrencyConfigCommand)
+        .resolves({ Status: "FAILED", StatusReason: "Not enough capacity" });
+      await expect(
+        lambda.setProvisionedConcurrency(FUNCTION_NAME, 3, 2)
+      ).rejects.toThrow(
+        `Lambda setProvisionedConcurrency(${FUNCTION_NAME}, 3) failed: Not enough capacity`
+      );
+    });
+
+    test("getProvisionedConcurrency should return null when not configured", async () => {
+      const err = new Error("No config");
+      err.name = "ProvisionedConcurrencyConfigNotFoundException";
+      lambdaMock.on(GetProvisionedConcurrencyConfigCommand).rejects(err);
+      await expect(
+        lambda.getProvisionedConcurrency(FUNCTION_NAME, "live")
+      ).resolves.toBeNull();
+    });
+  });
+});
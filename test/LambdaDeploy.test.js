@@ -0,0 +1,285 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  LambdaClient,
+  CreateFunctionCommand,
+  UpdateFunctionCodeCommand,
+  UpdateFunctionConfigurationCommand,
+  GetFunctionConfigurationCommand,
+  waitUntilFunctionUpdated,
+} from "@aws-sdk/client-lambda";
+import crypto from "crypto";
+import { mockClient } from "aws-sdk-client-mock";
+import AdmZip from "adm-zip";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { SimpleIAM } from "../iam/simpleIAM.js";
+import { DIRECT_UPLOAD_LIMIT, zipFiles } from "../lambda/bundle.js";
+
+jest.mock("../iam/simpleIAM.js");
+jest.mock("@aws-sdk/client-lambda", () => ({
+  ...jest.requireActual("@aws-sdk/client-lambda"),
+  waitUntilFunctionActive: jest.fn().mockResolvedValue({}),
+  waitUntilFunctionUpdated: jest.fn().mockResolvedValue({}),
+}));
+
+const lambdaMock = mockClient(LambdaClient);
+
+const FUNCTION_NAME = "test-lambda";
+
+function writeTree(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const full = path.join(root, name);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content);
+  }
+}
+
+function zipEntries(zipBuffer) {
+  return new AdmZip(zipBuffer)
+    .getEntries()
+    .map((e) => e.entryName)
+    .sort();
+}
+
+const createInput = () =>
+  lambdaMock.commandCalls(CreateFunctionCommand)[0].args[0].input;
+
+describe("SimpleLambda deployment packages", () => {
+  let lambda;
+  let dir;
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    lambdaMock.resolves({ FunctionArn: "arn:fn" });
+    SimpleIAM.prototype.getRole = jest
+      .fn()
+      .mockResolvedValue({ Arn: "arn:role" });
+    lambda = new SimpleLambda();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "boto3js-lambda-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should zip in-memory files and take options from the same object", async () => {
+    await lambda.deploy(FUNCTION_NAME, {
+      files: {
+        "index.mjs": "export const handler = async () => 1;",
+        "lib/util.js": Buffer.from("module.exports = {};"),
+      },
+      handler: "index.handler",
+      timeout: 30,
+    });
+
+    const input = createInput();
+    expect(input.Timeout).toBe(30);
+    expect(zipEntries(input.Code.ZipFile)).toEqual([
+      "index.mjs",
+      "lib/util.js",
+    ]);
+    expect(new AdmZip(input.Code.ZipFile).readAsText("index.mjs")).toContain(
+      "handler"
+    );
+  });
+
+  test("should bundle a directory with node_modules, .lambdaignore and filters", async () => {
+    writeTree(dir, {
+      "index.js": "exports.handler = () => 1;",
+      "package.json": "{}",
+      "lib/db.js": "",
+      "lib/db.test.js": "",
+      "node_modules/dep/index.js": "",
+      "docs/readme.md": "",
+      "docs/keep.md": "",
+      "docs/license.md": "",
+      ".git/HEAD": "",
+      ".lambdaignore": "# local only\n*.test.js\ndocs/\n!docs/license.md\n",
+    });
+
+    await lambda.deploy(FUNCTION_NAME, {
+      dir,
+      exclude: ["package.json"],
+      include: ["docs/keep.md"],
+    });
+
+    expect(zipEntries(createInput().Code.ZipFile)).toEqual([
+      "docs/keep.md",
+      "docs/license.md",
+      "index.js",
+      "lib/db.js",
+      "node_modules/dep/index.js",
+    ]);
+  });
+
+  test("should leave out node_modules when nodeModules is false", async () => {
+    writeTree(dir, { "index.js": "", "node_modules/dep/index.js": "" });
+    await lambda.deploy(FUNCTION_NAME, { dir, nodeModules: false });
+    expect(zipEntries(createInput().Code.ZipFile)).toEqual(["index.js"]);
+  });
+
+  test("should produce identical packages for identical sources", () => {
+    const files = { "index.js": "exports.handler = () => 1;" };
+    expect(zipFiles(files).equals(zipFiles({ ...files }))).toBe(true);
+  });
+
+  test("should deploy an existing zip file", async () => {
+    const zipPath = path.join(dir, "fn.zip");
+    fs.writeFileSync(zipPath, zipFiles({ "index.js": "" }));
+    await lambda.deploy(FUNCTION_NAME, { zipFile: zipPath });
+    expect(createInput().Code.ZipFile).toEqual(fs.readFileSync(zipPath));
+  });
+
+  test("should deploy from S3", async () => {
+    await lambda.deploy(FUNCTION_NAME, {
+      s3Bucket: "artifacts",
+      s3Key: "fn.zip",
+      s3ObjectVersion: "v1",
+    });
+    expect(createInput().Code).toEqual({
+      S3Bucket: "artifacts",
+      S3Key: "fn.zip",
+      S3ObjectVersion: "v1",
+    });
+  });
+
+  test("update should accept the same sources", async () => {
+    await lambda.update(FUNCTION_NAME, { s3Bucket: "artifacts", s3Key: "k" });
+    expect(
+      lambdaMock.commandCalls(UpdateFunctionCodeCommand)[0].args[0].input
+    ).toEqual({
+      FunctionName: FUNCTION_NAME,
+      S3Bucket: "artifacts",
+      S3Key: "k",
+    });
+  });
+
+  test("should reject packages over the direct upload limit", async () => {
+    await expect(
+      lambda.deploy(FUNCTION_NAME, {
+        zipFile: Buffer.alloc(DIRECT_UPLOAD_LIMIT + 1),
+      })
+    ).rejects.toThrow(
+      `Lambda deploy(${FUNCTION_NAME}) failed: Deployment package is 50.0 MB, over the 50 MB direct upload limit`
+    );
+    expect(lambdaMock.commandCalls(CreateFunctionCommand).length).toBe(0);
+  });
+
+  test("should reject an empty directory", async () => {
+    await expect(lambda.deploy(FUNCTION_NAME, { dir })).rejects.toThrow(
+      `No files to deploy in ${dir}`
+    );
+  });
+
+  describe("upsert", () => {
+    const CODE = "exports.handler = () => 1;";
+    const sha256 = (buffer) =>
+      crypto.createHash("sha256").update(buffer).digest("base64");
+    const deployed = (overrides = {}) => ({
+      FunctionName: FUNCTION_NAME,
+      FunctionArn: "arn:existing",
+      Handler: "index.handler",
+      Runtime: "nodejs18.x",
+      Timeout: 10,
+      MemorySize: 128,
+      State: "Active",
+      LastUpdateStatus: "Successful",
+      CodeSha256: sha256(zipFiles({ "index.js": CODE })),
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      waitUntilFunctionUpdated.mockClear();
+    });
+
+    test("should create the function when it does not exist", async () => {
+      const notFound = new Error("Function not found");
+      notFound.name = "ResourceNotFoundException";
+      lambdaMock.on(GetFunctionConfigurationCommand).rejects(notFound);
+
+      await lambda.deploy(FUNCTION_NAME, CODE, { upsert: true });
+
+      expect(lambdaMock.commandCalls(CreateFunctionCommand).length).toBe(1);
+    });
+
+    test("should do nothing when configuration and code are unchanged", async () => {
+      lambdaMock.on(GetFunctionConfigurationCommand).resolves(deployed());
+
+      const arn = await lambda.deploy(FUNCTION_NAME, CODE, {
+        upsert: true,
+        timeout: 10,
+      });
+
+      expect(arn).toBe("arn:existing");
+      expect(
+        lambdaMock.commandCalls(UpdateFunctionConfigurationCommand).length
+      ).toBe(0);
+      expect(lambdaMock.commandCalls(UpdateFunctionCodeCommand).length).toBe(0);
+      expect(lambdaMock.commandCalls(CreateFunctionCommand).length).toBe(0);
+    });
+
+    test("should update changed settings, then code, waiting after each", async () => {
+      lambdaMock
+        .on(GetFunctionConfigurationCommand)
+        .resolves(deployed({ CodeSha256: "old" }));
+      lambdaMock
+        .on(UpdateFunctionCodeCommand)
+        .resolves({ FunctionArn: "arn:existing" });
+
+      const arn = await lambda.deploy(FUNCTION_NAME, CODE, {
+        upsert: true,
+        timeout: 30,
+        memorySize: 128,
+        runtime: "nodejs20.x",
+      });
+
+      expect(arn).toBe("arn:existing");
+      expect(
+        lambdaMock.commandCalls(UpdateFunctionConfigurationCommand)[0].args[0]
+          .input
+      ).toEqual({
+        FunctionName: FUNCTION_NAME,
+        Timeout: 30,
+        Runtime: "nodejs20.x",
+      });
+      const sent = lambdaMock.calls().map((c) => c.args[0].constructor.name);
+      expect(sent).toEqual([
+        "GetFunctionConfigurationCommand",
+        "UpdateFunctionConfigurationCommand",
+        "UpdateFunctionCodeCommand",
+      ]);
+      expect(waitUntilFunctionUpdated).toHaveBeenCalledTimes(2);
+    });
+
+    test("should wait for an in-progress update before changing anything", async () => {
+      lambdaMock
+        .on(GetFunctionConfigurationCommand)
+        .resolves(deployed({ LastUpdateStatus: "InProgress" }));
+      await lambda.deploy(FUNCTION_NAME, CODE, { upsert: true, timeout: 5 });
+      expect(waitUntilFunctionUpdated).toHaveBeenCalledTimes(2);
+    });
+
+    test("should switch the role when roleName is given", async () => {
+      lambdaMock.on(GetFunctionConfigurationCommand).resolves(deployed());
+      await lambda.deploy(FUNCTION_NAME, CODE, {
+        upsert: true,
+        roleName: "other-role",
+      });
+      expect(lambda.iam.getRole).toHaveBeenCalledWith("other-role");
+      expect(
+        lambdaMock.commandCalls(UpdateFunctionConfigurationCommand)[0].args[0]
+          .input.Role
+      ).toBe("arn:role");
+    });
+
+    test("updateConfiguration should only send the given settings", async () => {
+      await lambda.updateConfiguration(FUNCTION_NAME, { memorySize: 512 });
+      expect(
+        lambdaMock.commandCalls(UpdateFunctionConfigurationCommand)[0].args[0]
+          .input
+      ).toEqual({ FunctionName: FUNCTION_NAME, MemorySize: 512 });
+      expect(waitUntilFunctionUpdated).toHaveBeenCalled();
+    });
+  });
+});
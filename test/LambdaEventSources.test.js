@@ -0,0 +1,270 @@
+import {
+  LambdaClient,
+  GetFunctionConfigurationCommand,
+  CreateEventSourceMappingCommand,
+  UpdateEventSourceMappingCommand,
+  DeleteEventSourceMappingCommand,
+  ListEventSourceMappingsCommand,
+  AddPermissionCommand,
+  RemovePermissionCommand,
+  GetPolicyCommand,
+} from "@aws-sdk/client-lambda";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { SimpleIAM } from "../iam/simpleIAM.js";
+
+jest.mock("../iam/simpleIAM.js");
+
+const lambdaMock = mockClient(LambdaClient);
+
+const FUNCTION_NAME = "test-lambda";
+const QUEUE_ARN = "arn:aws:sqs:us-east-1:12345:jobs";
+const STREAM_ARN =
+  "arn:aws:dynamodb:us-east-1:12345:table/orders/stream/2024-01-01T00:00:00.000";
+const ROLE_ARN = "arn:aws:iam::12345:role/service-role/worker-role";
+const SQS_POLICY =
+  "arn:aws:iam::aws:policy/service-role/AWSLambdaSQSQueueExecutionRole";
+
+const inputOf = (command) => lambdaMock.commandCalls(command)[0].args[0].input;
+
+const awsError = (name, message) => Object.assign(new Error(message), { name });
+
+describe("SimpleLambda event sources and permissions", () => {
+  let lambda;
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    lambdaMock.on(GetFunctionConfigurationCommand).resolves({ Role: ROLE_ARN });
+    lambdaMock
+      .on(CreateEventSourceMappingCommand)
+      .resolves({ UUID: "uuid-1", State: "Creating" });
+    SimpleIAM.prototype.getRole = jest
+      .fn()
+      .mockResolvedValue({ Arn: ROLE_ARN });
+    SimpleIAM.prototype.attachPolicyToRole = jest.fn().mockResolvedValue({});
+    lambda = new SimpleLambda();
+  });
+
+  describe("event sources", () => {
+    test("should map a queue and grant the role SQS access", async () => {
+      const res = await lambda.addEventSource(FUNCTION_NAME, {
+        sourceArn: QUEUE_ARN,
+        batchSize: 10,
+        filterCriteria: [{ body: { type: ["order"] } }],
+      });
+
+      expect(res).toEqual({ UUID: "uuid-1", State: "Creating" });
+      expect(inputOf(CreateEventSourceMappingCommand)).toEqual({
+        FunctionName: FUNCTION_NAME,
+        EventSourceArn: QUEUE_ARN,
+        BatchSize: 10,
+        FilterCriteria: {
+          Filters: [{ Pattern: '{"body":{"type":["order"]}}' }],
+        },
+      });
+      expect(SimpleIAM.prototype.getRole).toHaveBeenCalledWith("worker-role");
+      expect(SimpleIAM.prototype.attachPolicyToRole).toHaveBeenCalledWith(
+        "worker-role",
+        SQS_POLICY
+      );
+    });
+
+    test("should default streams to the LATEST starting position", async () => {
+      await lambda.addEventSource(FUNCTION_NAME, { sourceArn: STREAM_ARN });
+
+      expect(inputOf(CreateEventSourceMappingCommand).StartingPosition).toBe(
+        "LATEST"
+      );
+      expect(SimpleIAM.prototype.attachPolicyToRole).toHaveBeenCalledWith(
+        "worker-role",
+        "arn:aws:iam::aws:policy/service-role/AWSLambdaDynamoDBExecutionRole"
+      );
+    });
+
+    test("grantAccess: false should leave the role alone", async () => {
+      await lambda.addEventSource(FUNCTION_NAME, {
+        sourceArn: QUEUE_ARN,
+        grantAccess: false,
+      });
+
+      expect(
+        lambdaMock.commandCalls(GetFunctionConfigurationCommand).length
+      ).toBe(0);
+      expect(SimpleIAM.prototype.attachPolicyToRole).not.toHaveBeenCalled();
+    });
+
+    test("should retry while the new role policy propagates", async () => {
+      jest.useFakeTimers();
+      lambdaMock
+        .on(CreateEventSourceMappingCommand)
+        .rejectsOnce(
+          awsError(
+            "InvalidParameterValueException",
+            "The function execution role does not have permissions to call ReceiveMessage on SQS"
+          )
+        )
+        .resolves({ UUID: "uuid-1" });
+
+      const promise = lambda.addEventSource(FUNCTION_NAME, {
+        sourceArn: QUEUE_ARN,
+      });
+      await jest.advanceTimersByTimeAsync(5000);
+      const res = await promise;
+      jest.useRealTimers();
+
+      expect(res).toEqual({ UUID: "uuid-1" });
+      expect(
+        lambdaMock.commandCalls(CreateEventSourceMappingCommand).length
+      ).toBe(2);
+    });
+
+    test("should reject unsupported sources", async () => {
+      await expect(
+        lambda.addEventSource(FUNCTION_NAME, {
+          sourceArn: "arn:aws:s3:::uploads",
+        })
+      ).rejects.toThrow(
+        `Lambda addEventSource(${FUNCTION_NAME}) failed: Unsupported event source arn:aws:s3:::uploads`
+      );
+      expect(lambdaMock.calls().length).toBe(0);
+    });
+
+    test("listEventSources should page through mappings", async () => {
+      lambdaMock
+        .on(ListEventSourceMappingsCommand)
+        .resolvesOnce({
+          EventSourceMappings: [{ UUID: "uuid-1" }],
+          NextMarker: "m1",
+        })
+        .resolvesOnce({ EventSourceMappings: [{ UUID: "uuid-2" }] });
+
+      const mappings = await lambda.listEventSources(FUNCTION_NAME, {
+        sourceArn: QUEUE_ARN,
+      });
+
+      expect(mappings.map((m) => m.UUID)).toEqual(["uuid-1", "uuid-2"]);
+      const calls = lambdaMock.commandCalls(ListEventSourceMappingsCommand);
+      expect(calls[0].args[0].input).toMatchObject({
+        FunctionName: FUNCTION_NAME,
+        EventSourceArn: QUEUE_ARN,
+      });
+      expect(calls[1].args[0].input.Marker).toBe("m1");
+    });
+
+    test("update and delete should address the mapping by UUID", async () => {
+      lambdaMock.on(UpdateEventSourceMappingCommand).resolves({});
+      lambdaMock.on(DeleteEventSourceMappingCommand).resolves({});
+
+      await lambda.updateEventSource("uuid-1", {
+        enabled: false,
+        batchSize: 5,
+      });
+      await lambda.deleteEventSource("uuid-1");
+
+      expect(inputOf(UpdateEventSourceMappingCommand)).toEqual({
+        UUID: "uuid-1",
+        Enabled: false,
+        BatchSize: 5,
+      });
+      expect(inputOf(DeleteEventSourceMappingCommand)).toEqual({
+        UUID: "uuid-1",
+      });
+    });
+  });
+
+  describe("permissions", () => {
+    const statement = (sid) => ({
+      Sid: sid,
+      Effect: "Allow",
+      Principal: { Service: "s3.amazonaws.com" },
+      Action: "lambda:InvokeFunction",
+    });
+
+    test("addPermission should expand short principals", async () => {
+      lambdaMock.on(AddPermissionCommand).callsFake((input) => ({
+        Statement: JSON.stringify(statement(input.StatementId)),
+      }));
+
+      const res = await lambda.addPermission(FUNCTION_NAME, {
+        principal: "s3",
+        sourceArn: "arn:aws:s3:::uploads",
+        sourceAccount: "12345",
+      });
+
+      const input = inputOf(AddPermissionCommand);
+      expect(input).toMatchObject({
+        FunctionName: FUNCTION_NAME,
+        Action: "lambda:InvokeFunction",
+        Principal: "s3.amazonaws.com",
+        SourceArn: "arn:aws:s3:::uploads",
+        SourceAccount: "12345",
+      });
+      expect(input.StatementId).toMatch(/^s3-[0-9a-f]{12}$/);
+      expect(res).toEqual(statement(input.StatementId));
+    });
+
+    test("the same grant should get the same statement id", async () => {
+      lambdaMock.on(AddPermissionCommand).resolves({ Statement: "{}" });
+      const opts = { principal: "events", sourceArn: "arn:aws:events:rule" };
+
+      await lambda.addPermission(FUNCTION_NAME, opts);
+      await lambda.addPermission(FUNCTION_NAME, opts);
+      await lambda.addPermission(FUNCTION_NAME, {
+        ...opts,
+        sourceArn: "arn:aws:events:other",
+      });
+
+      const ids = lambdaMock
+        .commandCalls(AddPermissionCommand)
+        .map((call) => call.args[0].input.StatementId);
+      expect(ids[0]).toBe(ids[1]);
+      expect(ids[2]).not.toBe(ids[0]);
+    });
+
+    test("granting twice should return the existing statement", async () => {
+      lambdaMock
+        .on(AddPermissionCommand)
+        .rejects(
+          awsError(
+            "ResourceConflictException",
+            "The statement id (s3-abc) provided already exists."
+          )
+        );
+      lambdaMock.on(GetPolicyCommand).resolves({
+        Policy: JSON.stringify({ Statement: [statement("s3-abc")] }),
+      });
+
+      await expect(
+        lambda.addPermission(FUNCTION_NAME, {
+          principal: "s3",
+          statementId: "s3-abc",
+        })
+      ).resolves.toEqual(statement("s3-abc"));
+    });
+
+    test("addPermission should require a principal", async () => {
+      await expect(lambda.addPermission(FUNCTION_NAME, {})).rejects.toThrow(
+        `Lambda addPermission(${FUNCTION_NAME}) failed: A principal is required`
+      );
+    });
+
+    test("getPolicy should return null when the function has none", async () => {
+      lambdaMock
+        .on(GetPolicyCommand)
+        .rejects(awsError("ResourceNotFoundException", "No policy"));
+      await expect(lambda.getPolicy(FUNCTION_NAME)).resolves.toBeNull();
+    });
+
+    test("removePermission should pass the statement and qualifier", async () => {
+      lambdaMock.on(RemovePermissionCommand).resolves({});
+      await lambda.removePermission(FUNCTION_NAME, "s3-abc", {
+        qualifier: "live",
+      });
+      expect(inputOf(RemovePermissionCommand)).toEqual({
+        FunctionName: FUNCTION_NAME,
+        StatementId: "s3-abc",
+        Qualifier: "live",
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { LambdaFunctionError } from "../utils/errors.js";
+
+jest.mock("../iam/simpleIAM.js");
+
+const lambdaMock = mockClient(LambdaClient);
+
+const FUNCTION_NAME = "test-lambda";
+const base64 = (text) => Buffer.from(text).toString("base64");
+const invokeInput = () =>
+  lambdaMock.commandCalls(InvokeCommand)[0].args[0].input;
+
+describe("SimpleLambda invoke options", () => {
+  let lambda;
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    lambda = new SimpleLambda();
+  });
+
+  test("should pass invocation options through", async () => {
+    lambdaMock.on(InvokeCommand).resolves({ StatusCode: 202 });
+
+    const res = await lambda.invoke(
+      FUNCTION_NAME,
+      { id: 1 },
+      {
+        invocationType: "Event",
+        qualifier: 3,
+        clientContext: { custom: { tenant: "a" } },
+      }
+    );
+
+    expect(res).toEqual({ statusCode: 202 });
+    const input = invokeInput();
+    expect(input).toMatchObject({
+      FunctionName: FUNCTION_NAME,
+      InvocationType: "Event",
+      Qualifier: "3",
+    });
+    expect(
+      JSON.parse(Buffer.from(input.ClientContext, "base64").toString())
+    ).toEqual({ custom: { tenant: "a" } });
+  });
+
+  test("DryRun should return the status code", async () => {
+    lambdaMock.on(InvokeCommand).resolves({ StatusCode: 204 });
+    await expect(
+      lambda.invoke(FUNCTION_NAME, {}, { invocationType: "DryRun" })
+    ).resolves.toEqual({ statusCode: 204 });
+  });
+
+  test("should reject unknown invocation types", async () => {
+    await expect(
+      lambda.invoke(FUNCTION_NAME, {}, { invocationType: "Async" })
+    ).rejects.toThrow(
+      `Lambda invoke(${FUNCTION_NAME}) failed: Unsupported invocationType "Async"`
+    );
+  });
+
+  test("should return raw bytes for non-JSON payloads", async () => {
+    lambdaMock
+      .on(InvokeCommand)
+      .resolves({ StatusCode: 200, Payload: Buffer.from("plain text") });
+    const res = await lambda.invoke(FUNCTION_NAME);
+    expect(Buffer.isBuffer(res)).toBe(true);
+    expect(res.toString()).toBe("plain text");
+  });
+
+  test("should decode the tail log with logType Tail", async () => {
+    lambdaMock.on(InvokeCommand).resolves({
+      StatusCode: 200,
+      ExecutedVersion: "$LATEST",
+      Payload: Buffer.from('{"ok":true}'),
+      LogResult: base64("START RequestId: 1\nhello\nEND RequestId: 1\n"),
+    });
+
+    const res = await lambda.invoke(FUNCTION_NAME, {}, { logType: "Tail" });
+
+    expect(invokeInput().LogType).toBe("Tail");
+    expect(res).toEqual({
+      payload: { ok: true },
+      logs: "START RequestId: 1\nhello\nEND RequestId: 1\n",
+      statusCode: 200,
+      executedVersion: "$LATEST",
+    });
+  });
+
+  test("should throw a LambdaFunctionError when the handler fails", async () => {
+    lambdaMock.on(InvokeCommand).resolves({
+      StatusCode: 200,
+      FunctionError: "Unhandled",
+      LogResult: base64("ERROR boom"),
+      Payload: Buffer.from(
+        JSON.stringify({
+          errorType: "TypeError",
+          errorMessage: "x is undefined",
+          stackTrace: ["at handler (index.js:1:1)"],
+        })
+      ),
+    });
+
+    const err = await lambda
+      .invoke(FUNCTION_NAME, {}, { logType: "Tail" })
+      .catch((e) => e);
+
+    expect(err).toBeInstanceOf(LambdaFunctionError);
+    expect(err).toMatchObject({
+      message: `Lambda invoke(${FUNCTION_NAME}) failed: TypeError: x is undefined`,
+      service: "Lambda",
+      operation: "invoke",
+      code: "TypeError",
+      functionError: "Unhandled",
+      errorType: "TypeError",
+      stackTrace: ["at handler (index.js:1:1)"],
+      logs: "ERROR boom",
+    });
+  });
+
+  test("should surface non-JSON function errors", async () => {
+    lambdaMock.on(InvokeCommand).resolves({
+      FunctionError: "Unhandled",
+      Payload: Buffer.from("Task timed out"),
+    });
+    await expect(lambda.invoke(FUNCTION_NAME)).rejects.toThrow(
+      `Lambda invoke(${FUNCTION_NAME}) failed: Task timed out`
+    );
+  });
+});
@@ -0,0 +1,229 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { zipFiles } from "../lambda/bundle.js";
+import { LambdaFunctionError } from "../utils/errors.js";
+
+jest.mock("../iam/simpleIAM.js");
+
+const ECHO = `
+exports.handler = async (event, context) => {
+  console.log("event", event);
+  return {
+    event,
+    stage: process.env.STAGE,
+    home: process.env.HOME,
+    functionName: context.functionName,
+    requestId: context.awsRequestId,
+    remaining: context.getRemainingTimeInMillis(),
+  };
+};
+`;
+
+describe("SimpleLambda.invokeLocal", () => {
+  let lambda;
+
+  beforeEach(() => {
+    lambda = new SimpleLambda();
+  });
+
+  test("should run a code string with a Lambda-like context", async () => {
+    const res = await lambda.invokeLocal(
+      ECHO,
+      { id: 1 },
+      { env: { STAGE: "test" }, functionName: "api", timeout: 3 }
+    );
+
+    expect(res).toMatchObject({
+      event: { id: 1 },
+      stage: "test",
+      functionName: "api",
+    });
+    expect(res.home).toBeUndefined();
+    expect(res.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.remaining).toBeGreaterThan(0);
+    expect(res.remaining).toBeLessThanOrEqual(3000);
+  });
+
+  test("logType Tail should return console output as logs", async () => {
+    const res = await lambda.invokeLocal(ECHO, { id: 1 }, { logType: "Tail" });
+
+    expect(res).toMatchObject({
+      payload: { event: { id: 1 } },
+      statusCode: 200,
+      executedVersion: "$LATEST",
+    });
+    const { requestId } = res.payload;
+    const lines = res.logs.trim().split("\n");
+    expect(lines[0]).toBe(`START RequestId: ${requestId} Version: $LATEST`);
+    expect(lines[1]).toMatch(
+      new RegExp(`^\\S+Z\\t${requestId}\\tINFO\\tevent { id: 1 }$`)
+    );
+    expect(lines[2]).toBe(`END RequestId: ${requestId}`);
+    expect(lines[3]).toMatch(/^REPORT RequestId: .*\tMemory Size: 128 MB$/);
+  });
+
+  test("should support callback-style handlers", async () => {
+    const code = `exports.handler = (event, context, callback) => {
+      setTimeout(() => callback(null, event.n * 2), 5);
+    };`;
+    await expect(lambda.invokeLocal(code, { n: 21 })).resolves.toBe(42);
+  });
+
+  test("should load a directory with relative requires and a custom handler", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "boto3js-local-"));
+    try {
+      fs.mkdirSync(path.join(dir, "src/lib"), { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, "src/app.js"),
+        `const path = require("path");
+         const greet = require("./lib");
+         const { greeting } = require("../config.json");
+         exports.routes = { main: async (e) => greet(greeting, path.basename(e.who)) };`
+      );
+      fs.writeFileSync(
+        path.join(dir, "src/lib/index.js"),
+        "module.exports = (greeting, who) => `${greeting}, ${who}!`;"
+      );
+      fs.writeFileSync(
+        path.join(dir, "config.json"),
+        JSON.stringify({ greeting: "Hello" })
+      );
+
+      await expect(
+        lambda.invokeLocal(
+          dir,
+          { who: "/users/ada" },
+          { handler: "src/app.routes.main" }
+        )
+      ).resolves.toBe("Hello, ada!");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("should run a zipped package", async () => {
+    const zipFile = zipFiles({
+      "index.js": 'exports.handler = async () => "zipped";',
+    });
+    await expect(lambda.invokeLocal({ zipFile })).resolves.toBe("zipped");
+  });
+
+  test("each call should start with fresh module state", async () => {
+    const code = `let count = 0;
+      exports.handler = async () => ++count;`;
+    await expect(lambda.invokeLocal(code)).resolves.toBe(1);
+    await expect(lambda.invokeLocal(code)).resolves.toBe(1);
+  });
+
+  test("should not expose the host process", async () => {
+    const code = `exports.handler = async () => ({
+      exit: typeof process.exit,
+      on: typeof process.on,
+      chdir: typeof process.chdir,
+      stdout: typeof process.stdout,
+      version: process.version,
+    });`;
+    await expect(lambda.invokeLocal(code)).resolves.toEqual({
+      exit: "undefined",
+      on: "undefined",
+      chdir: "undefined",
+      stdout: "undefined",
+      version: process.version,
+    });
+  });
+
+  test("should cancel timers and immediates left behind by the handler", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "boto3js-local-"));
+    const marker = (name) => path.join(dir, name);
+    const code = `const fs = require("fs");
+      exports.handler = async (event) => {
+        setImmediate(() => fs.writeFileSync(event.immediate, ""));
+        setTimeout(() => fs.writeFileSync(event.timeout, ""), 0);
+      };`;
+    try {
+      await lambda.invokeLocal(code, {
+        immediate: marker("immediate"),
+        timeout: marker("timeout"),
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(fs.readdirSync(dir)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("should throw a LambdaFunctionError when the handler fails", async () => {
+    const code = `exports.handler = async () => {
+      console.error("about to fail");
+      throw new TypeError("x is undefined");
+    };`;
+
+    const err = await lambda
+      .invokeLocal(code, {}, { functionName: "api" })
+      .catch((e) => e);
+
+    expect(err).toBeInstanceOf(LambdaFunctionError);
+    expect(err).toMatchObject({
+      message: "Lambda invokeLocal(api) failed: TypeError: x is undefined",
+      code: "TypeError",
+      functionError: "Unhandled",
+    });
+    expect(err.stackTrace[0]).toBe("TypeError: x is undefined");
+    expect(err.logs).toMatch(/\tERROR\tabout to fail\n/);
+    expect(err.logs).toMatch(
+      /\tERROR\tInvoke Error \t\{"errorType":"TypeError"/
+    );
+  });
+
+  test("should report a missing handler like the runtime", async () => {
+    await expect(
+      lambda.invokeLocal({ files: { "index.js": "exports.other = 1;" } })
+    ).rejects.toMatchObject({
+      code: "Runtime.HandlerNotFound",
+      message:
+        "Lambda invokeLocal(local) failed: Runtime.HandlerNotFound: index.handler is undefined or not exported",
+    });
+  });
+
+  test("should report syntax errors like the runtime", async () => {
+    await expect(
+      lambda.invokeLocal("exports.handler = async () => {")
+    ).rejects.toMatchObject({ code: "Runtime.UserCodeSyntaxError" });
+  });
+
+  test("should time out a handler that never settles", async () => {
+    const err = await lambda
+      .invokeLocal(
+        "exports.handler = () => new Promise(() => {});",
+        {},
+        { timeout: 0.05 }
+      )
+      .catch((e) => e);
+
+    expect(err).toBeInstanceOf(LambdaFunctionError);
+    expect(err.message).toBe(
+      "Lambda invokeLocal(local) failed: Sandbox.Timedout: Task timed out after 0.05 seconds"
+    );
+    expect(err.logs).toMatch(/Task timed out after 0.05 seconds\nEND/);
+  });
+
+  test("should interrupt synchronous loops at the timeout", async () => {
+    await expect(
+      lambda.invokeLocal(
+        "exports.handler = async () => { while (true) {} };",
+        {},
+        { timeout: 0.05 }
+      )
+    ).rejects.toMatchObject({ code: "Sandbox.Timedout" });
+  });
+
+  test("should reject sources it cannot run", async () => {
+    await expect(
+      lambda.invokeLocal({ s3Bucket: "b", s3Key: "k" })
+    ).rejects.toThrow(
+      "Lambda invokeLocal(local) failed: invokeLocal runs a code string, a directory or { files | dir | zipFile }"
+    );
+  });
+});
@@ -0,0 +1,271 @@
+import {
+  LambdaClient,
+  CreateFunctionCommand,
+  PublishVersionCommand,
+  CreateAliasCommand,
+  UpdateAliasCommand,
+  GetAliasCommand,
+  ListAliasesCommand,
+  DeleteAliasCommand,
+  InvokeCommand,
+} from "@aws-sdk/client-lambda";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleLambda } from "../lambda/simpleLambda.js";
+import { SimpleIAM } from "../iam/simpleIAM.js";
+import { canaryWeights } from "../lambda/release.js";
+
+jest.mock("../iam/simpleIAM.js");
+jest.mock("@aws-sdk/client-lambda", () => ({
+  ...jest.requireActual("@aws-sdk/client-lambda"),
+  waitUntilFunctionActive: jest.fn().mockResolvedValue({}),
+  waitUntilFunctionUpdated: jest.fn().mockResolvedValue({}),
+}));
+
+const lambdaMock = mockClient(LambdaClient);
+
+const FUNCTION_NAME = "test-lambda";
+const ALIAS = "live";
+
+function notFound() {
+  const err = new Error("Alias not found");
+  err.name = "ResourceNotFoundException";
+  return err;
+}
+
+const aliasUpdates = () =>
+  lambdaMock.commandCalls(UpdateAliasCommand).map((c) => c.args[0].input);
+
+describe("SimpleLambda versions and aliases", () => {
+  let lambda;
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    SimpleIAM.prototype.getRole = jest
+      .fn()
+      .mockResolvedValue({ Arn: "arn:role" });
+    lambdaMock.on(CreateFunctionCommand).resolves({ FunctionArn: "arn:fn" });
+    lambdaMock
+      .on(PublishVersionCommand)
+      .resolves({ Version: "3", FunctionArn: "arn:fn:3" });
+    lambda = new SimpleLambda();
+  });
+
+  test("publishVersion should return the new version", async () => {
+    const res = await lambda.publishVersion(FUNCTION_NAME, {
+      description: "release 3",
+    });
+    expect(res.Version).toBe("3");
+    expect(
+      lambdaMock.commandCalls(PublishVersionCommand)[0].args[0].input
+    ).toEqual({ FunctionName: FUNCTION_NAME, Description: "release 3" });
+  });
+
+  test("createAlias should accept a weighted routing config", async () => {
+    lambdaMock.on(CreateAliasCommand).resolves({ AliasArn: "arn:alias" });
+    await lambda.createAlias(FUNCTION_NAME, ALIAS, 2, {
+      additionalVersionWeights: { 3: 0.25 },
+    });
+    expect(
+      lambdaMock.commandCalls(CreateAliasCommand)[0].args[0].input
+    ).toEqual({
+      FunctionName: FUNCTION_NAME,
+      Name: ALIAS,
+      FunctionVersion: "2",
+      RoutingConfig: { AdditionalVersionWeights: { 3: 0.25 } },
+    });
+  });
+
+  test("listAliases should paginate", async () => {
+    lambdaMock
+      .on(ListAliasesCommand)
+      .resolvesOnce({ Aliases: [{ Name: "a" }], NextMarker: "m" })
+      .resolvesOnce({ Aliases: [{ Name: "b" }] });
+    await expect(lambda.listAliases(FUNCTION_NAME)).resolves.toEqual([
+      { Name: "a" },
+      { Name: "b" },
+    ]);
+    expect(
+      lambdaMock.commandCalls(ListAliasesCommand)[1].args[0].input
+    ).toEqual({ FunctionName: FUNCTION_NAME, Marker: "m" });
+  });
+
+  test("deleteAlias should throw a formatted error on failure", async () => {
+    lambdaMock.on(DeleteAliasCommand).rejects(notFound());
+    await expect(
+      lambda.deleteAlias(FUNCTION_NAME, ALIAS)
+    ).rejects.toMatchObject({
+      name: "NotFoundError",
+      message: `Lambda deleteAlias(${FUNCTION_NAME}, ${ALIAS}) failed: Alias not found`,
+    });
+  });
+
+  describe("deploy with publish and alias", () => {
+    test("should return the published version ARN", async () => {
+      const arn = await lambda.deploy(FUNCTION_NAME, "code", { publish: true });
+      expect(arn).toBe("arn:fn:3");
+    });
+
+    test("should move an existing alias to the new version", async () => {
+      lambdaMock.on(UpdateAliasCommand).resolves({ AliasArn: "arn:fn:live" });
+      const arn = await lambda.deploy(FUNCTION_NAME, "code", { alias: ALIAS });
+      expect(arn).toBe("arn:fn:live");
+      expect(aliasUpdates()).toEqual([
+        {
+          FunctionName: FUNCTION_NAME,
+          Name: ALIAS,
+          FunctionVersion: "3",
+          RoutingConfig: { AdditionalVersionWeights: {} },
+        },
+      ]);
+    });
+
+    test("should create the alias if it does not exist", async () => {
+      lambdaMock.on(UpdateAliasCommand).rejects(notFound());
+      lambdaMock.on(CreateAliasCommand).resolves({ AliasArn: "arn:fn:live" });
+      const arn = await lambda.deploy(FUNCTION_NAME, "code", { alias: ALIAS });
+      expect(arn).toBe("arn:fn:live");
+      expect(
+        lambdaMock.commandCalls(CreateAliasCommand)[0].args[0].input
+          .FunctionVersion
+      ).toBe("3");
+    });
+  });
+
+  describe("canaryRelease", () => {
+    beforeEach(() => {
+      lambdaMock.on(GetAliasCommand).resolves({ FunctionVersion: "2" });
+      lambdaMock.on(UpdateAliasCommand).resolves({});
+    });
+
+    test("canaryWeights should climb evenly from the first weight", () => {
+      expect(canaryWeights(0.1, 1)).toEqual([0.1]);
+      expect(canaryWeights(0.1, 3)).toEqual([0.1, 0.4, 0.7]);
+      expect(canaryWeights(0.1, [0.05, 0.5])).toEqual([0.05, 0.5]);
+    });
+
+    test("should shift traffic step by step and then promote", async () => {
+      const healthCheck = jest.fn().mockResolvedValue(true);
+
+      const res = await lambda.canaryRelease(FUNCTION_NAME, ALIAS, {
+        weight: 0.2,
+        steps: 2,
+        intervalMs: 0,
+        healthCheck,
+      });
+
+      expect(res).toEqual({
+        alias: ALIAS,
+        version: "3",
+        previousVersion: "2",
+        weights: [0.2, 0.6],
+      });
+      expect(
+        aliasUpdates().map((u) => [
+          u.FunctionVersion,
+          u.RoutingConfig.AdditionalVersionWeights,
+        ])
+      ).toEqual([
+        ["2", { 3: 0.2 }],
+        ["2", { 3: 0.6 }],
+        ["3", {}],
+      ]);
+      expect(healthCheck).toHaveBeenCalledWith({
+        functionName: FUNCTION_NAME,
+        alias: ALIAS,
+        version: "3",
+        weight: 0.2,
+      });
+    });
+
+    test("should roll back when a health-check invocation fails", async () => {
+      lambdaMock
+        .on(InvokeCommand)
+        .resolvesOnce({ Payload: Buffer.from("{}") })
+        .resolvesOnce({
+          FunctionError: "Unhandled",
+          Payload: Buffer.from('{"errorMessage":"boom"}'),
+        });
+
+      await expect(
+        lambda.canaryRelease(FUNCTION_NAME, ALIAS, {
+          version: 3,
+          steps: [0.1, 0.5],
+          intervalMs: 0,
+          healthCheck: { payload: { ping: true } },
+        })
+      ).rejects.toMatchObject({
+        code: "CanaryRollback",
+        message: expect.stringContaining(
+          `Lambda canaryRelease(${FUNCTION_NAME}, ${ALIAS}) failed: rolled back to version 2 at 50%`
+        ),
+      });
+
+      const invoke = lambdaMock.commandCalls(InvokeCommand)[0].args[0].input;
+      expect(invoke.Qualifier).toBe("3");
+      expect(JSON.parse(Buffer.from(invoke.Payload).toString())).toEqual({
+        ping: true,
+      });
+      expect(lambdaMock.commandCalls(PublishVersionCommand).length).toBe(0);
+      expect(aliasUpdates().at(-1)).toEqual({
+        FunctionName: FUNCTION_NAME,
+        Name: ALIAS,
+        FunctionVersion: "2",
+        RoutingConfig: { AdditionalVersionWeights: {} },
+      });
+    });
+
+    test("should roll back when a step fails before the health check", async () => {
+      lambdaMock
+        .on(UpdateAliasCommand)
+        .resolvesOnce({})
+        .rejectsOnce(new Error("Rate exceeded"))
+        .resolves({});
+
+      await expect(
+        lambda.canaryRelease(FUNCTION_NAME, ALIAS, {
+          version: 3,
+          steps: [0.1, 0.5],
+          intervalMs: 0,
+        })
+      ).rejects.toThrow(
+        `Lambda canaryRelease(${FUNCTION_NAME}, ${ALIAS}) failed: Lambda updateAlias(${FUNCTION_NAME}, ${ALIAS}) failed: Rate exceeded`
+      );
+
+      expect(aliasUpdates().length).toBe(3);
+      expect(aliasUpdates().at(-1)).toMatchObject({
+        FunctionVersion: "2",
+        RoutingConfig: { AdditionalVersionWeights: {} },
+      });
+    });
+
+    test("should keep the original error when the rollback fails", async () => {
+      lambdaMock
+        .on(UpdateAliasCommand)
+        .resolvesOnce({})
+        .rejects(new Error("Rate exceeded"));
+
+      const err = await lambda
+        .canaryRelease(FUNCTION_NAME, ALIAS, {
+          version: 3,
+          steps: [0.1],
+          intervalMs: 0,
+          healthCheck: () => false,
+        })
+        .catch((e) => e);
+
+      expect(err.code).toBe("CanaryRollback");
+      expect(err.cause.rollbackError.message).toBe(
+        `Lambda updateAlias(${FUNCTION_NAME}, ${ALIAS}) failed: Rate exceeded`
+      );
+      expect(aliasUpdates().length).toBe(2);
+    });
+
+    test("should do nothing when the alias already points at the version", async () => {
+      const res = await lambda.canaryRelease(FUNCTION_NAME, ALIAS, {
+        version: "2",
+      });
+      expect(res.weights).toEqual([]);
+      expect(lambdaMock.commandCalls(UpdateAliasCommand).length).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { S3Client, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { IAMClient, ListRolesCommand } from "@aws-sdk/client-iam";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+import SimpleIAM from "../iam/simpleIAM.js";
+import { Paginator } from "../utils/paginator.js";
+
+const s3Mock = mockClient(S3Client);
+const dbMock = mockClient(DynamoDBClient);
+const iamMock = mockClient(IAMClient);
+
+describe("Paginator", () => {
+  const BUCKET_NAME = "test-bucket";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    dbMock.reset();
+    iamMock.reset();
+
+    s3Mock
+      .on(ListObjectsV2Command)
+      .resolvesOnce({
+        Contents: [{ Key: "a" }, { Key: "b" }],
+        NextContinuationToken: "t1",
+      })
+      .resolvesOnce({
+        Contents: [{ Key: "c" }, { Key: "d" }],
+        NextContinuationToken: "t2",
+      })
+      .resolvesOnce({ Contents: [{ Key: "e" }] });
+  });
+
+  test("getPaginator should return a Paginator for supported operations", () => {
+    const s3 = new SimpleS3();
+    expect(s3.getPaginator("listObjects")).toBeInstanceOf(Paginator);
+    expect(s3.canPaginate("listObjects")).toBe(true);
+    expect(s3.canPaginate("listBuckets")).toBe(false);
+  });
+
+  test("getPaginator should throw for unsupported operations", () => {
+    const s3 = new SimpleS3();
+    expect(() => s3.getPaginator("listBuckets")).toThrow(
+      "S3 operation 'listBuckets' cannot be paginated"
+    );
+  });
+
+  test("for await should yield every item across pages", async () => {
+    const s3 = new SimpleS3();
+    const keys = [];
+    for await (const obj of s3
+      .getPaginator("listObjects")
+      .paginate({ Bucket: BUCKET_NAME })) {
+      keys.push(obj.Key);
+    }
+
+    expect(keys).toEqual(["a", "b", "c", "d", "e"]);
+    const calls = s3Mock.commandCalls(ListObjectsV2Command);
+    expect(calls.length).toBe(3);
+    expect(calls[1].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      ContinuationToken: "t1",
+    });
+  });
+
+  test("pages() should yield raw responses", async () => {
+    const s3 = new SimpleS3();
+    const pages = [];
+    for await (const page of s3
+      .getPaginator("listObjects")
+      .paginate({ Bucket: BUCKET_NAME })
+      .pages()) {
+      pages.push(page);
+    }
+    expect(pages.length).toBe(3);
+    expect(pages[0].NextContinuationToken).toBe("t1");
+  });
+
+  test("all() should respect maxItems and pageSize", async () => {
+    const s3 = new SimpleS3();
+    const items = await s3
+      .getPaginator("listObjects")
+      .paginate({ Bucket: BUCKET_NAME }, { maxItems: 3, pageSize: 2 })
+      .all();
+
+    expect(items.map((o) => o.Key)).toEqual(["a", "b", "c"]);
+    const calls = s3Mock.commandCalls(ListObjectsV2Command);
+    expect(calls.length).toBe(2);
+    expect(calls[0].args[0].input.MaxKeys).toBe(2);
+  });
+
+  test("startingToken should resume from a previous token", async () => {
+    s3Mock.reset();
+    s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: "z" }] });
+
+    const s3 = new SimpleS3();
+    await s3
+      .getPaginator("listObjects")
+      .paginate({ Bucket: BUCKET_NAME }, { startingToken: "resume" })
+      .all();
+
+    expect(
+      s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input
+        .ContinuationToken
+    ).toBe("resume");
+  });
+
+  test("should throw a formatted error on failure", async () => {
+    s3Mock.reset();
+    s3Mock.on(ListObjectsV2Command).rejects(new Error("Access Denied"));
+
+    const s3 = new SimpleS3();
+    await expect(
+      s3.getPaginator("listObjects").paginate({ Bucket: BUCKET_NAME }).all()
+    ).rejects.toThrow("S3 paginate(listObjects) failed: Access Denied");
+  });
+
+  test("DynamoDB scan paginator should follow LastEvaluatedKey", async () => {
+    dbMock
+      .on(ScanCommand)
+      .resolvesOnce({
+        Items: [{ id: { S: "1" } }],
+        LastEvaluatedKey: { id: { S: "1" } },
+      })
+      .resolvesOnce({ Items: [{ id: { S: "2" } }] });
+
+    const db = new SimpleDynamoDB();
+    const items = await db
+      .getPaginator("scan")
+      .paginate({ TableName: "Users" })
+      .all();
+
+    expect(items).toEqual([{ id: { S: "1" } }, { id: { S: "2" } }]);
+    expect(
+      dbMock.commandCalls(ScanCommand)[1].args[0].input.ExclusiveStartKey
+    ).toEqual({ id: { S: "1" } });
+  });
+
+  test("IAM listRoles paginator should follow Marker", async () => {
+    iamMock
+      .on(ListRolesCommand)
+      .resolvesOnce({
+        Roles: [{ RoleName: "r1" }],
+        IsTruncated: true,
+        Marker: "m1",
+      })
+      .resolvesOnce({ Roles: [{ RoleName: "r2" }], IsTruncated: false });
+
+    const iam = new SimpleIAM();
+    const roles = await iam.getPaginator("listRoles").paginate().all();
+    expect(roles.map((r) => r.RoleName)).toEqual(["r1", "r2"]);
+  });
+});
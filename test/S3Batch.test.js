@@ -0,0 +1,203 @@
+import {
+  S3Client,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  DeleteObjectsCommand,
+  DeleteBucketCommand,
+  CopyObjectCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+
+const s3Mock = mockClient(S3Client);
+
+// Echoes every requested key back as deleted
+const deleteAll = (input) => ({ Deleted: input.Delete.Objects });
+
+describe("SimpleS3 batch and prefix operations", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(DeleteObjectsCommand).callsFake(deleteAll);
+    s3Mock.on(CopyObjectCommand).resolves({});
+    s3 = new SimpleS3();
+  });
+
+  test("deleteObjects should chunk requests at 1000 keys", async () => {
+    const keys = Array.from({ length: 2500 }, (_, i) => `k${i}`);
+    const res = await s3.deleteObjects(BUCKET_NAME, keys);
+
+    const calls = s3Mock.commandCalls(DeleteObjectsCommand);
+    expect(calls.map((c) => c.args[0].input.Delete.Objects.length)).toEqual([
+      1000, 1000, 500,
+    ]);
+    expect(calls[0].args[0].input.Delete.Objects[0]).toEqual({ Key: "k0" });
+    expect(res.Deleted.length).toBe(2500);
+    expect(res.Errors).toEqual([]);
+  });
+
+  test("deleteObjects should report per-key errors without throwing", async () => {
+    s3Mock.on(DeleteObjectsCommand).resolves({
+      Deleted: [{ Key: "a" }],
+      Errors: [{ Key: "b", Code: "AccessDenied", Message: "Access Denied" }],
+    });
+    const res = await s3.deleteObjects(BUCKET_NAME, [
+      "a",
+      { Key: "b", VersionId: "v1" },
+    ]);
+
+    expect(
+      s3Mock.commandCalls(DeleteObjectsCommand)[0].args[0].input.Delete.Objects
+    ).toEqual([{ Key: "a" }, { Key: "b", VersionId: "v1" }]);
+    expect(res.Errors[0]).toMatchObject({ Key: "b", Code: "AccessDenied" });
+  });
+
+  test("deleteObjects should throw a formatted error on failure", async () => {
+    s3Mock.on(DeleteObjectsCommand).rejects(new Error("boom"));
+    await expect(s3.deleteObjects(BUCKET_NAME, ["a"])).rejects.toThrow(
+      "S3 deleteObjects(test-bucket) failed: boom"
+    );
+  });
+
+  test("deletePrefix should delete every listed page", async () => {
+    s3Mock
+      .on(ListObjectsV2Command)
+      .resolvesOnce({
+        Contents: [{ Key: "logs/1" }, { Key: "logs/2" }],
+        NextContinuationToken: "t",
+      })
+      .resolvesOnce({ Contents: [{ Key: "logs/3" }] });
+
+    const res = await s3.deletePrefix(BUCKET_NAME, "logs/");
+
+    expect(
+      s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input.Prefix
+    ).toBe("logs/");
+    expect(s3Mock.commandCalls(DeleteObjectsCommand).length).toBe(2);
+    expect(res.Deleted.map((d) => d.Key)).toEqual([
+      "logs/1",
+      "logs/2",
+      "logs/3",
+    ]);
+  });
+
+  test("copyPrefix should rewrite keys under the destination prefix", async () => {
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: [{ Key: "src/a.txt" }, { Key: "src/dir/b c.txt" }],
+    });
+
+    const res = await s3.copyPrefix(BUCKET_NAME, "src/", "other", "dst/");
+
+    const inputs = s3Mock
+      .commandCalls(CopyObjectCommand)
+      .map((c) => c.args[0].input);
+    expect(inputs).toEqual([
+      {
+        Bucket: "other",
+        Key: "dst/a.txt",
+        CopySource: "test-bucket/src/a.txt",
+      },
+      {
+        Bucket: "other",
+        Key: "dst/dir/b c.txt",
+        CopySource: "test-bucket/src/dir/b%20c.txt",
+      },
+    ]);
+    expect(res).toEqual([
+      { source: "src/a.txt", key: "dst/a.txt" },
+      { source: "src/dir/b c.txt", key: "dst/dir/b c.txt" },
+    ]);
+  });
+
+  test("movePrefix should delete sources after copying", async () => {
+    s3Mock
+      .on(ListObjectsV2Command)
+      .resolves({ Contents: [{ Key: "old/a" }, { Key: "old/b" }] });
+
+    const res = await s3.movePrefix(BUCKET_NAME, "old/", BUCKET_NAME, "new/");
+
+    expect(s3Mock.commandCalls(CopyObjectCommand).length).toBe(2);
+    expect(
+      s3Mock.commandCalls(DeleteObjectsCommand)[0].args[0].input.Delete.Objects
+    ).toEqual([{ Key: "old/a" }, { Key: "old/b" }]);
+    expect(res.Moved.length).toBe(2);
+    expect(res.Errors).toEqual([]);
+  });
+
+  test("movePrefix should not delete anything if a copy fails", async () => {
+    s3Mock
+      .on(ListObjectsV2Command)
+      .resolves({ Contents: [{ Key: "old/a" }, { Key: "old/b" }] });
+    s3Mock.on(CopyObjectCommand).rejects(new Error("copy failed"));
+
+    await expect(
+      s3.movePrefix(BUCKET_NAME, "old/", BUCKET_NAME, "new/")
+    ).rejects.toThrow(
+      "S3 movePrefix(test-bucket/old/ -> test-bucket/new/) failed: copy failed"
+    );
+    expect(s3Mock.commandCalls(DeleteObjectsCommand).length).toBe(0);
+  });
+
+  describe("deleteBucket with force", () => {
+    beforeEach(() => {
+      s3Mock.on(DeleteBucketCommand).resolves({});
+      s3Mock
+        .on(ListObjectVersionsCommand)
+        .resolvesOnce({
+          Versions: [
+            { Key: "a", VersionId: "1" },
+            { Key: "a", VersionId: "2" },
+          ],
+          IsTruncated: true,
+          NextKeyMarker: "a",
+          NextVersionIdMarker: "2",
+        })
+        .resolvesOnce({
+          DeleteMarkers: [{ Key: "b", VersionId: "3" }],
+          IsTruncated: false,
+        });
+    });
+
+    test("should delete all versions and delete markers first", async () => {
+      await s3.deleteBucket(BUCKET_NAME, { force: true });
+
+      const lists = s3Mock.commandCalls(ListObjectVersionsCommand);
+      expect(lists[1].args[0].input).toMatchObject({
+        KeyMarker: "a",
+        VersionIdMarker: "2",
+      });
+      const deleted = s3Mock
+        .commandCalls(DeleteObjectsCommand)
+        .flatMap((c) => c.args[0].input.Delete.Objects);
+      expect(deleted).toEqual([
+        { Key: "a", VersionId: "1" },
+        { Key: "a", VersionId: "2" },
+        { Key: "b", VersionId: "3" },
+      ]);
+      expect(s3Mock.commandCalls(DeleteBucketCommand).length).toBe(1);
+    });
+
+    test("should not delete the bucket if objects remain", async () => {
+      s3Mock.on(DeleteObjectsCommand).resolves({
+        Errors: [{ Key: "a", Code: "AccessDenied", Message: "Access Denied" }],
+      });
+
+      await expect(
+        s3.deleteBucket(BUCKET_NAME, { force: true })
+      ).rejects.toMatchObject({
+        code: "AccessDenied",
+        message: expect.stringContaining(
+          "S3 deleteBucket(test-bucket) failed: 1 object(s) could not be deleted"
+        ),
+      });
+      expect(s3Mock.commandCalls(DeleteBucketCommand).length).toBe(0);
+    });
+
+    test("should not list versions without force", async () => {
+      await s3.deleteBucket(BUCKET_NAME);
+      expect(s3Mock.commandCalls(ListObjectVersionsCommand).length).toBe(0);
+    });
+  });
+});
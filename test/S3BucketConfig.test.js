@@ -0,0 +1,267 @@
+import {
+  S3Client,
+  CreateBucketCommand,
+  GetBucketVersioningCommand,
+  PutBucketVersioningCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  GetBucketCorsCommand,
+  PutBucketCorsCommand,
+  GetBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  GetPublicAccessBlockCommand,
+  PutPublicAccessBlockCommand,
+  GetBucketEncryptionCommand,
+  PutBucketEncryptionCommand,
+  GetBucketTaggingCommand,
+  PutBucketTaggingCommand,
+  DeleteBucketPolicyCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+
+const s3Mock = mockClient(S3Client);
+
+function s3Error(name, message = name) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+const inputOf = (command) => s3Mock.commandCalls(command)[0].args[0].input;
+
+describe("SimpleS3 bucket configuration", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.resolves({});
+    s3 = new SimpleS3({ region: "eu-west-1" });
+  });
+
+  describe("createBucket", () => {
+    test("should set LocationConstraint outside us-east-1", async () => {
+      await s3.createBucket(BUCKET_NAME);
+      expect(inputOf(CreateBucketCommand)).toEqual({
+        Bucket: BUCKET_NAME,
+        CreateBucketConfiguration: { LocationConstraint: "eu-west-1" },
+      });
+    });
+
+    test("should omit LocationConstraint in us-east-1", async () => {
+      s3 = new SimpleS3({ region: "us-east-1" });
+      await s3.createBucket(BUCKET_NAME);
+      expect(inputOf(CreateBucketCommand)).toEqual({ Bucket: BUCKET_NAME });
+    });
+
+    test("should honour an explicit region", async () => {
+      await s3.createBucket(BUCKET_NAME, { region: "ap-south-1" });
+      expect(inputOf(CreateBucketCommand).CreateBucketConfiguration).toEqual({
+        LocationConstraint: "ap-south-1",
+      });
+    });
+
+    test("another region should reuse the client options and destroy the client", async () => {
+      const destroy = jest.spyOn(S3Client.prototype, "destroy");
+      s3 = new SimpleS3({
+        region: "eu-west-1",
+        endpoint: "http://localhost:4566",
+        forcePathStyle: true,
+      });
+
+      await s3.createBucket(BUCKET_NAME, { region: "ap-south-1" });
+
+      const regional = s3Mock.call(0).thisValue;
+      expect(regional).not.toBe(s3.client);
+      await expect(regional.config.region()).resolves.toBe("ap-south-1");
+      expect((await regional.config.endpoint()).hostname).toBe("localhost");
+      expect(regional.config.forcePathStyle).toBe(true);
+      expect(destroy).toHaveBeenCalledTimes(1);
+      destroy.mockRestore();
+    });
+
+    test("should provision versioning, encryption and public access block", async () => {
+      await s3.createBucket(BUCKET_NAME, {
+        versioning: true,
+        encryption: { kmsKeyId: "alias/data" },
+        blockPublicAccess: true,
+        tags: { team: "data" },
+      });
+
+      expect(inputOf(PutBucketVersioningCommand)).toEqual({
+        Bucket: BUCKET_NAME,
+        VersioningConfiguration: { Status: "Enabled" },
+      });
+      expect(
+        inputOf(PutBucketEncryptionCommand).ServerSideEncryptionConfiguration
+      ).toEqual({
+        Rules: [
+          {
+            ApplyServerSideEncryptionByDefault: {
+              SSEAlgorithm: "aws:kms",
+              KMSMasterKeyID: "alias/data",
+            },
+          },
+        ],
+      });
+      expect(
+        inputOf(PutPublicAccessBlockCommand).PublicAccessBlockConfiguration
+      ).toEqual({
+        BlockPublicAcls: true,
+        IgnorePublicAcls: true,
+        BlockPublicPolicy: true,
+        RestrictPublicBuckets: true,
+      });
+      expect(inputOf(PutBucketTaggingCommand).Tagging).toEqual({
+        TagSet: [{ Key: "team", Value: "data" }],
+      });
+    });
+
+    test("should not configure anything by default", async () => {
+      await s3.createBucket(BUCKET_NAME);
+      expect(s3Mock.calls().length).toBe(1);
+    });
+  });
+
+  test("versioning get/set", async () => {
+    s3Mock.on(GetBucketVersioningCommand).resolves({ Status: "Suspended" });
+    await expect(s3.getBucketVersioning(BUCKET_NAME)).resolves.toEqual({
+      Status: "Suspended",
+      MFADelete: undefined,
+    });
+    await s3.setBucketVersioning(BUCKET_NAME, false);
+    expect(inputOf(PutBucketVersioningCommand).VersioningConfiguration).toEqual(
+      { Status: "Suspended" }
+    );
+  });
+
+  test("lifecycle rules should default Status and Filter", async () => {
+    await s3.setBucketLifecycle(BUCKET_NAME, [
+      { ID: "expire", Expiration: { Days: 30 } },
+      {
+        ID: "logs",
+        Status: "Disabled",
+        Filter: { Prefix: "logs/" },
+        Expiration: { Days: 7 },
+      },
+    ]);
+    expect(
+      inputOf(PutBucketLifecycleConfigurationCommand).LifecycleConfiguration
+        .Rules
+    ).toEqual([
+      {
+        ID: "expire",
+        Status: "Enabled",
+        Filter: { Prefix: "" },
+        Expiration: { Days: 30 },
+      },
+      {
+        ID: "logs",
+        Status: "Disabled",
+        Filter: { Prefix: "logs/" },
+        Expiration: { Days: 7 },
+      },
+    ]);
+  });
+
+  test("getters should return empty values when nothing is configured", async () => {
+    s3Mock
+      .on(GetBucketLifecycleConfigurationCommand)
+      .rejects(s3Error("NoSuchLifecycleConfiguration"));
+    s3Mock.on(GetBucketCorsCommand).rejects(s3Error("NoSuchCORSConfiguration"));
+    s3Mock.on(GetBucketPolicyCommand).rejects(s3Error("NoSuchBucketPolicy"));
+    s3Mock
+      .on(GetPublicAccessBlockCommand)
+      .rejects(s3Error("NoSuchPublicAccessBlockConfiguration"));
+    s3Mock
+      .on(GetBucketEncryptionCommand)
+      .rejects(s3Error("ServerSideEncryptionConfigurationNotFoundError"));
+    s3Mock.on(GetBucketTaggingCommand).rejects(s3Error("NoSuchTagSet"));
+
+    await expect(s3.getBucketLifecycle(BUCKET_NAME)).resolves.toEqual([]);
+    await expect(s3.getBucketCors(BUCKET_NAME)).resolves.toEqual([]);
+    await expect(s3.getBucketPolicy(BUCKET_NAME)).resolves.toBeNull();
+    await expect(s3.getPublicAccessBlock(BUCKET_NAME)).resolves.toBeNull();
+    await expect(s3.getBucketEncryption(BUCKET_NAME)).resolves.toEqual([]);
+    await expect(s3.getBucketTagging(BUCKET_NAME)).resolves.toEqual({});
+  });
+
+  test("getters should still throw other errors", async () => {
+    s3Mock.on(GetBucketCorsCommand).rejects(s3Error("AccessDenied", "Denied"));
+    await expect(s3.getBucketCors(BUCKET_NAME)).rejects.toThrow(
+      `S3 getBucketCors(${BUCKET_NAME}) failed: Denied`
+    );
+  });
+
+  test("CORS rules should round-trip", async () => {
+    const rules = [
+      { AllowedMethods: ["GET", "PUT"], AllowedOrigins: ["https://a.com"] },
+    ];
+    await s3.setBucketCors(BUCKET_NAME, rules);
+    expect(inputOf(PutBucketCorsCommand).CORSConfiguration).toEqual({
+      CORSRules: rules,
+    });
+    s3Mock.on(GetBucketCorsCommand).resolves({ CORSRules: rules });
+    await expect(s3.getBucketCors(BUCKET_NAME)).resolves.toEqual(rules);
+  });
+
+  test("policy should be accepted and returned as an object", async () => {
+    const policy = {
+      Version: "2012-10-17",
+      Statement: [
+        {
+          Effect: "Allow",
+          Principal: "*",
+          Action: "s3:GetObject",
+          Resource: `arn:aws:s3:::${BUCKET_NAME}/*`,
+        },
+      ],
+    };
+    await s3.setBucketPolicy(BUCKET_NAME, policy);
+    expect(JSON.parse(inputOf(PutBucketPolicyCommand).Policy)).toEqual(policy);
+
+    s3Mock
+      .on(GetBucketPolicyCommand)
+      .resolves({ Policy: JSON.stringify(policy) });
+    await expect(s3.getBucketPolicy(BUCKET_NAME)).resolves.toEqual(policy);
+
+    await s3.deleteBucketPolicy(BUCKET_NAME);
+    expect(s3Mock.commandCalls(DeleteBucketPolicyCommand).length).toBe(1);
+  });
+
+  test("public access block should accept individual flags", async () => {
+    await s3.setPublicAccessBlock(BUCKET_NAME, {
+      BlockPublicAcls: true,
+      IgnorePublicAcls: true,
+      BlockPublicPolicy: false,
+      RestrictPublicBuckets: false,
+    });
+    expect(
+      inputOf(PutPublicAccessBlockCommand).PublicAccessBlockConfiguration
+        .BlockPublicPolicy
+    ).toBe(false);
+  });
+
+  test("encryption should default to SSE-S3", async () => {
+    await s3.setBucketEncryption(BUCKET_NAME);
+    expect(
+      inputOf(PutBucketEncryptionCommand).ServerSideEncryptionConfiguration
+        .Rules[0].ApplyServerSideEncryptionByDefault
+    ).toEqual({ SSEAlgorithm: "AES256" });
+  });
+
+  test("tagging should use plain objects", async () => {
+    await s3.setBucketTagging(BUCKET_NAME, { env: "prod", cost: 42 });
+    expect(inputOf(PutBucketTaggingCommand).Tagging.TagSet).toEqual([
+      { Key: "env", Value: "prod" },
+      { Key: "cost", Value: "42" },
+    ]);
+    s3Mock
+      .on(GetBucketTaggingCommand)
+      .resolves({ TagSet: [{ Key: "env", Value: "prod" }] });
+    await expect(s3.getBucketTagging(BUCKET_NAME)).resolves.toEqual({
+      env: "prod",
+    });
+  });
+});
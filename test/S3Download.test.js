@@ -0,0 +1,201 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+
+const s3Mock = mockClient(S3Client);
+
+// Serves GetObject from DATA, honouring Range like S3 does
+function serve(data, eTag) {
+  return (input) => {
+    const match = /^bytes=(\d+)-(\d*)$/.exec(input.Range || "");
+    const start = match ? Number(match[1]) : 0;
+    const end = match && match[2] ? Number(match[2]) + 1 : data.length;
+    const slice = data.subarray(start, end);
+    return {
+      Body: Readable.from([slice]),
+      ContentLength: slice.length,
+      ETag: eTag,
+    };
+  };
+}
+
+describe("SimpleS3 downloads", () => {
+  let s3;
+  let tmpDir;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "image.png";
+  const DATA = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10, 0x80]);
+  const MD5 = `"${crypto.createHash("md5").update(DATA).digest("hex")}"`;
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(GetObjectCommand).callsFake(serve(DATA, MD5));
+    s3Mock
+      .on(HeadObjectCommand)
+      .resolves({ ContentLength: DATA.length, ETag: MD5 });
+    s3 = new SimpleS3();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-download-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("downloadBuffer should return binary data intact", async () => {
+    const buf = await s3.downloadBuffer(BUCKET_NAME, KEY);
+    expect(Buffer.isBuffer(buf)).toBe(true);
+    expect(buf.equals(DATA)).toBe(true);
+  });
+
+  test("downloadBuffer should accept a { start, end } range", async () => {
+    const buf = await s3.downloadBuffer(BUCKET_NAME, KEY, {
+      range: { start: 2, end: 4 },
+    });
+    expect(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input.Range).toBe(
+      "bytes=2-4"
+    );
+    expect(buf.equals(DATA.subarray(2, 5))).toBe(true);
+  });
+
+  test("downloadStream should return a readable body", async () => {
+    const stream = await s3.downloadStream(BUCKET_NAME, KEY);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    expect(Buffer.concat(chunks).equals(DATA)).toBe(true);
+  });
+
+  test("downloadToFile should use parallel ranged GETs and verify MD5", async () => {
+    const file = path.join(tmpDir, "out.png");
+    const progress = [];
+    const res = await s3.downloadToFile(BUCKET_NAME, KEY, file, {
+      partSize: 3,
+      concurrency: 2,
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(fs.readFileSync(file).equals(DATA)).toBe(true);
+    expect(res).toMatchObject({ bytes: DATA.length, verified: true });
+
+    const gets = s3Mock
+      .commandCalls(GetObjectCommand)
+      .map((c) => c.args[0].input);
+    expect(gets.map((i) => i.Range).sort()).toEqual([
+      "bytes=0-2",
+      "bytes=3-5",
+      "bytes=6-7",
+    ]);
+    expect(gets.every((i) => i.IfMatch === MD5)).toBe(true);
+    expect(progress[progress.length - 1]).toEqual({
+      loaded: DATA.length,
+      total: DATA.length,
+    });
+  });
+
+  test("downloadToFile should use one GET for small objects", async () => {
+    const file = path.join(tmpDir, "small.png");
+    await s3.downloadToFile(BUCKET_NAME, KEY, file);
+
+    expect(s3Mock.commandCalls(GetObjectCommand).length).toBe(1);
+    expect(fs.readFileSync(file).equals(DATA)).toBe(true);
+  });
+
+  test("downloadToFile should verify ChecksumSHA256 when present", async () => {
+    s3Mock.on(HeadObjectCommand).resolves({
+      ContentLength: DATA.length,
+      ETag: '"abc-2"',
+      ChecksumSHA256: crypto.createHash("sha256").update(DATA).digest("base64"),
+    });
+    const res = await s3.downloadToFile(
+      BUCKET_NAME,
+      KEY,
+      path.join(tmpDir, "sha.png")
+    );
+    expect(res.verified).toBe(true);
+  });
+
+  test("downloadToFile should fail and remove the file on checksum mismatch", async () => {
+    const file = path.join(tmpDir, "bad.png");
+    const wrong = `"${"0".repeat(32)}"`;
+    s3Mock
+      .on(HeadObjectCommand)
+      .resolves({ ContentLength: DATA.length, ETag: wrong });
+    s3Mock.on(GetObjectCommand).callsFake(serve(DATA, wrong));
+
+    await expect(s3.downloadToFile(BUCKET_NAME, KEY, file)).rejects.toThrow(
+      /S3 downloadToFile\(test-bucket, image.png\) failed: Checksum mismatch/
+    );
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test("downloadToFile should not treat an SSE-KMS ETag as an MD5", async () => {
+    const file = path.join(tmpDir, "kms.png");
+    const kmsETag = `"${"0".repeat(32)}"`;
+    s3Mock.on(HeadObjectCommand).resolves({
+      ContentLength: DATA.length,
+      ETag: kmsETag,
+      ServerSideEncryption: "aws:kms",
+    });
+    s3Mock.on(GetObjectCommand).callsFake(serve(DATA, kmsETag));
+
+    const res = await s3.downloadToFile(BUCKET_NAME, KEY, file);
+
+    expect(res.verified).toBe(false);
+    expect(fs.readFileSync(file).equals(DATA)).toBe(true);
+  });
+
+  test("downloadToFile should retry a failed range", async () => {
+    let failed = false;
+    s3Mock.on(GetObjectCommand).callsFake((input) => {
+      if (input.Range === "bytes=3-5" && !failed) {
+        failed = true;
+        throw new Error("socket hang up");
+      }
+      return serve(DATA, MD5)(input);
+    });
+
+    const file = path.join(tmpDir, "retry.png");
+    await s3.downloadToFile(BUCKET_NAME, KEY, file, { partSize: 3 });
+    expect(fs.readFileSync(file).equals(DATA)).toBe(true);
+  });
+
+  test("downloadToFile should let ranges in flight finish before removing the file", async () => {
+    const events = [];
+    s3Mock.on(GetObjectCommand).callsFake(async (input) => {
+      if (input.Range === "bytes=0-2") throw new Error("socket hang up");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      events.push(input.Range);
+      return serve(DATA, MD5)(input);
+    });
+
+    const file = path.join(tmpDir, "failed.png");
+    await expect(
+      s3.downloadToFile(BUCKET_NAME, KEY, file, {
+        partSize: 3,
+        concurrency: 2,
+        maxRetries: 0,
+      })
+    ).rejects.toThrow("socket hang up");
+    expect(events).toEqual(["bytes=3-5"]);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test("downloadToFile should write only the requested range", async () => {
+    const file = path.join(tmpDir, "range.bin");
+    const res = await s3.downloadToFile(BUCKET_NAME, KEY, file, {
+      range: "bytes=0-3",
+    });
+
+    expect(s3Mock.commandCalls(HeadObjectCommand).length).toBe(0);
+    expect(fs.readFileSync(file).equals(DATA.subarray(0, 4))).toBe(true);
+    expect(res.bytes).toBe(4);
+  });
+});
@@ -0,0 +1,183 @@
+import {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import { contentTypeFor } from "../s3/headers.js";
+
+const s3Mock = mockClient(S3Client);
+
+function notFound() {
+  const err = new Error("UnknownError");
+  err.name = "NotFound";
+  err.$metadata = { httpStatusCode: 404 };
+  return err;
+}
+
+describe("SimpleS3 object metadata", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "assets/app.js";
+
+  const HEAD = {
+    ContentLength: 42,
+    ContentType: "text/javascript",
+    ETag: '"abc"',
+    LastModified: new Date("2024-01-01T00:00:00Z"),
+    Metadata: { build: "41", owner: "web" },
+    CacheControl: "max-age=60",
+    ServerSideEncryption: "aws:kms",
+    SSEKMSKeyId: "arn:aws:kms:us-east-1:123:key/k",
+  };
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(HeadObjectCommand).resolves(HEAD);
+    s3Mock.on(PutObjectCommand).resolves({ ETag: '"new"' });
+    s3Mock.on(CopyObjectCommand).resolves({});
+    s3 = new SimpleS3();
+  });
+
+  test("contentTypeFor should infer types from extensions", () => {
+    expect(contentTypeFor("index.HTML")).toBe("text/html");
+    expect(contentTypeFor("a/b/photo.jpeg")).toBe("image/jpeg");
+    expect(contentTypeFor("data.bin")).toBeUndefined();
+  });
+
+  test("headObject should return the raw HEAD response", async () => {
+    await expect(s3.headObject(BUCKET_NAME, KEY)).resolves.toEqual(HEAD);
+  });
+
+  test("objectExists should be true for 200 and false for 404", async () => {
+    await expect(s3.objectExists(BUCKET_NAME, KEY)).resolves.toBe(true);
+    s3Mock.on(HeadObjectCommand).rejects(notFound());
+    await expect(s3.objectExists(BUCKET_NAME, KEY)).resolves.toBe(false);
+  });
+
+  test("objectExists should throw on other errors", async () => {
+    const err = new Error("Access Denied");
+    err.name = "AccessDenied";
+    s3Mock.on(HeadObjectCommand).rejects(err);
+    await expect(s3.objectExists(BUCKET_NAME, KEY)).rejects.toThrow(
+      `S3 objectExists(${BUCKET_NAME}, ${KEY}) failed: Access Denied`
+    );
+  });
+
+  test("getObjectMetadata should return camelCased fields", async () => {
+    const meta = await s3.getObjectMetadata(BUCKET_NAME, KEY);
+    expect(meta).toMatchObject({
+      contentLength: 42,
+      contentType: "text/javascript",
+      eTag: '"abc"',
+      metadata: { build: "41", owner: "web" },
+      storageClass: "STANDARD",
+      kmsKeyId: HEAD.SSEKMSKeyId,
+    });
+  });
+
+  test("uploadFile should infer ContentType and map header options", async () => {
+    await s3.uploadFile(BUCKET_NAME, KEY, "code", {
+      cacheControl: "max-age=31536000",
+      metadata: { build: "42" },
+      acl: "public-read",
+      storageClass: "STANDARD_IA",
+      kmsKeyId: "alias/site",
+      tagging: { team: "web", env: "prod" },
+    });
+
+    expect(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      Key: KEY,
+      Body: "code",
+      ContentType: "text/javascript",
+      CacheControl: "max-age=31536000",
+      Metadata: { build: "42" },
+      ACL: "public-read",
+      StorageClass: "STANDARD_IA",
+      ServerSideEncryption: "aws:kms",
+      SSEKMSKeyId: "alias/site",
+      Tagging: "team=web&env=prod",
+    });
+  });
+
+  test("uploadFile should let an explicit contentType win", async () => {
+    await s3.uploadFile(BUCKET_NAME, "data.json", "{}", {
+      contentType: "application/vnd.api+json",
+    });
+    expect(
+      s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.ContentType
+    ).toBe("application/vnd.api+json");
+  });
+
+  test("uploadLarge should pass header options to the upload", async () => {
+    s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: "u" });
+    await s3.uploadLarge(BUCKET_NAME, "small.csv", Buffer.from("a,b"), {
+      metadata: { rows: "1" },
+    });
+    expect(
+      s3Mock.commandCalls(PutObjectCommand)[0].args[0].input
+    ).toMatchObject({ ContentType: "text/csv", Metadata: { rows: "1" } });
+  });
+
+  test("copyObject should copy metadata unless metadata options are given", async () => {
+    await s3.copyObject("src", "a.txt", "dest", "b.txt", {
+      storageClass: "GLACIER_IR",
+    });
+    await s3.copyObject("src", "a.txt", "dest", "b.html", {
+      metadata: { reviewed: "yes" },
+    });
+
+    const [plain, replaced] = s3Mock
+      .commandCalls(CopyObjectCommand)
+      .map((c) => c.args[0].input);
+    expect(plain).toEqual({
+      Bucket: "dest",
+      Key: "b.txt",
+      CopySource: "src/a.txt",
+      StorageClass: "GLACIER_IR",
+    });
+    expect(replaced).toMatchObject({
+      MetadataDirective: "REPLACE",
+      ContentType: "text/html",
+      Metadata: { reviewed: "yes" },
+    });
+  });
+
+  test("updateObjectMetadata should merge metadata and keep headers", async () => {
+    await s3.updateObjectMetadata(BUCKET_NAME, KEY, { build: "42" });
+
+    expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      Key: KEY,
+      CopySource: `${BUCKET_NAME}/${KEY}`,
+      CopySourceIfMatch: '"abc"',
+      MetadataDirective: "REPLACE",
+      Metadata: { build: "42", owner: "web" },
+      ContentType: "text/javascript",
+      CacheControl: "max-age=60",
+      ServerSideEncryption: "aws:kms",
+      SSEKMSKeyId: HEAD.SSEKMSKeyId,
+    });
+  });
+
+  test("updateObjectMetadata should replace metadata when asked", async () => {
+    await s3.updateObjectMetadata(
+      BUCKET_NAME,
+      KEY,
+      { only: "this" },
+      { replace: true, cacheControl: "no-cache" }
+    );
+    expect(
+      s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input
+    ).toMatchObject({ Metadata: { only: "this" }, CacheControl: "no-cache" });
+  });
+
+  test("S3Object.exists() should delegate to objectExists", async () => {
+    s3Mock.on(HeadObjectCommand).rejects(notFound());
+    await expect(s3.Object(BUCKET_NAME, KEY).exists()).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import { SimpleS3 } from "../s3/s3.js";
+
+// Signs for real with static credentials; nothing is sent over the network
+describe("SimpleS3 presigned uploads", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "uploads/avatar.png";
+
+  beforeEach(() => {
+    s3 = new SimpleS3({
+      region: "us-east-1",
+      credentials: { accessKeyId: "AKIDEXAMPLE", secretAccessKey: "secret" },
+    });
+  });
+
+  const decodePolicy = (fields) =>
+    JSON.parse(Buffer.from(fields.Policy, "base64").toString("utf8"));
+
+  describe("getUploadURL", () => {
+    test("should presign a PUT with the given expiry", async () => {
+      const url = new URL(
+        await s3.getUploadURL(BUCKET_NAME, KEY, { expiresIn: 300 })
+      );
+
+      expect(url.hostname).toBe(`${BUCKET_NAME}.s3.us-east-1.amazonaws.com`);
+      expect(url.pathname).toBe(`/${KEY}`);
+      expect(url.searchParams.get("X-Amz-Expires")).toBe("300");
+      expect(url.searchParams.get("X-Amz-Signature")).toBeTruthy();
+      expect(url.searchParams.get("x-id")).toBe("PutObject");
+      // A checksum of the empty body would make S3 reject the real upload
+      const checksumParams = [...url.searchParams.keys()].filter(
+        (name) =>
+          name.startsWith("x-amz-checksum-") ||
+          name === "x-amz-sdk-checksum-algorithm"
+      );
+      expect(checksumParams).toEqual([]);
+    });
+
+    test("should sign content-type and content-length", async () => {
+      const url = new URL(
+        await s3.getUploadURL(BUCKET_NAME, KEY, {
+          contentType: "image/png",
+          contentLength: 1024,
+        })
+      );
+      const signed = url.searchParams.get("X-Amz-SignedHeaders").split(";");
+      expect(signed).toEqual(
+        expect.arrayContaining(["content-type", "content-length", "host"])
+      );
+    });
+
+    test("should throw a formatted error on failure", async () => {
+      s3 = new SimpleS3({
+        region: "us-east-1",
+        credentials: () => Promise.reject(new Error("No credentials")),
+      });
+      await expect(s3.getUploadURL(BUCKET_NAME, KEY)).rejects.toThrow(
+        `S3 getUploadURL(${BUCKET_NAME}, ${KEY}) failed: No credentials`
+      );
+    });
+  });
+
+  describe("createPresignedPost", () => {
+    test("should return the form URL and signed fields", async () => {
+      const { url, fields } = await s3.createPresignedPost(BUCKET_NAME, KEY, {
+        expiresIn: 600,
+      });
+
+      expect(url).toBe(`https://${BUCKET_NAME}.s3.us-east-1.amazonaws.com/`);
+      expect(fields).toMatchObject({
+        key: KEY,
+        bucket: BUCKET_NAME,
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      });
+      expect(fields["X-Amz-Signature"]).toMatch(/^[0-9a-f]{64}$/);
+
+      const policy = decodePolicy(fields);
+      const expiresIn = new Date(policy.expiration).getTime() - Date.now();
+      expect(expiresIn).toBeGreaterThan(590 * 1000);
+      expect(expiresIn).toBeLessThanOrEqual(600 * 1000);
+      expect(policy.conditions).toContainEqual({ key: KEY });
+    });
+
+    test("should add size, content type, fields and conditions to the policy", async () => {
+      const { fields } = await s3.createPresignedPost(BUCKET_NAME, KEY, {
+        maxSize: 5 * 1024 * 1024,
+        contentType: "image/png",
+        fields: { acl: "public-read" },
+        conditions: [["starts-with", "$x-amz-meta-user", ""]],
+      });
+
+      expect(fields).toMatchObject({
+        acl: "public-read",
+        "Content-Type": "image/png",
+      });
+      expect(decodePolicy(fields).conditions).toEqual(
+        expect.arrayContaining([
+          ["content-length-range", 0, 5 * 1024 * 1024],
+          ["starts-with", "$x-amz-meta-user", ""],
+          { acl: "public-read" },
+          { "Content-Type": "image/png" },
+        ])
+      );
+    });
+
+    test("should allow a ${filename} key under a prefix", async () => {
+      const { fields } = await s3.createPresignedPost(
+        BUCKET_NAME,
+        "uploads/${filename}"
+      );
+      expect(decodePolicy(fields).conditions).toContainEqual([
+        "starts-with",
+        "$key",
+        "uploads/",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  S3Client,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteBucketCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import { Bucket, S3Object } from "../s3/resources.js";
+
+const s3Mock = mockClient(S3Client);
+
+describe("S3 resources", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "docs/readme.txt";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3 = new SimpleS3();
+  });
+
+  describe("Bucket", () => {
+    test("s3.Bucket should return a Bucket resource", () => {
+      const bucket = s3.Bucket(BUCKET_NAME);
+      expect(bucket).toBeInstanceOf(Bucket);
+      expect(bucket.name).toBe(BUCKET_NAME);
+      expect(bucket.Object(KEY)).toBeInstanceOf(S3Object);
+    });
+
+    test("objects.all() should iterate every object across pages", async () => {
+      s3Mock
+        .on(ListObjectsV2Command)
+        .resolvesOnce({
+          Contents: [{ Key: "a", Size: 1 }],
+          NextContinuationToken: "t",
+        })
+        .resolvesOnce({ Contents: [{ Key: "b", Size: 2 }] });
+
+      const keys = [];
+      for await (const obj of s3.Bucket(BUCKET_NAME).objects.all()) {
+        expect(obj).toBeInstanceOf(S3Object);
+        keys.push(obj.key);
+      }
+      expect(keys).toEqual(["a", "b"]);
+    });
+
+    test("objects.filter() should pass the prefix", async () => {
+      s3Mock
+        .on(ListObjectsV2Command)
+        .resolves({ Contents: [{ Key: "logs/1", Size: 10 }] });
+
+      const objects = await s3
+        .Bucket(BUCKET_NAME)
+        .objects.filter({ prefix: "logs/" })
+        .toArray();
+
+      expect(objects.map((o) => o.key)).toEqual(["logs/1"]);
+      expect(
+        s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input
+      ).toEqual({ Bucket: BUCKET_NAME, Prefix: "logs/" });
+      // Size comes from the listing, so no HEAD request is needed
+      await expect(objects[0].contentLength).resolves.toBe(10);
+      expect(s3Mock.commandCalls(HeadObjectCommand).length).toBe(0);
+    });
+
+    test("upload() should put the object and return it", async () => {
+      s3Mock.on(PutObjectCommand).resolves({});
+      const obj = await s3.Bucket(BUCKET_NAME).upload(KEY, "data");
+      expect(obj.key).toBe(KEY);
+      expect(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input).toEqual({
+        Bucket: BUCKET_NAME,
+        Key: KEY,
+        Body: "data",
+        ContentType: "text/plain",
+      });
+    });
+
+    test("delete() should delete the bucket", async () => {
+      s3Mock.on(DeleteBucketCommand).resolves({});
+      await s3.Bucket(BUCKET_NAME).delete();
+      expect(s3Mock.commandCalls(DeleteBucketCommand).length).toBe(1);
+    });
+  });
+
+  describe("Object", () => {
+    test("attributes should be lazy-loaded once via HEAD", async () => {
+      const lastModified = new Date("2024-01-01");
+      s3Mock.on(HeadObjectCommand).resolves({
+        ContentLength: 42,
+        LastModified: lastModified,
+        ContentType: "text/plain",
+        Metadata: { owner: "me" },
+      });
+
+      const obj = s3.Object(BUCKET_NAME, KEY);
+      expect(s3Mock.commandCalls(HeadObjectCommand).length).toBe(0);
+
+      await expect(obj.contentLength).resolves.toBe(42);
+      await expect(obj.lastModified).resolves.toBe(lastModified);
+      await expect(obj.contentType).resolves.toBe("text/plain");
+      await expect(obj.metadata).resolves.toEqual({ owner: "me" });
+      expect(s3Mock.commandCalls(HeadObjectCommand).length).toBe(1);
+    });
+
+    test("load() should throw a formatted error on failure", async () => {
+      s3Mock.on(HeadObjectCommand).rejects(new Error("Not Found"));
+      await expect(s3.Object(BUCKET_NAME, KEY).contentLength).rejects.toThrow(
+        `S3 load(${BUCKET_NAME}, ${KEY}) failed: Not Found`
+      );
+    });
+
+    test("get() should return the raw GetObject response", async () => {
+      s3Mock.on(GetObjectCommand).resolves({ Body: "stream", ContentLength: 6 });
+      const res = await s3.Object(BUCKET_NAME, KEY).get();
+      expect(res.Body).toBe("stream");
+    });
+
+    test("put() should upload and reset cached attributes", async () => {
+      s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 1 });
+      s3Mock.on(PutObjectCommand).resolves({});
+
+      const obj = s3.Object(BUCKET_NAME, KEY);
+      await obj.contentLength;
+      await obj.put("new body");
+      await obj.contentLength;
+
+      expect(s3Mock.commandCalls(HeadObjectCommand).length).toBe(2);
+    });
+
+    test("copyFrom() should accept strings and resources", async () => {
+      s3Mock.on(CopyObjectCommand).resolves({});
+      const obj = s3.Object(BUCKET_NAME, KEY);
+
+      await obj.copyFrom("src-bucket/path/to/file.txt");
+      await obj.copyFrom(s3.Object("other", "x.txt"));
+
+      const calls = s3Mock.commandCalls(CopyObjectCommand);
+      expect(calls[0].args[0].input).toEqual({
+        Bucket: BUCKET_NAME,
+        Key: KEY,
+        CopySource: "src-bucket/path/to/file.txt",
+      });
+      expect(calls[1].args[0].input.CopySource).toBe("other/x.txt");
+    });
+
+    test("delete() should delete the object", async () => {
+      s3Mock.on(DeleteObjectCommand).resolves({});
+      await s3.Object(BUCKET_NAME, KEY).delete();
+      expect(
+        s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input
+      ).toEqual({ Bucket: BUCKET_NAME, Key: KEY });
+    });
+  });
+});
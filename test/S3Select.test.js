@@ -0,0 +1,173 @@
+import { S3Client, SelectObjectContentCommand } from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import { parseCsvRecords } from "../s3/select.js";
+
+const s3Mock = mockClient(S3Client);
+
+const records = (text) => ({ Records: { Payload: Buffer.from(text) } });
+
+async function* events(...items) {
+  yield* items;
+}
+
+async function collect(iterator) {
+  const rows = [];
+  for await (const row of iterator) rows.push(row);
+  return rows;
+}
+
+describe("SimpleS3 select", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "events.json";
+  const SQL = "SELECT * FROM S3Object s WHERE s.level = 'error'";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3 = new SimpleS3();
+  });
+
+  test("should yield JSON records split across events", async () => {
+    s3Mock.on(SelectObjectContentCommand).resolves({
+      Payload: events(
+        records('{"id":1}\n{"i'),
+        records('d":2}\n'),
+        { Cont: {} },
+        records('{"id":3}\n'),
+        { End: {} }
+      ),
+    });
+
+    const rows = await collect(
+      s3.select(BUCKET_NAME, KEY, SQL, { inputFormat: "json" })
+    );
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  });
+
+  test("should build the request from format options", async () => {
+    s3Mock
+      .on(SelectObjectContentCommand)
+      .resolves({ Payload: events({ End: {} }) });
+
+    await collect(
+      s3.select(BUCKET_NAME, "data.csv.gz", SQL, {
+        compression: "gzip",
+        delimiter: ";",
+        outputFormat: "csv",
+      })
+    );
+
+    expect(
+      s3Mock.commandCalls(SelectObjectContentCommand)[0].args[0].input
+    ).toEqual({
+      Bucket: BUCKET_NAME,
+      Key: "data.csv.gz",
+      Expression: SQL,
+      ExpressionType: "SQL",
+      InputSerialization: {
+        CompressionType: "GZIP",
+        CSV: { FileHeaderInfo: "USE", FieldDelimiter: ";" },
+      },
+      OutputSerialization: {
+        CSV: { RecordDelimiter: "\n", FieldDelimiter: ";" },
+      },
+    });
+  });
+
+  test("should omit CompressionType for parquet", async () => {
+    s3Mock
+      .on(SelectObjectContentCommand)
+      .resolves({ Payload: events({ End: {} }) });
+    await collect(
+      s3.select(BUCKET_NAME, "t.parquet", SQL, { inputFormat: "parquet" })
+    );
+    expect(
+      s3Mock.commandCalls(SelectObjectContentCommand)[0].args[0].input
+        .InputSerialization
+    ).toEqual({ Parquet: {} });
+  });
+
+  test("should parse CSV output with quoted fields", async () => {
+    s3Mock.on(SelectObjectContentCommand).resolves({
+      Payload: events(
+        records('1,"Smith, J",ok\n2,"multi\nline"'),
+        records(',"say ""hi"""\n'),
+        { End: {} }
+      ),
+    });
+
+    const rows = await collect(
+      s3.select(BUCKET_NAME, KEY, SQL, { outputFormat: "csv" })
+    );
+    expect(rows).toEqual([
+      ["1", "Smith, J", "ok"],
+      ["2", "multi\nline", 'say "hi"'],
+    ]);
+  });
+
+  test("should report progress and stats events", async () => {
+    const details = {
+      BytesScanned: 100,
+      BytesProcessed: 100,
+      BytesReturned: 8,
+    };
+    s3Mock.on(SelectObjectContentCommand).resolves({
+      Payload: events(
+        { Progress: { Details: { ...details, BytesReturned: 0 } } },
+        records('{"id":1}\n'),
+        { Stats: { Details: details } },
+        { End: {} }
+      ),
+    });
+    const progress = [];
+    const stats = [];
+
+    await collect(
+      s3.select(BUCKET_NAME, KEY, SQL, {
+        inputFormat: "json",
+        onProgress: (p) => progress.push(p),
+        onStats: (s) => stats.push(s),
+      })
+    );
+
+    expect(
+      s3Mock.commandCalls(SelectObjectContentCommand)[0].args[0].input
+        .RequestProgress
+    ).toEqual({ Enabled: true });
+    expect(progress).toEqual([{ ...details, BytesReturned: 0 }]);
+    expect(stats).toEqual([details]);
+  });
+
+  test("should throw if the stream ends without an End event", async () => {
+    s3Mock
+      .on(SelectObjectContentCommand)
+      .resolves({ Payload: events(records('{"id":1}\n')) });
+
+    await expect(collect(s3.select(BUCKET_NAME, KEY, SQL))).rejects.toThrow(
+      `S3 select(${BUCKET_NAME}, ${KEY}) failed: S3 Select stream ended before the End event`
+    );
+  });
+
+  test("should throw a formatted error on request failure", async () => {
+    s3Mock
+      .on(SelectObjectContentCommand)
+      .rejects(new Error("InvalidTextEncoding"));
+    await expect(collect(s3.select(BUCKET_NAME, KEY, SQL))).rejects.toThrow(
+      `S3 select(${BUCKET_NAME}, ${KEY}) failed: InvalidTextEncoding`
+    );
+  });
+
+  test("should reject unknown formats", async () => {
+    await expect(
+      collect(s3.select(BUCKET_NAME, KEY, SQL, { inputFormat: "xml" }))
+    ).rejects.toThrow('Unsupported inputFormat "xml"');
+  });
+
+  test("parseCsvRecords should keep incomplete records for the next chunk", () => {
+    expect(parseCsvRecords('a,b\r\nc,"d\n')).toEqual({
+      records: [["a", "b"]],
+      rest: 'c,"d\n',
+    });
+  });
+});
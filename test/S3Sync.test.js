@@ -0,0 +1,202 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import {
+  S3Client,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+
+const s3Mock = mockClient(S3Client);
+
+const md5 = (data) =>
+  `"${crypto.createHash("md5").update(data).digest("hex")}"`;
+
+describe("SimpleS3 sync", () => {
+  let s3;
+  let dir;
+
+  const write = (rel, content) => {
+    const file = path.join(dir, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(PutObjectCommand).resolves({ ETag: '"new"' });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+    s3 = new SimpleS3();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-sync-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("local -> S3", () => {
+    beforeEach(() => {
+      write("index.html", "<html>");
+      write("assets/app.js", "console.log(1)");
+      write("assets/app.js.map", "{}");
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [
+          { Key: "site/index.html", Size: 6, ETag: md5("<html>") },
+          { Key: "site/old.html", Size: 3, ETag: md5("old") },
+        ],
+      });
+    });
+
+    test("should upload only new or changed files under the prefix", async () => {
+      const res = await s3.sync(dir, "s3://my-bucket/site");
+
+      expect(
+        s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input
+      ).toMatchObject({ Bucket: "my-bucket", Prefix: "site/" });
+      const keys = s3Mock
+        .commandCalls(PutObjectCommand)
+        .map((c) => c.args[0].input.Key)
+        .sort();
+      expect(keys).toEqual(["site/assets/app.js", "site/assets/app.js.map"]);
+      expect(res.skipped).toEqual(["index.html"]);
+      expect(s3Mock.commandCalls(DeleteObjectCommand).length).toBe(0);
+    });
+
+    test("should delete remote objects missing locally with delete: true", async () => {
+      const res = await s3.sync(dir, "s3://my-bucket/site", { delete: true });
+
+      expect(res.deleted).toEqual(["old.html"]);
+      expect(s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input).toEqual(
+        { Bucket: "my-bucket", Key: "site/old.html" }
+      );
+    });
+
+    test("should apply exclude and include patterns", async () => {
+      const res = await s3.sync(dir, "s3://my-bucket/site", {
+        exclude: "assets/*",
+        include: "*.js",
+      });
+      expect(res.transferred).toEqual(["assets/app.js"]);
+    });
+
+    test("should only report changes on dryRun", async () => {
+      const res = await s3.sync(dir, "s3://my-bucket/site", {
+        delete: true,
+        dryRun: true,
+      });
+
+      expect(res.transferred.sort()).toEqual([
+        "assets/app.js",
+        "assets/app.js.map",
+      ]);
+      expect(res.deleted).toEqual(["old.html"]);
+      expect(s3Mock.commandCalls(PutObjectCommand).length).toBe(0);
+      expect(s3Mock.commandCalls(DeleteObjectCommand).length).toBe(0);
+    });
+
+    test("should fall back to mtime for multipart ETags", async () => {
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [
+          {
+            Key: "site/index.html",
+            Size: 6,
+            ETag: '"abc-2"',
+            LastModified: new Date(Date.now() + 60000),
+          },
+        ],
+      });
+      const res = await s3.sync(dir, "s3://my-bucket/site", {
+        exclude: "assets/*",
+      });
+      expect(res.skipped).toEqual(["index.html"]);
+    });
+    test("should fall back to mtime when an ETag is not the MD5", async () => {
+      // SSE-KMS objects have 32-hex ETags that are not the content's MD5
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [
+          {
+            Key: "site/index.html",
+            Size: 6,
+            ETag: `"${"0".repeat(32)}"`,
+            LastModified: new Date(Date.now() + 60000),
+          },
+        ],
+      });
+      const res = await s3.sync(dir, "s3://my-bucket/site", {
+        exclude: "assets/*",
+      });
+      expect(res.skipped).toEqual(["index.html"]);
+    });
+  });
+
+  describe("S3 -> local", () => {
+    const REMOTE = { "a.txt": "alpha", "nested/b.txt": "bravo" };
+    const MODIFIED = new Date("2024-01-01T00:00:00Z");
+
+    beforeEach(() => {
+      s3Mock.on(ListObjectsV2Command).resolves({
+        Contents: [
+          { Key: "data/" },
+          ...Object.entries(REMOTE).map(([rel, body]) => ({
+            Key: `data/${rel}`,
+            Size: body.length,
+            ETag: md5(body),
+            LastModified: MODIFIED,
+          })),
+        ],
+      });
+      s3Mock.on(HeadObjectCommand).callsFake(({ Key }) => {
+        const body = REMOTE[Key.slice("data/".length)];
+        return { ContentLength: body.length, ETag: md5(body) };
+      });
+      s3Mock.on(GetObjectCommand).callsFake(({ Key }) => ({
+        Body: Readable.from([Buffer.from(REMOTE[Key.slice("data/".length)])]),
+      }));
+    });
+
+    test("should download missing files and preserve S3 mtimes", async () => {
+      write("a.txt", "alpha");
+      write("stale.txt", "x");
+
+      const res = await s3.sync("s3://my-bucket/data", dir, { delete: true });
+
+      expect(res.transferred).toEqual(["nested/b.txt"]);
+      expect(res.skipped).toEqual(["a.txt"]);
+      expect(res.deleted).toEqual(["stale.txt"]);
+      expect(fs.readFileSync(path.join(dir, "nested/b.txt"), "utf8")).toBe(
+        "bravo"
+      );
+      expect(fs.statSync(path.join(dir, "nested/b.txt")).mtime).toEqual(
+        MODIFIED
+      );
+      expect(fs.existsSync(path.join(dir, "stale.txt"))).toBe(false);
+    });
+  });
+
+  test("should refuse keys that would download outside the directory", async () => {
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: [
+        { Key: "data/ok.txt", Size: 2, ETag: md5("ok") },
+        { Key: "data/../../.bashrc", Size: 4, ETag: md5("evil") },
+      ],
+    });
+
+    await expect(s3.sync("s3://my-bucket/data", dir)).rejects.toThrow(
+      `S3 sync(s3://my-bucket/data, ${dir}) failed: Refusing to download "../../.bashrc" outside ${dir}`
+    );
+    expect(s3Mock.commandCalls(GetObjectCommand).length).toBe(0);
+  });
+
+  test("should reject two local paths", async () => {
+    await expect(s3.sync(dir, "./other")).rejects.toThrow(
+      /exactly one s3:\/\/ location/
+    );
+  });
+});
@@ -0,0 +1,260 @@
+import fs from "fs";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { SimpleS3 } from "../s3/s3.js";
+import { MIN_PART_SIZE, readParts } from "../s3/transfer.js";
+
+const s3Mock = mockClient(S3Client);
+
+describe("SimpleS3 multipart upload", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "big.bin";
+  // 2 full parts + 1 byte
+  const DATA = Buffer.alloc(MIN_PART_SIZE * 2 + 1, 7);
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: "upload-1" });
+    s3Mock
+      .on(UploadPartCommand)
+      .callsFake((input) => ({ ETag: `"etag-${input.PartNumber}"` }));
+    s3Mock
+      .on(CompleteMultipartUploadCommand)
+      .resolves({ Location: "loc", ETag: '"final"' });
+    s3Mock.on(AbortMultipartUploadCommand).resolves({});
+    s3 = new SimpleS3();
+  });
+
+  test("readParts should split streams into exact part sizes", async () => {
+    const stream = Readable.from([
+      Buffer.alloc(3),
+      Buffer.alloc(4),
+      Buffer.alloc(2),
+    ]);
+    const sizes = [];
+    for await (const part of readParts(stream, 4)) sizes.push(part.length);
+    expect(sizes).toEqual([4, 4, 1]);
+  });
+
+  test("should upload a Buffer in parts and complete in order", async () => {
+    const progress = [];
+    const res = await s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+      partSize: MIN_PART_SIZE,
+      concurrency: 2,
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(res.ETag).toBe('"final"');
+    expect(s3Mock.commandCalls(UploadPartCommand).length).toBe(3);
+    expect(
+      s3Mock.commandCalls(CompleteMultipartUploadCommand)[0].args[0].input
+        .MultipartUpload.Parts
+    ).toEqual([
+      { PartNumber: 1, ETag: '"etag-1"' },
+      { PartNumber: 2, ETag: '"etag-2"' },
+      { PartNumber: 3, ETag: '"etag-3"' },
+    ]);
+    expect(progress[progress.length - 1]).toEqual(
+      expect.objectContaining({
+        loaded: DATA.length,
+        total: DATA.length,
+        uploadId: "upload-1",
+      })
+    );
+  });
+
+  test("should upload from a file path and a stream", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "boto3js-"));
+    const file = path.join(dir, "big.bin");
+    fs.writeFileSync(file, DATA);
+
+    await s3.uploadLarge(BUCKET_NAME, KEY, file, { partSize: MIN_PART_SIZE });
+    await s3.uploadLarge(BUCKET_NAME, KEY, fs.createReadStream(file), {
+      partSize: MIN_PART_SIZE,
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const sizes = s3Mock
+      .commandCalls(UploadPartCommand)
+      .map((c) => c.args[0].input.Body.length);
+    expect(sizes).toEqual([
+      MIN_PART_SIZE,
+      MIN_PART_SIZE,
+      1,
+      MIN_PART_SIZE,
+      MIN_PART_SIZE,
+      1,
+    ]);
+  });
+
+  test("should fall back to PutObject for small sources", async () => {
+    s3Mock.on(PutObjectCommand).resolves({ ETag: '"small"' });
+    const res = await s3.uploadLarge(BUCKET_NAME, KEY, Buffer.from("tiny"), {
+      params: { ContentType: "text/plain" },
+    });
+
+    expect(res.ETag).toBe('"small"');
+    expect(s3Mock.commandCalls(CreateMultipartUploadCommand).length).toBe(0);
+    expect(
+      s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.ContentType
+    ).toBe("text/plain");
+  });
+
+  test("should retry a failed part", async () => {
+    s3Mock
+      .on(UploadPartCommand, { PartNumber: 2 })
+      .rejectsOnce(new Error("Socket reset"))
+      .resolves({ ETag: '"etag-2"' });
+
+    await s3.uploadLarge(BUCKET_NAME, KEY, DATA, { partSize: MIN_PART_SIZE });
+
+    const partNumbers = s3Mock
+      .commandCalls(UploadPartCommand)
+      .map((c) => c.args[0].input.PartNumber);
+    expect(partNumbers.filter((n) => n === 2).length).toBe(2);
+    expect(s3Mock.commandCalls(CompleteMultipartUploadCommand).length).toBe(1);
+  });
+
+  test("should abort the upload when a part keeps failing", async () => {
+    s3Mock.on(UploadPartCommand).rejects(new Error("Internal Error"));
+
+    await expect(
+      s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+        partSize: MIN_PART_SIZE,
+        maxRetries: 0,
+      })
+    ).rejects.toThrow(
+      `S3 uploadLarge(${BUCKET_NAME}, ${KEY}) failed: Internal Error`
+    );
+    expect(
+      s3Mock.commandCalls(AbortMultipartUploadCommand)[0].args[0].input.UploadId
+    ).toBe("upload-1");
+  });
+
+  test("should wait for parts in flight before aborting", async () => {
+    const events = [];
+    s3Mock.on(UploadPartCommand).callsFake(async (input) => {
+      if (input.PartNumber === 1) throw new Error("Internal Error");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      events.push(`part ${input.PartNumber}`);
+      return { ETag: `"etag-${input.PartNumber}"` };
+    });
+    s3Mock.on(AbortMultipartUploadCommand).callsFake(async () => {
+      events.push("abort");
+      return {};
+    });
+
+    await expect(
+      s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+        partSize: MIN_PART_SIZE,
+        concurrency: 2,
+        maxRetries: 0,
+      })
+    ).rejects.toThrow("Internal Error");
+    expect(events).toEqual(["part 2", "abort"]);
+  });
+
+  test("should keep parts with leavePartsOnError", async () => {
+    s3Mock.on(UploadPartCommand).rejects(new Error("Internal Error"));
+
+    const err = await s3
+      .uploadLarge(BUCKET_NAME, KEY, DATA, {
+        partSize: MIN_PART_SIZE,
+        maxRetries: 0,
+        leavePartsOnError: true,
+      })
+      .catch((e) => e);
+
+    expect(err.cause.uploadId).toBe("upload-1");
+    expect(s3Mock.commandCalls(AbortMultipartUploadCommand).length).toBe(0);
+  });
+
+  const partETag = (body) =>
+    `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+
+  test("should resume an upload and skip parts already uploaded", async () => {
+    const eTag = partETag(DATA.subarray(0, MIN_PART_SIZE));
+    s3Mock.on(ListPartsCommand).resolves({
+      Parts: [{ PartNumber: 1, Size: MIN_PART_SIZE, ETag: eTag }],
+    });
+
+    await s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+      partSize: MIN_PART_SIZE,
+      uploadId: "upload-0",
+    });
+
+    expect(s3Mock.commandCalls(CreateMultipartUploadCommand).length).toBe(0);
+    const uploaded = s3Mock
+      .commandCalls(UploadPartCommand)
+      .map((c) => c.args[0].input.PartNumber);
+    expect(uploaded.sort()).toEqual([2, 3]);
+    expect(
+      s3Mock.commandCalls(CompleteMultipartUploadCommand)[0].args[0].input
+        .MultipartUpload.Parts[0]
+    ).toEqual({ PartNumber: 1, ETag: eTag });
+  });
+
+  test("should re-upload a resumed part whose content changed", async () => {
+    s3Mock.on(ListPartsCommand).resolves({
+      Parts: [
+        {
+          PartNumber: 1,
+          Size: MIN_PART_SIZE,
+          ETag: partETag(Buffer.alloc(MIN_PART_SIZE, 1)),
+        },
+      ],
+    });
+
+    await s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+      partSize: MIN_PART_SIZE,
+      uploadId: "upload-0",
+    });
+
+    const uploaded = s3Mock
+      .commandCalls(UploadPartCommand)
+      .map((c) => c.args[0].input.PartNumber);
+    expect(uploaded.sort()).toEqual([1, 2, 3]);
+  });
+
+  test("should close the source stream when an upload fails", async () => {
+    s3Mock.on(UploadPartCommand).rejects(new Error("Internal Error"));
+    const stream = Readable.from(
+      (function* () {
+        for (let i = 0; i < 4; i++) yield Buffer.alloc(MIN_PART_SIZE, i);
+      })()
+    );
+
+    await expect(
+      s3.uploadLarge(BUCKET_NAME, KEY, stream, {
+        partSize: MIN_PART_SIZE,
+        concurrency: 1,
+        maxRetries: 0,
+      })
+    ).rejects.toThrow("Internal Error");
+    expect(stream.destroyed).toBe(true);
+  });
+
+  test("should stop when the abort signal fires", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      s3.uploadLarge(BUCKET_NAME, KEY, DATA, {
+        abortSignal: controller.signal,
+      })
+    ).rejects.toThrow("Upload aborted");
+    expect(s3Mock.commandCalls(CreateMultipartUploadCommand).length).toBe(0);
+  });
+});
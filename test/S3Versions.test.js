@@ -0,0 +1,201 @@
+import {
+  S3Client,
+  ListObjectVersionsCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+} from "@aws-sdk/client-s3";
+import { mockClient } from "aws-sdk-client-mock";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { SimpleS3 } from "../s3/s3.js";
+
+jest.mock("@aws-sdk/s3-request-presigner");
+
+const s3Mock = mockClient(S3Client);
+
+const at = (minute) => new Date(Date.UTC(2024, 0, 1, 0, minute));
+
+describe("SimpleS3 object versions", () => {
+  let s3;
+  const BUCKET_NAME = "test-bucket";
+  const KEY = "report.csv";
+
+  beforeEach(() => {
+    s3Mock.reset();
+    s3Mock.on(DeleteObjectCommand).resolves({});
+    s3Mock.on(CopyObjectCommand).resolves({ VersionId: "v-new" });
+    getSignedUrl.mockResolvedValue("https://s3.mock.url/signed-url");
+    s3 = new SimpleS3();
+  });
+
+  test("listObjectVersions should follow both markers and merge delete markers", async () => {
+    s3Mock
+      .on(ListObjectVersionsCommand)
+      .resolvesOnce({
+        Versions: [{ Key: "a", VersionId: "1", LastModified: at(1) }],
+        DeleteMarkers: [
+          { Key: "a", VersionId: "2", LastModified: at(2), IsLatest: true },
+        ],
+        IsTruncated: true,
+        NextKeyMarker: "a",
+        NextVersionIdMarker: "1",
+      })
+      .resolvesOnce({
+        Versions: [{ Key: "b", VersionId: "3", LastModified: at(3) }],
+        IsTruncated: false,
+      });
+
+    const versions = await s3.listObjectVersions(BUCKET_NAME, "data/");
+
+    const calls = s3Mock.commandCalls(ListObjectVersionsCommand);
+    expect(calls[0].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      Prefix: "data/",
+    });
+    expect(calls[1].args[0].input).toMatchObject({
+      KeyMarker: "a",
+      VersionIdMarker: "1",
+    });
+    expect(
+      versions.map(({ Key, VersionId, IsDeleteMarker }) => [
+        Key,
+        VersionId,
+        IsDeleteMarker,
+      ])
+    ).toEqual([
+      ["a", "2", true],
+      ["a", "1", false],
+      ["b", "3", false],
+    ]);
+  });
+
+  test("getPaginator should page versions with a multi-marker token", async () => {
+    s3Mock.on(ListObjectVersionsCommand).resolves({
+      Versions: [{ Key: "c", VersionId: "9" }],
+      IsTruncated: false,
+    });
+
+    const items = await s3
+      .getPaginator("listObjectVersions")
+      .paginate({ Bucket: BUCKET_NAME }, { startingToken: ["b", "4"] })
+      .all();
+
+    expect(items).toEqual([{ Key: "c", VersionId: "9" }]);
+    expect(
+      s3Mock.commandCalls(ListObjectVersionsCommand)[0].args[0].input
+    ).toEqual({ Bucket: BUCKET_NAME, KeyMarker: "b", VersionIdMarker: "4" });
+  });
+
+  test("downloadFile should fetch a specific version", async () => {
+    s3Mock.on(GetObjectCommand).resolves({
+      Body: { transformToString: () => Promise.resolve("old") },
+    });
+    await expect(
+      s3.downloadFile(BUCKET_NAME, KEY, { versionId: "v1" })
+    ).resolves.toBe("old");
+    expect(
+      s3Mock.commandCalls(GetObjectCommand)[0].args[0].input.VersionId
+    ).toBe("v1");
+  });
+
+  test("deleteObject should delete a specific version", async () => {
+    await s3.deleteObject(BUCKET_NAME, KEY, { versionId: "v1" });
+    expect(s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      Key: KEY,
+      VersionId: "v1",
+    });
+  });
+
+  test("copyObject should copy from a specific version", async () => {
+    await s3.copyObject(BUCKET_NAME, "a b.txt", "dest", "b.txt", {
+      versionId: "v1",
+    });
+    expect(
+      s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input.CopySource
+    ).toBe(`${BUCKET_NAME}/a%20b.txt?versionId=v1`);
+  });
+
+  test("copyObject should URL-encode the source versionId", async () => {
+    await s3.copyObject(BUCKET_NAME, KEY, "dest", "b.txt", {
+      versionId: "3/L4kq+Z=",
+    });
+    expect(
+      s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input.CopySource
+    ).toBe(`${BUCKET_NAME}/${KEY}?versionId=3%2FL4kq%2BZ%3D`);
+  });
+
+  test("getObjectURL should accept an options object with versionId", async () => {
+    await s3.getObjectURL(BUCKET_NAME, KEY, { expiresIn: 60, versionId: "v1" });
+    expect(getSignedUrl).toHaveBeenCalledWith(
+      expect.any(S3Client),
+      expect.objectContaining({
+        input: { Bucket: BUCKET_NAME, Key: KEY, VersionId: "v1" },
+      }),
+      { expiresIn: 60 }
+    );
+  });
+
+  test("restoreVersion should copy the version over the key", async () => {
+    const res = await s3.restoreVersion(BUCKET_NAME, KEY, "v1");
+    expect(s3Mock.commandCalls(CopyObjectCommand)[0].args[0].input).toEqual({
+      Bucket: BUCKET_NAME,
+      Key: KEY,
+      CopySource: `${BUCKET_NAME}/${KEY}?versionId=v1`,
+    });
+    expect(res.VersionId).toBe("v-new");
+  });
+
+  describe("undelete", () => {
+    test("should remove the delete markers above the newest version", async () => {
+      s3Mock.on(ListObjectVersionsCommand).resolves({
+        Versions: [
+          { Key: KEY, VersionId: "v2", LastModified: at(2) },
+          { Key: KEY, VersionId: "v1", LastModified: at(1) },
+          { Key: `${KEY}.bak`, VersionId: "x", LastModified: at(9) },
+        ],
+        DeleteMarkers: [
+          { Key: KEY, VersionId: "m2", LastModified: at(4), IsLatest: true },
+          { Key: KEY, VersionId: "m1", LastModified: at(3) },
+        ],
+      });
+
+      const res = await s3.undelete(BUCKET_NAME, KEY);
+
+      expect(
+        s3Mock.commandCalls(ListObjectVersionsCommand)[0].args[0].input.Prefix
+      ).toBe(KEY);
+      expect(
+        s3Mock
+          .commandCalls(DeleteObjectCommand)
+          .map((c) => c.args[0].input.VersionId)
+      ).toEqual(["m2", "m1"]);
+      expect(res).toEqual({
+        RemovedDeleteMarkers: ["m2", "m1"],
+        VersionId: "v2",
+      });
+    });
+
+    test("should do nothing if the object is not deleted", async () => {
+      s3Mock.on(ListObjectVersionsCommand).resolves({
+        Versions: [
+          { Key: KEY, VersionId: "v1", LastModified: at(1), IsLatest: true },
+        ],
+      });
+      const res = await s3.undelete(BUCKET_NAME, KEY);
+      expect(res).toEqual({ RemovedDeleteMarkers: [], VersionId: "v1" });
+      expect(s3Mock.commandCalls(DeleteObjectCommand).length).toBe(0);
+    });
+
+    test("should throw NotFoundError when there is no version to restore", async () => {
+      s3Mock.on(ListObjectVersionsCommand).resolves({
+        DeleteMarkers: [{ Key: KEY, VersionId: "m1", LastModified: at(1) }],
+      });
+      await expect(s3.undelete(BUCKET_NAME, KEY)).rejects.toMatchObject({
+        name: "NotFoundError",
+        message: `S3 undelete(${BUCKET_NAME}, ${KEY}) failed: No version of ${KEY} to restore`,
+      });
+      expect(s3Mock.commandCalls(DeleteObjectCommand).length).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { S3Client } from "@aws-sdk/client-s3";
+import { Session } from "../session/session.js";
+import { boto3, setup, getDefaultSession, AWSService } from "../index.js";
+import { SimpleS3 } from "../s3/s3.js";
+import SimpleDynamoDB from "../dynamodb/dynamodb.js";
+
+const KEYS = { accessKeyId: "AKIA", secretAccessKey: "secret" };
+
+describe("Session", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("client should return the matching wrapper", () => {
+    const session = new Session({ region: "eu-west-1", ...KEYS });
+    expect(session.client(AWSService.S3)).toBeInstanceOf(SimpleS3);
+    expect(session.client(AWSService.DYNAMODB)).toBeInstanceOf(
+      SimpleDynamoDB
+    );
+  });
+
+  test("client should be cached per service", () => {
+    const session = new Session(KEYS);
+    expect(session.client(AWSService.S3)).toBe(session.client(AWSService.S3));
+  });
+
+  test("client should throw for unsupported services", () => {
+    const session = new Session(KEYS);
+    expect(() => session.client("sqs")).toThrow(
+      "Service 'sqs' is not supported yet."
+    );
+  });
+
+  test("sessions should not share regions or clients", async () => {
+    const eu = new Session({ region: "eu-west-1", ...KEYS });
+    const us = new Session({ region: "us-west-2", ...KEYS });
+
+    expect(eu.region).toBe("eu-west-1");
+    expect(us.region).toBe("us-west-2");
+    expect(eu.client(AWSService.S3)).not.toBe(us.client(AWSService.S3));
+    await expect(eu.client(AWSService.S3).client.config.region()).resolves.toBe(
+      "eu-west-1"
+    );
+    await expect(us.client(AWSService.S3).client.config.region()).resolves.toBe(
+      "us-west-2"
+    );
+  });
+
+  test("availableServices should list every supported service", () => {
+    expect(new Session(KEYS).availableServices().sort()).toEqual(
+      Object.values(AWSService).sort()
+    );
+  });
+
+  test("resolveRegion should return the explicit region", async () => {
+    await expect(
+      new Session({ region: "ap-south-1", ...KEYS }).resolveRegion()
+    ).resolves.toBe("ap-south-1");
+  });
+
+  test("should pass debug through to clients", () => {
+    const session = new Session({ ...KEYS, debug: true });
+    expect(session.client(AWSService.S3).debug).toBe(true);
+  });
+
+  describe("default session", () => {
+    test("setup should replace the default session", () => {
+      const before = getDefaultSession();
+      setup({ region: "ca-central-1", ...KEYS });
+      expect(getDefaultSession()).not.toBe(before);
+      expect(getDefaultSession().region).toBe("ca-central-1");
+    });
+
+    test("boto3 should return a new client on every call", () => {
+      setup(KEYS);
+      const s3 = boto3(AWSService.S3);
+      expect(s3.client).toBeInstanceOf(S3Client);
+      expect(boto3(AWSService.S3)).not.toBe(s3);
+
+      s3.debug = true;
+      expect(boto3(AWSService.S3).debug).toBe(false);
+    });
+
+    test("boto3 overrides should not touch the default session", () => {
+      setup({ region: "us-east-1", ...KEYS });
+      const s3 = boto3(AWSService.S3, { region: "eu-central-1" });
+      expect(s3).not.toBe(boto3(AWSService.S3));
+      expect(getDefaultSession().region).toBe("us-east-1");
+    });
+  });
+});
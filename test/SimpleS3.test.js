@@ -77,6 +77,17 @@ describe("SimpleS3", () => {
       expect(objects).toEqual(mockContents);
     });
 
+    test("listObjects should follow continuation tokens", async () => {
+      s3Mock
+        .resolvesOnce({
+          Contents: [{ Key: "file1.txt" }],
+          NextContinuationToken: "token",
+        })
+        .resolvesOnce({ Contents: [{ Key: "file2.txt" }] });
+      const objects = await s3.listObjects(BUCKET_NAME);
+      expect(objects).toEqual([{ Key: "file1.txt" }, { Key: "file2.txt" }]);
+    });
+
     test("listObjects should return an empty array if bucket is empty", async () => {
       s3Mock.resolves({});
       const objects = await s3.listObjects(BUCKET_NAME);
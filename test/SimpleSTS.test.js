@@ -0,0 +1,148 @@
+import {
+  STSClient,
+  AssumeRoleCommand,
+  GetCallerIdentityCommand,
+  GetSessionTokenCommand,
+} from "@aws-sdk/client-sts";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+  SimpleSTS,
+  assumeRoleProvider,
+  toSdkCredentials,
+} from "../sts/simpleSTS.js";
+import { Session } from "../session/session.js";
+import { AWSService } from "../services/service.js";
+
+const stsMock = mockClient(STSClient);
+
+function stsCredentials(id, expiresInMs) {
+  return {
+    AccessKeyId: id,
+    SecretAccessKey: `${id}-secret`,
+    SessionToken: `${id}-token`,
+    Expiration: new Date(Date.now() + expiresInMs),
+  };
+}
+
+describe("SimpleSTS", () => {
+  const ROLE_ARN = "arn:aws:iam::123456789012:role/deploy";
+  let sts;
+
+  beforeEach(() => {
+    stsMock.reset();
+    sts = new SimpleSTS();
+  });
+
+  test("getCallerIdentity should return the account and ARN", async () => {
+    stsMock.on(GetCallerIdentityCommand).resolves({
+      UserId: "AID",
+      Account: "123456789012",
+      Arn: "arn:aws:iam::123456789012:user/me",
+      $metadata: {},
+    });
+    await expect(sts.getCallerIdentity()).resolves.toEqual({
+      UserId: "AID",
+      Account: "123456789012",
+      Arn: "arn:aws:iam::123456789012:user/me",
+    });
+  });
+
+  test("assumeRole should pass externalId, duration and MFA", async () => {
+    stsMock
+      .on(AssumeRoleCommand)
+      .resolves({ Credentials: stsCredentials("A", 3600000) });
+
+    await sts.assumeRole(ROLE_ARN, "deploy-session", {
+      externalId: "ext",
+      durationSeconds: 900,
+      mfa: { serialNumber: "arn:mfa", tokenCode: async () => "123456" },
+    });
+
+    expect(stsMock.commandCalls(AssumeRoleCommand)[0].args[0].input).toEqual(
+      expect.objectContaining({
+        RoleArn: ROLE_ARN,
+        RoleSessionName: "deploy-session",
+        ExternalId: "ext",
+        DurationSeconds: 900,
+        SerialNumber: "arn:mfa",
+        TokenCode: "123456",
+      })
+    );
+  });
+
+  test("getSessionToken should return credentials", async () => {
+    const creds = stsCredentials("S", 3600000);
+    stsMock.on(GetSessionTokenCommand).resolves({ Credentials: creds });
+    await expect(sts.getSessionToken({ durationSeconds: 900 })).resolves.toEqual(
+      creds
+    );
+  });
+
+  test("assumeRole should throw a formatted error on failure", async () => {
+    stsMock.on(AssumeRoleCommand).rejects(new Error("Access Denied"));
+    await expect(sts.assumeRole(ROLE_ARN)).rejects.toThrow(
+      `STS assumeRole(${ROLE_ARN}) failed: Access Denied`
+    );
+  });
+
+  test("toSdkCredentials should convert to SDK v3 shape", () => {
+    const creds = stsCredentials("A", 1000);
+    expect(toSdkCredentials(creds)).toEqual({
+      accessKeyId: "A",
+      secretAccessKey: "A-secret",
+      sessionToken: "A-token",
+      expiration: creds.Expiration,
+    });
+  });
+
+  describe("assumeRoleProvider", () => {
+    test("should cache credentials until close to expiry", async () => {
+      stsMock
+        .on(AssumeRoleCommand)
+        .resolvesOnce({ Credentials: stsCredentials("A", 60 * 60 * 1000) })
+        .resolvesOnce({ Credentials: stsCredentials("B", 60 * 60 * 1000) });
+
+      const provider = assumeRoleProvider(sts, { roleArn: ROLE_ARN });
+      const [first, concurrent] = await Promise.all([provider(), provider()]);
+      const cached = await provider();
+
+      expect(first.accessKeyId).toBe("A");
+      expect(concurrent).toBe(first);
+      expect(cached).toBe(first);
+      expect(stsMock.commandCalls(AssumeRoleCommand).length).toBe(1);
+    });
+
+    test("should refresh credentials that are about to expire", async () => {
+      stsMock
+        .on(AssumeRoleCommand)
+        .resolvesOnce({ Credentials: stsCredentials("A", 60 * 1000) })
+        .resolvesOnce({ Credentials: stsCredentials("B", 60 * 60 * 1000) });
+
+      const provider = assumeRoleProvider(sts, { roleArn: ROLE_ARN });
+      expect((await provider()).accessKeyId).toBe("A");
+      expect((await provider()).accessKeyId).toBe("B");
+      expect(stsMock.commandCalls(AssumeRoleCommand).length).toBe(2);
+    });
+  });
+
+  test("Session with assumeRole should hand clients the assumed credentials", async () => {
+    stsMock
+      .on(AssumeRoleCommand)
+      .resolves({ Credentials: stsCredentials("ASSUMED", 60 * 60 * 1000) });
+
+    const session = new Session({
+      region: "us-east-1",
+      accessKeyId: "SOURCE",
+      secretAccessKey: "secret",
+      assumeRole: { roleArn: ROLE_ARN, sessionName: "ci" },
+    });
+
+    const s3 = session.client(AWSService.S3);
+    const creds = await s3.client.config.credentials();
+    expect(creds.accessKeyId).toBe("ASSUMED");
+    expect(
+      stsMock.commandCalls(AssumeRoleCommand)[0].args[0].input.RoleSessionName
+    ).toBe("ci");
+    expect(session.client(AWSService.STS)).toBeInstanceOf(SimpleSTS);
+  });
+});
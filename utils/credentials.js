@@ -0,0 +1,97 @@
+import { fromNodeProviderChain } from "@aws-sdk/credential-providers";
+import { loadSharedConfigFiles } from "@smithy/shared-ini-file-loader";
+import { SimpleSTS, assumeRoleProvider } from "../sts/simpleSTS.js";
+
+export const DEFAULT_REGION = "us-east-1";
+
+// ------------------------------
+// Credentials
+// ------------------------------
+// Resolution order (mirrors boto3.Session):
+//   0. `assumeRole` wraps whatever the steps below resolve: those become
+//      the source credentials used to call sts:AssumeRole
+//   1. an explicit `credentials` object or provider function
+//   2. `profile`, read through the SDK provider chain, even when keys
+//      are also set (e.g. picked up from .env)
+//   3. static accessKeyId / secretAccessKey (+ optional sessionToken)
+//   4. the AWS SDK provider chain: env vars, shared config/credentials
+//      files (incl. SSO, credential_process, web identity), then
+//      ECS/EC2 container metadata.
+export function resolveCredentials(options = {}) {
+  const {
+    credentials,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken,
+    profile,
+    assumeRole,
+  } = options;
+
+  if (assumeRole) {
+    const { assumeRole: _, ...source } = options;
+    const sts = new SimpleSTS({
+      region: resolveRegion(source),
+      credentials: resolveCredentials(source),
+    });
+    return assumeRoleProvider(sts, assumeRole);
+  }
+
+  if (credentials) return credentials;
+
+  if (profile) return fromNodeProviderChain({ profile });
+
+  if (accessKeyId || secretAccessKey) {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error(
+        "[boto3-js] Both accessKeyId and secretAccessKey are required when using static credentials."
+      );
+    }
+    return {
+      accessKeyId,
+      secretAccessKey,
+      ...(sessionToken && { sessionToken }),
+    };
+  }
+
+  return fromNodeProviderChain();
+}
+
+/**
+ * Layers `overrides` on top of `base` (setup(), per-call boto3 options).
+ * Keys given in `overrides` replace an inherited profile, which would
+ * otherwise take precedence over them.
+ */
+export function mergeConfig(base = {}, overrides = {}) {
+  const merged = { ...base, ...overrides };
+  if ((overrides.accessKeyId || overrides.credentials) && !overrides.profile) {
+    delete merged.profile;
+  }
+  return merged;
+}
+
+// ------------------------------
+// Region
+// ------------------------------
+// An explicit region wins. Otherwise the profile's `region` from
+// ~/.aws/config is used, falling back to us-east-1. The SDK accepts a
+// provider function, so the config file is only read when a client
+// actually needs the region.
+export function resolveRegion({ region, profile } = {}) {
+  if (region) return region;
+
+  const profileName = profile || process.env.AWS_PROFILE || "default";
+  return async () => {
+    const { configFile } = await loadSharedConfigFiles();
+    return configFile[profileName]?.region || DEFAULT_REGION;
+  };
+}
+
+/**
+ * Builds the config object handed to every SDK v3 client.
+ */
+export function buildSdkConfig(options = {}) {
+  return {
+    region: resolveRegion(options),
+    credentials: resolveCredentials(options),
+  };
+}
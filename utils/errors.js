@@ -0,0 +1,146 @@
+// ------------------------------
+// Structured errors
+// ------------------------------
+// Every wrapper's _handleError funnels SDK failures through toBoto3Error(),
+// so callers can branch on err.code the same way boto3 users read
+// ClientError.response["Error"]["Code"].
+
+const NOT_FOUND_CODES = new Set([
+  "NotFound",
+  "NoSuchKey",
+  "NoSuchBucket",
+  "NoSuchUpload",
+  "NoSuchVersion",
+  "NoSuchEntity",
+  "NoSuchEntityException",
+  "ResourceNotFoundException",
+]);
+
+const ACCESS_DENIED_CODES = new Set([
+  "AccessDenied",
+  "AccessDeniedException",
+  "Forbidden",
+  "UnauthorizedOperation",
+]);
+
+const CONDITIONAL_CHECK_CODES = new Set([
+  "ConditionalCheckFailedException",
+  "PreconditionFailed",
+]);
+
+const THROTTLING_CODES = new Set([
+  "Throttling",
+  "ThrottlingException",
+  "ThrottledException",
+  "TooManyRequestsException",
+  "RequestLimitExceeded",
+  "RequestThrottled",
+  "SlowDown",
+  "ProvisionedThroughputExceededException",
+]);
+
+export class Boto3Error extends Error {
+  constructor(
+    message,
+    { service, operation, code, statusCode, requestId, retryable, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.service = service;
+    this.operation = operation;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.requestId = requestId;
+    this.retryable = Boolean(retryable);
+  }
+
+  /**
+   * boto3-compatible view: err.response.Error.Code
+   */
+  get response() {
+    return {
+      Error: { Code: this.code, Message: this.cause?.message },
+      ResponseMetadata: {
+        HTTPStatusCode: this.statusCode,
+        RequestId: this.requestId,
+      },
+    };
+  }
+}
+
+export class NotFoundError extends Boto3Error {}
+export class AccessDeniedError extends Boto3Error {}
+export class ConditionalCheckFailedError extends Boto3Error {}
+export class ThrottlingError extends Boto3Error {}
+
+/**
+ * The Lambda function ran but its handler failed (the response carried
+ * FunctionError). Keeps the details the runtime reported.
+ */
+export class LambdaFunctionError extends Boto3Error {
+  constructor(
+    message,
+    { functionError, errorType, stackTrace, logs, ...options } = {}
+  ) {
+    super(message, options);
+    this.functionError = functionError;
+    this.errorType = errorType;
+    this.stackTrace = stackTrace;
+    this.logs = logs;
+  }
+}
+
+function errorCode(err) {
+  if (err.Code) return err.Code;
+  if (err.code) return err.code;
+  return err.name && err.name !== "Error" ? err.name : undefined;
+}
+
+function pickClass(code, statusCode) {
+  if (THROTTLING_CODES.has(code) || statusCode === 429) return ThrottlingError;
+  if (NOT_FOUND_CODES.has(code) || statusCode === 404) return NotFoundError;
+  if (ACCESS_DENIED_CODES.has(code) || statusCode === 403)
+    return AccessDeniedError;
+  if (CONDITIONAL_CHECK_CODES.has(code)) return ConditionalCheckFailedError;
+  return Boto3Error;
+}
+
+/**
+ * Wraps any error raised while running `operation` against `service`.
+ * Errors that are already Boto3Errors (e.g. from a nested wrapper call)
+ * keep their code and class so the original failure stays visible.
+ */
+export function toBoto3Error(service, operation, err) {
+  const message = `${service} ${operation} failed: ${err.message}`;
+  const name = operation.split("(")[0];
+
+  if (err instanceof Boto3Error) {
+    const ErrorClass = err.constructor;
+    return new ErrorClass(message, {
+      service,
+      operation: name,
+      code: err.code,
+      statusCode: err.statusCode,
+      requestId: err.requestId,
+      retryable: err.retryable,
+      cause: err,
+    });
+  }
+
+  const code = errorCode(err);
+  const statusCode = err.$metadata?.httpStatusCode;
+  const ErrorClass = pickClass(code, statusCode);
+
+  return new ErrorClass(message, {
+    service,
+    operation: name,
+    code,
+    statusCode,
+    requestId: err.$metadata?.requestId,
+    retryable:
+      ErrorClass === ThrottlingError ||
+      Boolean(err.$retryable) ||
+      statusCode >= 500,
+    cause: err,
+  });
+}
@@ -0,0 +1,28 @@
+// ------------------------------
+// Glob filters
+// ------------------------------
+// Shared by s3.sync() and the Lambda directory bundler. Patterns are
+// matched against "/"-separated relative paths; `*` also crosses "/".
+
+export function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Everything is included by default, `exclude` patterns remove paths and
+ * `include` patterns bring them back. Unlike the AWS CLI, which applies
+ * --exclude/--include in order, an include match always wins, so
+ * `include: "*"` cannot be narrowed by a later exclude.
+ * Patterns are globs (`*`, `?`) matched against the relative path.
+ */
+export function createFilter({ exclude = [], include = [] } = {}) {
+  const excluded = [].concat(exclude).map(globToRegExp);
+  const included = [].concat(include).map(globToRegExp);
+  return (relPath) =>
+    !excluded.some((re) => re.test(relPath)) ||
+    included.some((re) => re.test(relPath));
+}
@@ -0,0 +1,147 @@
+// ------------------------------
+// boto3-style paginators
+// ------------------------------
+// Each wrapper describes its pageable operations with a config object:
+//   {
+//     command:     SDK command class (e.g. ListObjectsV2Command)
+//     inputToken:  request field that carries the continuation token
+//     outputToken: response field that holds the next token
+//     limitKey:    request field for the page size
+//     resultKey:   response field holding the page's items
+//     prepareInput (optional): maps caller input to SDK input once,
+//                  before the first request
+//     moreResults (optional): response flag that must be true for
+//                  another page to be fetched (e.g. "IsTruncated")
+//   }
+//
+// Operations that continue from several markers (ListObjectVersions'
+// KeyMarker + VersionIdMarker) use arrays for inputToken/outputToken; the
+// token passed around (startingToken) is then an array too.
+
+/**
+ * Low-level page generator. Yields raw SDK responses until the service
+ * stops returning a continuation token or `maxItems` have been seen.
+ * Errors are thrown untouched so callers can format them.
+ */
+export async function* paginate(
+  client,
+  config,
+  input = {},
+  { pageSize, maxItems, startingToken } = {}
+) {
+  const base = config.prepareInput ? config.prepareInput(input) : input;
+  const multiToken = Array.isArray(config.inputToken);
+  let token = startingToken;
+  let seen = 0;
+
+  while (true) {
+    const params = { ...base };
+    if (multiToken) {
+      config.inputToken.forEach((field, i) => {
+        if (token?.[i] !== undefined && token?.[i] !== null)
+          params[field] = token[i];
+      });
+    } else if (token !== undefined && token !== null) {
+      params[config.inputToken] = token;
+    }
+    if (pageSize) params[config.limitKey] = pageSize;
+
+    const res = await client.send(new config.command(params));
+    let items = res[config.resultKey] || [];
+
+    if (maxItems && seen + items.length > maxItems) {
+      items = items.slice(0, maxItems - seen);
+      yield { ...res, [config.resultKey]: items };
+      return;
+    }
+
+    seen += items.length;
+    yield res;
+
+    if (config.moreResults && !res[config.moreResults]) return;
+    token = multiToken
+      ? config.outputToken.map((field) => res[field])
+      : res[config.outputToken];
+    const hasToken = multiToken ? token.some(Boolean) : Boolean(token);
+    if (!hasToken || (maxItems && seen >= maxItems)) return;
+  }
+}
+
+/**
+ * Collects every item across all pages into a single array.
+ */
+export async function paginateAll(client, config, input = {}, options = {}) {
+  const items = [];
+  for await (const page of paginate(client, config, input, options)) {
+    items.push(...(page[config.resultKey] || []));
+  }
+  return items;
+}
+
+/**
+ * Result of `paginator.paginate(...)`.
+ *
+ *   for await (const item of iterator) { ... }   // individual items
+ *   for await (const page of iterator.pages()) { ... }   // raw responses
+ *   const items = await iterator.all();
+ */
+export class PageIterator {
+  constructor(paginator, input, options) {
+    this.paginator = paginator;
+    this.input = input;
+    this.options = options;
+  }
+
+  async *pages() {
+    const { owner, operation, config } = this.paginator;
+    try {
+      yield* paginate(owner.client, config, this.input, this.options);
+    } catch (err) {
+      owner._handleError(`paginate(${operation})`, err);
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const { resultKey } = this.paginator.config;
+    for await (const page of this.pages()) {
+      yield* page[resultKey] || [];
+    }
+  }
+
+  async all() {
+    const items = [];
+    for await (const item of this) items.push(item);
+    return this.paginator.owner._formatOutput(items);
+  }
+}
+
+export class Paginator {
+  constructor(owner, operation, config) {
+    this.owner = owner;
+    this.operation = operation;
+    this.config = config;
+  }
+
+  /**
+   * @param {object} input   SDK request parameters (e.g. { Bucket: "b" })
+   * @param {object} options { pageSize, maxItems, startingToken }
+   */
+  paginate(input = {}, options = {}) {
+    return new PageIterator(this, input, options);
+  }
+}
+
+/**
+ * Shared implementation of `getPaginator` for the Simple* wrappers.
+ */
+export function createPaginator(owner, service, paginators, operation) {
+  const config = paginators[operation];
+  if (!config) {
+    throw new Error(
+      `${service} operation '${operation}' cannot be paginated. Available: ${Object.keys(
+        paginators
+      ).join(", ")}`
+    );
+  }
+  return new Paginator(owner, operation, config);
+}